@@ -4,6 +4,8 @@
  * 
  * Features:
  * - Advanced state management with undo/redo
+ * - IndexedDB persistence with localStorage migration
+ * - Live cross-tab synchronisation
  * - Comprehensive keyboard shortcuts
  * - Focus mode with Pomodoro timer
  * - Crisis/overwhelm management
@@ -23,10 +25,21 @@ class ThreeEPlannerApp {
     this.initialized = false;
     
     // Core modules
-    this.stateManager = new StateManager();
+    this.profileManager = new ProfileManager();
+    this.profile = this.profileManager.getActive();
+    this.baseTitle = document.title;
+    this.stateManager = new StateManager(this.profile.id);
     this.shortcutManager = new ShortcutManager();
     this.focusManager = new FocusManager();
     this.analyticsManager = new AnalyticsManager();
+    this.syncManager = new SyncManager();
+    this.transitionManager = new TransitionManager();
+    this.taskParser = new TaskParser();
+    this.scheduleAnalyzer = new ScheduleAnalyzer(this);
+    this.autoScheduler = new AutoScheduler(this.scheduleAnalyzer, this);
+    this.calendarConverter = new ICalendarConverter(this.stateManager.recurrence);
+    this.markdownExporter = new MarkdownExporter();
+    this.vault = new DataVault();
     this.accessibilityManager = new AccessibilityManager();
     
     // UI managers
@@ -37,6 +50,23 @@ class ThreeEPlannerApp {
     // Performance monitoring
     this.performanceMonitor = new PerformanceMonitor();
     
+    // UI state
+    this.expandedTasks = new Set();
+    this.breakdownTaskId = null;
+    this.recurrenceTarget = null;
+    this.rolloverDay = null;
+    this.viewDate = null; // null = today
+    this.editingBlockId = null;
+    this.activeBlockTimer = null;
+    this.timelineDrag = null;
+    this.autoPlan = null;
+    this.templateDraft = null;
+    this.calendarImport = null;
+    this.backupImport = null;
+    this.updateToast = null;
+    this.updateRequested = false;
+    this.timelineScale = 1; // px per minute in the day timeline
+    
     // Bind methods
     this.handleKeydown = this.handleKeydown.bind(this);
     this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
@@ -52,6 +82,10 @@ class ThreeEPlannerApp {
       
       // Show loading screen
       this.showLoadingProgress(0, 'Initializing application...');
+      this.watchStorageConnection();
+      
+      // Ask for the passphrase first if the stored data is encrypted
+      await this.unlockStorage();
       
       // Initialize core systems
       await this.initializeCore();
@@ -82,18 +116,37 @@ class ThreeEPlannerApp {
       this.initialized = true;
       this.toastManager.show('Welcome to your 3e Command Center! 🧠', 'success');
       
+      // Links from bookmarklets, shortcuts and the share sheet
+      this.handleLaunchParams();
+      
     } catch (error) {
       console.error('Failed to initialize application:', error);
       this.handleInitializationError(error);
     }
   }
 
+  // Another tab still on an older version can hold up opening the database,
+  // and a tab on a newer version asks this one to let go of it
+  watchStorageConnection() {
+    const storage = this.stateManager.storage;
+    
+    storage.onBlocked = () => {
+      this.showLoadingProgress(0, 'Close the planner in your other tabs to finish updating...');
+    };
+    storage.onVersionChange = () => {
+      this.toastManager.show('The planner was updated in another tab. Reload to keep working.', 'warning', null, {
+        sticky: true,
+        actions: [{ label: 'Reload', callback: () => window.location.reload() }]
+      });
+    };
+  }
+
   async initializeCore() {
     // Initialize state management
     await this.stateManager.init();
     
     // Initialize analytics
-    this.analyticsManager.init(this.stateManager);
+    await this.analyticsManager.init(this.stateManager);
     
     // Initialize accessibility features
     this.accessibilityManager.init();
@@ -116,6 +169,8 @@ class ThreeEPlannerApp {
     
     // Setup energy level
     this.updateEnergyDisplay();
+    
+    this.renderProfileButton();
   }
 
   setupEventListeners() {
@@ -136,6 +191,9 @@ class ThreeEPlannerApp {
     
     // Break reminders
     setInterval(() => this.checkBreakReminders(), 60000);
+    
+    // Trash expiry, for tabs that stay open for days
+    setInterval(() => this.purgeExpiredTrash(), 60 * 60 * 1000);
   }
 
   async finalizeInitialization() {
@@ -145,16 +203,204 @@ class ThreeEPlannerApp {
     // Initialize focus manager
     this.focusManager.init(this.stateManager);
     
+    // Keep other open tabs in sync
+    this.syncManager.init(this.stateManager, this.focusManager);
+    
+    // Warn ahead of time block starts and ends
+    this.transitionManager.init(this.stateManager, this.syncManager);
+    
     // Setup daily reset check
     this.checkDailyReset();
     
+    // Drop trashed items past their retention period
+    this.purgeExpiredTrash();
+    
     // Initialize service worker for PWA
-    if ('serviceWorker' in navigator) {
-      try {
-        await navigator.serviceWorker.register('/sw.js');
-      } catch (error) {
-        console.warn('Service Worker registration failed:', error);
+    await this.registerServiceWorker();
+  }
+
+  /* ===== Service Worker ===== */
+
+  async registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    
+    let registration;
+    try {
+      // Relative URL: the worker's scope is the folder the planner is served from
+      registration = await navigator.serviceWorker.register('sw.js');
+    } catch (error) {
+      console.warn('Service Worker registration failed:', error);
+      return;
+    }
+    
+    // A new version installed during an earlier visit is still waiting
+    if (registration.waiting && navigator.serviceWorker.controller) {
+      this.showUpdateAvailable(registration.waiting);
+    }
+    
+    registration.addEventListener('updatefound', () => {
+      const worker = registration.installing;
+      if (!worker) return;
+      
+      worker.addEventListener('statechange', () => {
+        // Without a controller this is the first install, not an update
+        if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+          this.showUpdateAvailable(worker);
+        }
+      });
+    });
+    
+    // Only reload when this tab asked for the update; other tabs keep working
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+      if (this.updateRequested) {
+        window.location.reload();
+      }
+    });
+    
+    // Long-running tabs still hear about new versions
+    setInterval(() => registration.update().catch(() => {}), 60 * 60 * 1000);
+  }
+
+  showUpdateAvailable(worker) {
+    if (this.updateToast) return;
+    
+    this.updateToast = this.toastManager.show('A new version of the planner is available.', 'info', null, {
+      sticky: true,
+      actions: [
+        { label: 'Reload', callback: () => this.applyUpdate(worker) },
+        { label: 'Later' }
+      ]
+    });
+  }
+
+  async applyUpdate(worker) {
+    this.updateRequested = true;
+    this.updateToast = null;
+    
+    try {
+      await this.stateManager.saveState();
+    } catch (error) {
+      console.warn('Failed to save before updating:', error);
+    }
+    
+    // Another tab may already have activated it
+    if (worker.state === 'activated') {
+      window.location.reload();
+    } else {
+      worker.postMessage({ type: 'skip-waiting' });
+    }
+  }
+
+  /* ===== Launch Links ===== */
+
+  /**
+   * Acts on URL parameters the planner was opened with, so bookmarklets,
+   * OS shortcuts and the share sheet (manifest share_target) can reach it:
+   *   ?capture=<text>              capture a thought (empty: open Quick Capture)
+   *   ?task=<text>&energy=low      add a task; quick-add syntax works in the text
+   *   ?focus=<taskId>              start a focus session on that task
+   *   ?share-title=&share-text=&share-url=   shared from another app
+   * The parameters are removed afterwards so reloading doesn't repeat them.
+   */
+  handleLaunchParams() {
+    const url = new URL(window.location.href);
+    const params = url.searchParams;
+    const keys = ['capture', 'task', 'energy', 'focus', 'share-title', 'share-text', 'share-url'];
+    if (!keys.some(key => params.has(key))) return;
+    
+    const read = key => (params.get(key) || '').trim().slice(0, 500);
+    
+    if (params.has('share-title') || params.has('share-text') || params.has('share-url')) {
+      this.captureFromLink(this.composeSharedText(read('share-title'), read('share-text'), read('share-url')), 'share');
+    } else if (params.has('capture')) {
+      this.captureFromLink(read('capture'), 'link');
+    } else if (params.has('task')) {
+      this.addTaskFromLink(read('task'), read('energy'));
+    } else if (params.has('focus')) {
+      this.focusFromLink(read('focus'));
+    }
+    
+    keys.forEach(key => params.delete(key));
+    window.history.replaceState(null, '', url.pathname + url.search + url.hash);
+  }
+
+  // Apps fill title, text and url inconsistently; keep each piece once
+  composeSharedText(title, text, link) {
+    const parts = [];
+    [title, text, link].forEach(part => {
+      if (part && !parts.some(existing => existing.includes(part))) {
+        parts.push(part);
+      }
+    });
+    return parts.join(' - ');
+  }
+
+  captureFromLink(text, source) {
+    if (!text) {
+      this.toggleQuickCapture();
+      return;
+    }
+    
+    const entryId = this.stateManager.addThought({
+      id: this.generateId(),
+      text,
+      timestamp: new Date().toISOString(),
+      reviewed: false
+    });
+    
+    this.renderThoughts();
+    this.showUndoToast(source === 'share' ? 'Shared item captured 💭' : 'Thought captured! 💭', entryId);
+    this.analyticsManager.trackEvent('thought_captured', { length: text.length, source });
+  }
+
+  addTaskFromLink(text, energy) {
+    const parsed = text ? this.taskParser.parse(text) : null;
+    if (!parsed || !parsed.text) {
+      const input = document.getElementById('taskInput');
+      if (input) {
+        input.value = text;
+        input.focus();
+        this.updateTaskPreview();
       }
+      return;
+    }
+    
+    if (['low', 'medium', 'high'].includes(energy)) {
+      parsed.energy = energy;
+    }
+    
+    const task = this.createParsedTask(parsed);
+    const entryId = this.stateManager.addTask(task);
+    
+    this.renderTasks();
+    this.updateStats();
+    this.showUndoToast(`Task added: ${task.text} 📝`, entryId);
+    this.analyticsManager.trackEvent('task_added', { energy: task.energy, source: 'link' });
+  }
+
+  focusFromLink(taskId) {
+    const task = this.stateManager.getTask(taskId);
+    if (!task || task.completed) {
+      this.toastManager.show(task ? 'That task is already done 🎉' : 'The task in that link no longer exists', 'warning');
+      return;
+    }
+    
+    this.focusOnTask(taskId);
+  }
+
+  // Links only work in the browser and profile they were copied from
+  async copyFocusLink(taskId) {
+    const task = this.stateManager.getTask(taskId);
+    if (!task) return;
+    
+    const url = new URL(window.location.href);
+    url.search = `?focus=${encodeURIComponent(taskId)}`;
+    url.hash = '';
+    
+    if (await this.copyText(url.toString())) {
+      this.toastManager.show(`Focus link for "${task.text}" copied 🔗`, 'success');
+    } else {
+      this.toastManager.show(`Copy failed. The link is ${url}`, 'error', 15000);
     }
   }
 
@@ -220,6 +466,7 @@ class ThreeEPlannerApp {
   /* ===== Core UI Updates ===== */
 
   renderDashboard() {
+    this.renderDayNavigation();
     this.renderPriorities();
     this.renderTasks();
     this.renderTimeBlocks();
@@ -227,6 +474,31 @@ class ThreeEPlannerApp {
     this.updateStats();
   }
 
+  refreshViews(keys) {
+    const collections = ['priorities', 'tasks', 'timeBlocks', 'capturedThoughts'];
+    
+    if (keys.some(key => collections.includes(key))) {
+      this.renderDashboard();
+    }
+    
+    if (keys.includes('currentEnergy')) {
+      this.updateEnergyDisplay();
+    }
+    
+    if (keys.includes('settings')) {
+      this.settingsPanel.loadSettings();
+      this.renderTimeBlocks();
+    }
+    
+    if (keys.includes('trash')) {
+      this.renderTrash();
+    }
+    
+    if (keys.includes('dayTemplates') && !this.templateDraft) {
+      this.renderTemplates();
+    }
+  }
+
   updateTimeDisplay() {
     const now = new Date();
     const timeElement = document.getElementById('currentTime');
@@ -241,12 +513,14 @@ class ThreeEPlannerApp {
     }
     
     if (dateElement) {
-      dateElement.textContent = now.toLocaleDateString('en-US', {
+      const viewed = this.viewDate ? this.stateManager.recurrence.fromDateKey(this.viewDate) : now;
+      const label = viewed.toLocaleDateString('en-US', {
         weekday: 'long',
         year: 'numeric',
         month: 'long',
         day: 'numeric'
       });
+      dateElement.textContent = this.viewDate ? `${this.formatDue(this.viewDate)} · ${label}` : label;
     }
   }
 
@@ -262,19 +536,21 @@ class ThreeEPlannerApp {
 }
   updateStats() {
     const state = this.stateManager.state;
-    const today = new Date().toDateString();
+    const view = this.getDayView();
+    const day = this.stateManager.recurrence.fromDateKey(view.date).toDateString();
     
-    // Calculate priorities completed
-    const completedPriorities = state.priorities.filter(p => p.completed && p.text.trim()).length;
-    const totalPriorities = state.priorities.filter(p => p.text.trim()).length;
+    // Calculate priorities completed (a repeating priority skipped that day doesn't count)
+    const activePriorities = view.priorities.filter(p => p.text.trim() && p.skippedOn !== view.date);
+    const completedPriorities = activePriorities.filter(p => p.completed).length;
+    const totalPriorities = activePriorities.length;
     
-    // Calculate tasks completed today
-    const tasksCompletedToday = state.tasks.filter(t => 
-      t.completed && new Date(t.completedAt || t.createdAt).toDateString() === today
+    // Calculate tasks completed on the viewed day
+    const tasksCompletedToday = view.tasks.filter(t => 
+      t.completed && new Date(t.completedAt || t.createdAt).toDateString() === day
     ).length;
     
-    // Calculate focus time today
-    const focusTimeToday = this.analyticsManager.getFocusTimeForDate(today);
+    // Calculate focus time on the viewed day
+    const focusTimeToday = this.analyticsManager.getFocusTimeForDate(day);
     
     // Update UI
     this.updateElement('priorityStat .stat-value', `${completedPriorities}/${totalPriorities}`);
@@ -293,39 +569,92 @@ class ThreeEPlannerApp {
   /* ===== Priority Management ===== */
 
   renderPriorities() {
-    const state = this.stateManager.state;
+    const view = this.getDayView();
     const priorityInputs = document.querySelectorAll('.priority-input');
     const priorityCheckboxes = document.querySelectorAll('.priority-checkbox');
     const energySelects = document.querySelectorAll('.energy-select');
     
-    priorityInputs.forEach((input, index) => {
-      if (state.priorities[index]) {
-        input.value = state.priorities[index].text;
-        input.addEventListener('blur', () => this.updatePriorityText(index, input.value));
-        input.addEventListener('keypress', (e) => {
-          if (e.key === 'Enter') {
-            input.blur();
-          }
-        });
+    // Listeners are bound once; renders only refresh values
+    const bindOnce = (element, event, handler) => {
+      const flag = `bound${event.charAt(0).toUpperCase() + event.slice(1)}`;
+      if (!element.dataset[flag]) {
+        element.addEventListener(event, handler);
+        element.dataset[flag] = 'true';
       }
+    };
+    
+    priorityInputs.forEach((input, index) => {
+      const priority = view.priorities[index];
+      input.value = priority ? priority.text : '';
+      input.disabled = view.mode === 'past';
+      bindOnce(input, 'blur', () => this.updatePriorityText(index, input.value));
+      bindOnce(input, 'keypress', (e) => {
+        if (e.key === 'Enter') {
+          input.blur();
+        }
+      });
     });
     
     priorityCheckboxes.forEach((checkbox, index) => {
-      if (state.priorities[index]) {
-        checkbox.checked = state.priorities[index].completed;
-        checkbox.addEventListener('change', () => this.togglePriority(index));
-      }
+      const priority = view.priorities[index];
+      checkbox.checked = Boolean(priority && priority.completed);
+      checkbox.disabled = view.mode !== 'today';
+      bindOnce(checkbox, 'change', () => this.togglePriority(index));
     });
     
     energySelects.forEach((select, index) => {
-      if (state.priorities[index]) {
-        select.value = state.priorities[index].energy || 'medium';
-        select.addEventListener('change', () => this.updatePriorityEnergy(index, select.value));
+      const priority = view.priorities[index];
+      select.value = (priority && priority.energy) || 'medium';
+      select.disabled = view.mode === 'past';
+      bindOnce(select, 'change', () => this.updatePriorityEnergy(index, select.value));
+    });
+    
+    this.renderPriorityRecurrence();
+  }
+
+  // Repeat rule row under each priority, added next to the static markup
+  renderPriorityRecurrence() {
+    const state = this.stateManager.state;
+    const recurrence = this.stateManager.recurrence;
+    const todayKey = recurrence.toDateKey(new Date());
+    
+    document.querySelectorAll('.priority-item').forEach((item, index) => {
+      const priority = state.priorities[index];
+      const content = item.querySelector('.priority-content');
+      if (!priority || !content) return;
+      
+      let row = content.querySelector('.priority-recurrence');
+      if (!row) {
+        row = document.createElement('div');
+        row.className = 'priority-recurrence';
+        content.appendChild(row);
       }
+      
+      // Repeat rules belong to the live slots, not to archived or planned days
+      row.hidden = this.getViewMode() !== 'today';
+      
+      const skipped = priority.skippedOn === todayKey;
+      item.classList.toggle('skipped', skipped);
+      
+      row.innerHTML = `
+        <button class="recurrence-badge ${priority.isRecurring ? '' : 'inactive'}" onclick="app.showRecurrence('priority', ${index})" title="Edit repeat">
+          🔁 ${priority.isRecurring ? recurrence.describe(priority.recurringPattern) : 'Repeat…'}
+        </button>
+        ${skipped ? '<span class="recurrence-skipped">Skipped today</span>' : ''}
+        ${priority.isRecurring && !priority.completed && !skipped && priority.text.trim() ? `
+          <button class="btn btn-ghost btn-sm" onclick="app.skipPriorityOccurrence(${index})">Skip today</button>
+        ` : ''}
+      `;
     });
   }
 
   updatePriorityText(index, text) {
+    if (this.getViewMode() === 'past') return;
+    if (this.getViewMode() === 'future') {
+      this.stateManager.updatePlannedPriority(this.viewDate, index, { text: text.trim() });
+      return;
+    }
+    
     this.stateManager.updatePriority(index, { text: text.trim() });
     this.updateStats();
     
@@ -335,6 +664,8 @@ class ThreeEPlannerApp {
   }
 
   togglePriority(index) {
+    if (this.getViewMode() !== 'today') return;
+    
     const priority = this.stateManager.state.priorities[index];
     if (!priority || !priority.text.trim()) return;
     
@@ -352,6 +683,12 @@ class ThreeEPlannerApp {
   }
 
   updatePriorityEnergy(index, energy) {
+    if (this.getViewMode() === 'past') return;
+    if (this.getViewMode() === 'future') {
+      this.stateManager.updatePlannedPriority(this.viewDate, index, { energy });
+      return;
+    }
+    
     this.stateManager.updatePriority(index, { energy });
     this.analyticsManager.trackEvent('priority_energy_updated', { index, energy });
   }
@@ -408,7 +745,7 @@ editPriority(index) {
   /* ===== Task Management ===== */
 
   renderTasks() {
-    const state = this.stateManager.state;
+    const view = this.getDayView();
     const container = document.getElementById('tasksContainer');
     const counter = document.getElementById('taskCounter');
     const emptyState = document.getElementById('tasksEmptyState');
@@ -416,13 +753,16 @@ editPriority(index) {
     if (!container) return;
     
     // Update counter
-    const activeTasks = state.tasks.filter(t => !t.completed);
+    const activeTasks = view.tasks.filter(t => !t.completed);
     if (counter) {
-      counter.textContent = `${activeTasks.length} tasks`;
+      counter.textContent = view.mode === 'past'
+        ? `${view.tasks.length} done`
+        : `${activeTasks.length} tasks`;
     }
     
     // Show/hide empty state
-    if (state.tasks.length === 0) {
+    if (view.tasks.length === 0 && view.carriedOver.length === 0 && view.dropped.length === 0) {
+      container.innerHTML = '';
       if (emptyState) emptyState.style.display = 'flex';
       return;
     } else {
@@ -430,10 +770,10 @@ editPriority(index) {
     }
     
     // Render tasks
-    container.innerHTML = state.tasks
+    container.innerHTML = view.tasks
       .filter(task => this.shouldShowTask(task))
       .map(task => this.createTaskHTML(task))
-      .join('');
+      .join('') + this.createCarryOverNoteHTML(view);
     
     // Add event listeners
     this.attachTaskEventListeners();
@@ -472,10 +812,16 @@ editPriority(index) {
     const completedClass = task.completed ? 'completed' : '';
     const createdDate = new Date(task.createdAt).toLocaleDateString();
     
+    const subtasks = task.subtasks || [];
+    const doneSubtasks = subtasks.filter(s => s.completed).length;
+    const remainingMinutes = subtasks
+      .filter(s => !s.completed)
+      .reduce((sum, s) => sum + (s.estimatedMinutes || 0), 0);
+    
     return `
       <div class="task-item ${energyClass}-energy ${completedClass}" data-task-id="${task.id}">
         <div class="checkbox-container">
-          <input type="checkbox" id="task-${task.id}" ${task.completed ? 'checked' : ''}>
+          <input type="checkbox" class="task-checkbox" id="task-${task.id}" ${task.completed ? 'checked' : ''}>
           <label for="task-${task.id}" class="checkbox-label"></label>
         </div>
         <div class="task-content">
@@ -484,10 +830,50 @@ editPriority(index) {
             <span class="energy-badge">${this.capitalizeFirst(energyClass)} energy</span>
             <span class="task-date">Added ${createdDate}</span>
             ${task.estimatedMinutes ? `<span class="task-estimate">~${task.estimatedMinutes}min</span>` : ''}
+            ${task.dueDate ? `<span class="task-due ${this.isTaskOverdue(task) ? 'overdue' : ''}">📅 ${this.formatDue(task.dueDate, task.dueTime)}</span>` : ''}
+            ${(task.tags || []).map(tag => `<span class="task-tag">#${this.escapeHtml(tag)}</span>`).join('')}
+            ${task.context ? `<span class="task-context">@${this.escapeHtml(task.context)}</span>` : ''}
+            ${task.carryOverCount > 0 && !task.completed ? `
+              <span class="task-carry ${this.isChronicCarryOver(task) ? 'flagged' : ''}" title="Times carried over">↪ ${task.carryOverCount}×</span>
+            ` : ''}
+            ${task.isRecurring && task.recurringPattern ? `
+              <button class="recurrence-badge" onclick="app.showRecurrence('task', '${task.id}')" title="Edit repeat">
+                🔁 ${this.stateManager.recurrence.describe(task.recurringPattern)}
+              </button>
+            ` : ''}
+            ${subtasks.length > 0 ? `
+              <button class="subtask-toggle" onclick="app.toggleSubtaskList('${task.id}')" aria-expanded="${this.expandedTasks.has(task.id)}">
+                ${doneSubtasks}/${subtasks.length} steps${remainingMinutes ? ` · ~${remainingMinutes}min left` : ''}
+              </button>
+            ` : ''}
           </div>
+          ${subtasks.length > 0 ? `
+            <div class="subtask-progress" role="progressbar" aria-valuemin="0" aria-valuemax="${subtasks.length}" aria-valuenow="${doneSubtasks}">
+              <div class="subtask-progress-bar" style="width: ${Math.round(doneSubtasks / subtasks.length * 100)}%"></div>
+            </div>
+          ` : ''}
+          ${this.expandedTasks.has(task.id) ? this.createSubtaskListHTML(task) : ''}
         </div>
         <div class="task-actions">
           ${!task.completed ? `
+            <button class="btn-icon btn-repeat" onclick="app.showRecurrence('task', '${task.id}')" title="Repeat">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="17 1 21 5 17 9"></polyline>
+                <path d="M3 11V9a4 4 0 0 1 4-4h14"></path>
+                <polyline points="7 23 3 19 7 15"></polyline>
+                <path d="M21 13v2a4 4 0 0 1-4 4H3"></path>
+              </svg>
+            </button>
+            <button class="btn-icon btn-breakdown" onclick="app.showBreakdown('${task.id}')" title="Break it down into steps">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="8" y1="6" x2="21" y2="6"></line>
+                <line x1="8" y1="12" x2="21" y2="12"></line>
+                <line x1="8" y1="18" x2="21" y2="18"></line>
+                <line x1="3" y1="6" x2="3.01" y2="6"></line>
+                <line x1="3" y1="12" x2="3.01" y2="12"></line>
+                <line x1="3" y1="18" x2="3.01" y2="18"></line>
+              </svg>
+            </button>
             <button class="btn-icon btn-focus" onclick="app.focusOnTask('${task.id}')" title="Focus on this task">
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                 <circle cx="12" cy="12" r="3"></circle>
@@ -513,9 +899,41 @@ editPriority(index) {
     `;
   }
 
+  createSubtaskListHTML(task) {
+    return `
+      <ol class="subtask-list">
+        ${task.subtasks.map(subtask => `
+          <li class="subtask-item ${subtask.completed ? 'completed' : ''}">
+            <div class="checkbox-container">
+              <input type="checkbox" id="subtask-${task.id}-${subtask.id}" ${subtask.completed ? 'checked' : ''}
+                     onchange="app.toggleSubtask('${task.id}', '${subtask.id}')">
+              <label for="subtask-${task.id}-${subtask.id}" class="checkbox-label"></label>
+            </div>
+            <span class="subtask-text">${this.escapeHtml(subtask.text)}</span>
+            ${subtask.estimatedMinutes ? `<span class="task-estimate">~${subtask.estimatedMinutes}min</span>` : ''}
+            ${!subtask.completed ? `
+              <button class="btn-icon btn-focus" onclick="app.focusOnSubtask('${task.id}', '${subtask.id}')" title="Focus on this step">
+                <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                  <circle cx="12" cy="12" r="3"></circle>
+                  <path d="M12,1v6M12,17v6M1,12h6M17,12h6"></path>
+                </svg>
+              </button>
+            ` : ''}
+            <button class="btn-icon btn-delete" onclick="app.deleteSubtask('${task.id}', '${subtask.id}')" title="Remove step">
+              <svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"></line>
+                <line x1="6" y1="6" x2="18" y2="18"></line>
+              </svg>
+            </button>
+          </li>
+        `).join('')}
+      </ol>
+    `;
+  }
+
   attachTaskEventListeners() {
     // Checkbox listeners
-    document.querySelectorAll('.task-item input[type="checkbox"]').forEach(checkbox => {
+    document.querySelectorAll('.task-item .task-checkbox').forEach(checkbox => {
       checkbox.addEventListener('change', (e) => {
         const taskId = e.target.id.replace('task-', '');
         this.toggleTask(taskId);
@@ -527,25 +945,32 @@ editPriority(index) {
     const input = document.getElementById('taskInput');
     if (!input) return;
     
-    const text = input.value.trim();
-    if (!text) return;
+    if (!input.value.trim()) return;
+    if (!this.canEditViewedDay()) return;
     
-    const task = {
-      id: this.generateId(),
-      text,
-      completed: false,
-      createdAt: new Date().toISOString(),
-      energy: this.suggestTaskEnergy(text),
-      estimatedMinutes: this.estimateTaskDuration(text)
-    };
+    const parsed = this.taskParser.parse(input.value);
+    
+    // Tasks added while planning ahead belong to that day
+    if (this.getViewMode() === 'future' && !parsed.dueDate) {
+      parsed.dueDate = this.viewDate;
+    }
+    if (!parsed.text) {
+      this.toastManager.show('Add what needs doing, not just when 🙂', 'warning');
+      return;
+    }
     
+    const task = this.createParsedTask(parsed);
     this.stateManager.addTask(task);
     input.value = '';
+    this.updateTaskPreview();
     
     this.renderTasks();
     this.updateStats();
     
-    this.toastManager.show('Task added! 📝', 'success');
+    // Today's list leaves out tasks due later, so say where this one went
+    this.toastManager.show(task.dueDate && task.dueDate > this.getDayView().date
+      ? `Task added for ${this.formatDue(task.dueDate)} 📝`
+      : 'Task added! 📝', 'success');
     this.analyticsManager.trackEvent('task_added', { energy: task.energy });
     
     // Check for achievements
@@ -554,33 +979,128 @@ editPriority(index) {
     }
   }
 
+  createParsedTask(parsed) {
+    const task = {
+      id: this.generateId(),
+      text: parsed.text,
+      completed: false,
+      createdAt: new Date().toISOString(),
+      energy: parsed.energy || this.suggestTaskEnergy(parsed.text),
+      estimatedMinutes: parsed.estimatedMinutes || this.estimateTaskDuration(parsed.text),
+      dueDate: parsed.dueDate,
+      dueTime: parsed.dueTime,
+      tags: parsed.tags,
+      context: parsed.context,
+      isRecurring: Boolean(parsed.recurrence),
+      recurringPattern: parsed.recurrence,
+      seriesId: null,
+      subtasks: []
+    };
+    if (task.isRecurring) {
+      task.seriesId = task.id;
+    }
+    return task;
+  }
+
+  // Live chip row showing what the quick-add parser picked up
+  updateTaskPreview() {
+    const input = document.getElementById('taskInput');
+    const preview = document.getElementById('taskPreview');
+    if (!input || !preview) return;
+    
+    const parsed = this.taskParser.parse(input.value);
+    const chips = [];
+    
+    if (parsed.dueDate) {
+      chips.push({ type: 'due', label: `📅 ${this.formatDue(parsed.dueDate, parsed.dueTime)}` });
+    }
+    if (parsed.recurrence) {
+      chips.push({ type: 'recurrence', label: `🔁 ${this.stateManager.recurrence.describe(parsed.recurrence)}` });
+    }
+    if (parsed.estimatedMinutes) {
+      chips.push({ type: 'estimate', label: `⏱️ ~${parsed.estimatedMinutes}min` });
+    }
+    if (parsed.energy) {
+      chips.push({ type: 'energy', label: `⚡ ${this.capitalizeFirst(parsed.energy)} energy` });
+    }
+    parsed.tags.forEach(tag => chips.push({ type: 'tag', label: `#${tag}` }));
+    if (parsed.context) {
+      chips.push({ type: 'context', label: `@${parsed.context}` });
+    }
+    
+    preview.innerHTML = chips
+      .map(chip => `<span class="task-chip task-chip-${chip.type}">${this.escapeHtml(chip.label)}</span>`)
+      .join('');
+  }
+
+  formatDue(dueDate, dueTime = null) {
+    const [year, month, day] = dueDate.split('-').map(Number);
+    const due = new Date(year, month - 1, day);
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const days = Math.round((due - today) / (24 * 60 * 60 * 1000));
+    
+    let label;
+    if (days === 0) {
+      label = 'Today';
+    } else if (days === 1) {
+      label = 'Tomorrow';
+    } else if (days === -1) {
+      label = 'Yesterday';
+    } else if (days > 1 && days < 7) {
+      label = due.toLocaleDateString('en-US', { weekday: 'long' });
+    } else {
+      label = due.toLocaleDateString('en-US', { weekday: 'short', month: 'short', day: 'numeric' });
+    }
+    
+    return dueTime ? `${label} ${dueTime}` : label;
+  }
+
+  isTaskOverdue(task) {
+    if (task.completed || !task.dueDate) return false;
+    
+    const [year, month, day] = task.dueDate.split('-').map(Number);
+    const [hours, minutes] = (task.dueTime || '23:59').split(':').map(Number);
+    return new Date(year, month - 1, day, hours, minutes) < new Date();
+  }
+
   toggleTask(taskId) {
     const task = this.stateManager.getTask(taskId);
     if (!task) return;
     
+    const completing = !task.completed;
     this.stateManager.updateTask(taskId, {
-      completed: !task.completed,
-      completedAt: !task.completed ? new Date().toISOString() : null
+      completed: completing,
+      completedAt: completing ? new Date().toISOString() : null
     });
     
     this.renderTasks();
     this.updateStats();
     
-    if (!task.completed) {
+    if (completing) {
       this.toastManager.show(`Task completed! ✅ ${task.text.substring(0, 30)}...`, 'success');
       this.analyticsManager.trackAchievement('task_completed');
       this.checkTaskCompletionAchievements();
+      
+      if (task.isRecurring && task.recurringPattern) {
+        const recurrence = this.stateManager.recurrence;
+        const next = recurrence.nextOccurrence(task.recurringPattern, task.dueDate ? recurrence.fromDateKey(task.dueDate) : new Date());
+        if (next) {
+          this.toastManager.show(`🔁 Next one: ${this.formatDue(recurrence.toDateKey(next))}`, 'info');
+        }
+      }
     }
   }
 
   deleteTask(taskId) {
-    if (!confirm('Are you sure you want to delete this task?')) return;
+    const task = this.stateManager.getTask(taskId);
+    if (!task) return;
     
-    this.stateManager.deleteTask(taskId);
+    const entryId = this.stateManager.deleteTask(taskId);
     this.renderTasks();
     this.updateStats();
     
-    this.toastManager.show('Task deleted', 'info');
+    this.showUndoToast(`Task moved to trash: ${task.text}`, entryId);
   }
 
   updateTaskEnergy(taskId, energy) {
@@ -601,74 +1121,276 @@ editPriority(index) {
     });
   }
 
-  suggestTaskEnergy(text) {
-    const lowEnergyKeywords = ['read', 'review', 'check', 'organize', 'sort', 'email'];
-    const highEnergyKeywords = ['create', 'write', 'design', 'develop', 'call', 'present', 'meeting'];
-    
-    const textLower = text.toLowerCase();
-    
-    if (lowEnergyKeywords.some(keyword => textLower.includes(keyword))) {
-      return 'low';
-    } else if (highEnergyKeywords.some(keyword => textLower.includes(keyword))) {
-      return 'high';
+  /* ===== Subtasks ===== */
+
+  toggleSubtaskList(taskId) {
+    if (this.expandedTasks.has(taskId)) {
+      this.expandedTasks.delete(taskId);
+    } else {
+      this.expandedTasks.add(taskId);
     }
-    
-    return 'medium';
+    this.renderTasks();
   }
 
-  estimateTaskDuration(text) {
-    const shortKeywords = ['check', 'email', 'quick', 'brief'];
-    const longKeywords = ['project', 'report', 'presentation', 'research', 'develop'];
-    
-    const textLower = text.toLowerCase();
+  toggleSubtask(taskId, subtaskId) {
+    const subtask = this.stateManager.getSubtask(taskId, subtaskId);
+    if (!subtask) return;
     
-    if (shortKeywords.some(keyword => textLower.includes(keyword))) {
-      return 15;
-    } else if (longKeywords.some(keyword => textLower.includes(keyword))) {
-      return 90;
+    if (!subtask.completed) {
+      this.completeSubtask(taskId, subtaskId);
+      return;
     }
     
-    return 25; // Default Pomodoro
+    this.stateManager.updateSubtask(taskId, subtaskId, { completed: false, completedAt: null });
+    this.renderTasks();
   }
 
-  checkTaskCompletionAchievements() {
-    const completedToday = this.stateManager.getTasksCompletedToday().length;
+  // Also used from prompts that may be answered after the step was ticked off elsewhere
+  completeSubtask(taskId, subtaskId) {
+    const subtask = this.stateManager.getSubtask(taskId, subtaskId);
+    if (!this.stateManager.completeSubtask(taskId, subtaskId)) return;
     
-    if (completedToday === 5) {
-      this.toastManager.show('🏆 Five tasks completed today! You\'re on fire!', 'success');
-    } else if (completedToday === 10) {
-      this.toastManager.show('🚀 Ten tasks completed! Productivity master!', 'success');
+    this.renderTasks();
+    this.analyticsManager.trackEvent('subtask_completed', { taskId });
+    
+    const task = this.stateManager.getTask(taskId);
+    const allDone = task.subtasks.every(s => s.completed);
+    
+    if (allDone && !task.completed) {
+      this.toastManager.show(`All steps done for "${task.text}"! 🎉`, 'success', null, {
+        actions: [{ label: 'Complete task', callback: () => this.toggleTask(taskId) }]
+      });
+    } else {
+      this.toastManager.show(`Step done! ✅ ${subtask.text}`, 'success');
     }
   }
 
-  filterTasks(filter) {
-    // Update active filter button
-    document.querySelectorAll('.filter-btn').forEach(btn => btn.classList.remove('active'));
-    document.querySelector(`[data-filter="${filter}"]`).classList.add('active');
+  deleteSubtask(taskId, subtaskId) {
+    const subtask = this.stateManager.getSubtask(taskId, subtaskId);
+    if (!subtask) return;
     
-    // Re-render tasks
+    const entryId = this.stateManager.deleteSubtask(taskId, subtaskId);
     this.renderTasks();
-    
-    this.analyticsManager.trackEvent('tasks_filtered', { filter });
+    this.showUndoToast(`Step removed: ${subtask.text}`, entryId);
   }
 
-  filterByEnergy() {
-    this.filterTasks('energy');
+  focusOnSubtask(taskId, subtaskId) {
+    const task = this.stateManager.getTask(taskId);
+    const subtask = this.stateManager.getSubtask(taskId, subtaskId);
+    if (!task || !subtask) return;
     
-    const energyLabel = this.stateManager.state.currentEnergy;
-    this.toastManager.show(`Showing ${energyLabel} energy tasks`, 'info');
-  }
-
+    this.focusManager.startFocusSession(subtask.text, {
+      type: 'subtask',
+      id: taskId,
+      subtaskId,
+      parentText: task.text,
+      energy: task.energy,
+      estimatedDuration: subtask.estimatedMinutes || 15
+    });
+  }
+
+  // Guided "break it down" flow
+  showBreakdown(taskId) {
+    const task = this.stateManager.getTask(taskId);
+    const modal = document.getElementById('breakdownModal');
+    if (!task || !modal) return;
+    
+    this.breakdownTaskId = taskId;
+    
+    const title = document.getElementById('breakdownTaskText');
+    if (title) title.textContent = task.text;
+    
+    const existing = document.getElementById('breakdownExisting');
+    if (existing) {
+      existing.textContent = task.subtasks.length > 0
+        ? `Already has ${task.subtasks.length} step${task.subtasks.length === 1 ? '' : 's'} - new steps are added after them.`
+        : '';
+    }
+    
+    const steps = document.getElementById('breakdownSteps');
+    if (steps) {
+      steps.innerHTML = '';
+      for (let i = 0; i < 3; i++) {
+        this.addBreakdownStep();
+      }
+    }
+    
+    modal.classList.add('active');
+    setTimeout(() => {
+      const firstInput = modal.querySelector('.breakdown-step-input');
+      if (firstInput) firstInput.focus();
+    }, 100);
+    
+    this.analyticsManager.trackEvent('breakdown_opened', { taskId });
+  }
+
+  addBreakdownStep() {
+    const steps = document.getElementById('breakdownSteps');
+    if (!steps) return;
+    
+    const prompts = [
+      'Very first physical step (e.g. open the document)',
+      'Next small step',
+      'Then…'
+    ];
+    const index = steps.children.length;
+    
+    const row = document.createElement('div');
+    row.className = 'breakdown-step';
+    row.innerHTML = `
+      <span class="breakdown-step-number">${index + 1}</span>
+      <input type="text" class="input breakdown-step-input" placeholder="${prompts[Math.min(index, prompts.length - 1)]}" aria-label="Step ${index + 1}">
+      <select class="select breakdown-step-estimate" aria-label="Step ${index + 1} estimate">
+        <option value="">? min</option>
+        <option value="2">2 min</option>
+        <option value="5">5 min</option>
+        <option value="10">10 min</option>
+        <option value="15">15 min</option>
+        <option value="25">25 min</option>
+      </select>
+    `;
+    
+    const input = row.querySelector('.breakdown-step-input');
+    input.addEventListener('keydown', (e) => {
+      if (e.key === 'Enter' && e.ctrlKey) {
+        e.preventDefault();
+        this.saveBreakdown();
+      } else if (e.key === 'Enter') {
+        e.preventDefault();
+        const next = row.nextElementSibling;
+        if (next) {
+          next.querySelector('.breakdown-step-input').focus();
+        } else {
+          this.addBreakdownStep();
+          steps.lastElementChild.querySelector('.breakdown-step-input').focus();
+        }
+      }
+    });
+    
+    steps.appendChild(row);
+  }
+
+  saveBreakdown() {
+    const taskId = this.breakdownTaskId;
+    const rows = document.querySelectorAll('#breakdownSteps .breakdown-step');
+    
+    const subtasks = Array.from(rows)
+      .map(row => ({
+        text: row.querySelector('.breakdown-step-input').value.trim(),
+        estimate: parseInt(row.querySelector('.breakdown-step-estimate').value, 10)
+      }))
+      .filter(step => step.text)
+      .map(step => ({
+        id: this.generateId(),
+        text: step.text,
+        completed: false,
+        completedAt: null,
+        estimatedMinutes: isNaN(step.estimate) ? null : step.estimate
+      }));
+    
+    if (subtasks.length === 0) {
+      this.toastManager.show('Write down at least one small step', 'warning');
+      return;
+    }
+    
+    this.stateManager.addSubtasks(taskId, subtasks);
+    this.expandedTasks.add(taskId);
+    this.closeBreakdown();
+    this.renderTasks();
+    
+    this.toastManager.show(`Broken down into ${subtasks.length} step${subtasks.length === 1 ? '' : 's'} 🪜 Start with the first one!`, 'success', null, {
+      actions: [{ label: 'Focus on step 1', callback: () => this.focusOnSubtask(taskId, subtasks[0].id) }]
+    });
+    this.analyticsManager.trackEvent('task_broken_down', { steps: subtasks.length });
+  }
+
+  closeBreakdown() {
+    const modal = document.getElementById('breakdownModal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+    this.breakdownTaskId = null;
+  }
+
+  suggestTaskEnergy(text) {
+    const lowEnergyKeywords = ['read', 'review', 'check', 'organize', 'sort', 'email'];
+    const highEnergyKeywords = ['create', 'write', 'design', 'develop', 'call', 'present', 'meeting'];
+    
+    const textLower = text.toLowerCase();
+    
+    if (lowEnergyKeywords.some(keyword => textLower.includes(keyword))) {
+      return 'low';
+    } else if (highEnergyKeywords.some(keyword => textLower.includes(keyword))) {
+      return 'high';
+    }
+    
+    return 'medium';
+  }
+
+  estimateTaskDuration(text) {
+    const shortKeywords = ['check', 'email', 'quick', 'brief'];
+    const longKeywords = ['project', 'report', 'presentation', 'research', 'develop'];
+    
+    const textLower = text.toLowerCase();
+    
+    if (shortKeywords.some(keyword => textLower.includes(keyword))) {
+      return 15;
+    } else if (longKeywords.some(keyword => textLower.includes(keyword))) {
+      return 90;
+    }
+    
+    return 25; // Default Pomodoro
+  }
+
+  checkTaskCompletionAchievements() {
+    const completedToday = this.stateManager.getTasksCompletedToday().length;
+    
+    if (completedToday === 5) {
+      this.toastManager.show('🏆 Five tasks completed today! You\'re on fire!', 'success');
+    } else if (completedToday === 10) {
+      this.toastManager.show('🚀 Ten tasks completed! Productivity master!', 'success');
+    }
+  }
+
+  filterTasks(filter) {
+    // Update active filter button
+    document.querySelectorAll('.filter-btn').forEach(btn => btn.classList.remove('active'));
+    document.querySelector(`[data-filter="${filter}"]`).classList.add('active');
+    
+    // Re-render tasks
+    this.renderTasks();
+    
+    this.analyticsManager.trackEvent('tasks_filtered', { filter });
+  }
+
+  filterByEnergy() {
+    this.filterTasks('energy');
+    
+    const energyLabel = this.stateManager.state.currentEnergy;
+    this.toastManager.show(`Showing ${energyLabel} energy tasks`, 'info');
+  }
+
   /* ===== Time Block Management ===== */
 
   renderTimeBlocks() {
-    const state = this.stateManager.state;
+    const view = this.getDayView();
     const container = document.getElementById('timeblocksContainer');
     const emptyState = document.getElementById('timeblocksEmptyState');
     
     if (!container) return;
     
-    if (state.timeBlocks.length === 0) {
+    // Don't pull the block out from under a drag in progress
+    if (this.timelineDrag) return;
+    
+    const timeline = this.stateManager.state.settings.timeBlockView === 'timeline';
+    this.renderTimeBlockViewToggle(timeline);
+    
+    const schedule = this.analyzeSchedule(view);
+    this.renderScheduleWarnings(schedule);
+    this.renderNextBlockCard(view, schedule);
+    
+    if (view.timeBlocks.length === 0 && !timeline) {
+      container.innerHTML = '';
       if (emptyState) emptyState.style.display = 'flex';
       return;
     } else {
@@ -676,29 +1398,42 @@ editPriority(index) {
     }
     
     // Sort by time
-    const sortedBlocks = [...state.timeBlocks].sort((a, b) => a.startTime.localeCompare(b.startTime));
+    const sortedBlocks = [...view.timeBlocks].sort((a, b) => a.startTime.localeCompare(b.startTime));
     
-    container.innerHTML = sortedBlocks.map(block => this.createTimeBlockHTML(block)).join('');
+    if (timeline) {
+      this.renderTimeline(container, sortedBlocks, schedule);
+    } else {
+      container.innerHTML = sortedBlocks.map(block => this.createTimeBlockHTML(block, schedule)).join('');
+    }
     
     // Check for active blocks
     this.updateActiveTimeBlocks();
   }
 
-  createTimeBlockHTML(block) {
-    const now = new Date();
-    const currentTime = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-    const isActive = this.isTimeBlockActive(block, currentTime);
+  createTimeBlockHTML(block, schedule) {
+    const isActive = block.id === schedule.activeBlockId;
     const activeClass = isActive ? 'active' : '';
+    const conflict = schedule.conflicts.get(block.id);
+    
+    const endTime = this.minutesToTimeString(Math.min(this.timeStringToMinutes(block.startTime) + block.duration, 24 * 60 - 1));
+    const colorClass = block.color ? `block-color-${block.color}` : '';
+    const linked = this.getLinkedItem(block.linkedTo);
     
     return `
-      <div class="timeblock-item ${activeClass}" data-block-id="${block.id}">
+      <div class="timeblock-item ${activeClass} ${colorClass} ${conflict ? 'conflict' : ''}" data-block-id="${block.id}">
         <div class="timeblock-time">
           ${block.startTime}
           ${isActive ? '<span class="active-indicator">NOW</span>' : ''}
+          ${conflict ? `<span class="conflict-indicator" title="${conflict}" aria-label="${conflict}">⚠️</span>` : ''}
         </div>
         <div class="timeblock-content">
           <div class="timeblock-task">${this.escapeHtml(block.task || 'Untitled block')}</div>
-          <div class="timeblock-duration">${block.duration} minutes</div>
+          <div class="timeblock-duration">
+            ${block.startTime}–${endTime} · ${block.duration} minutes
+            ${linked ? ` · ${block.linkedTo.type === 'priority' ? '🎯' : '✅'} linked` : ''}
+            ${block.fixed ? ' · 📌 fixed' : ''}
+          </div>
+          ${block.notes ? `<div class="timeblock-notes">${this.escapeHtml(block.notes)}</div>` : ''}
         </div>
         <div class="timeblock-actions">
           ${isActive ? `
@@ -731,6 +1466,16 @@ editPriority(index) {
     return currentMinutes >= blockStart && currentMinutes < blockEnd;
   }
 
+  // With overlapping blocks only the one that started most recently counts as now
+  findActiveTimeBlock(blocks) {
+    const now = new Date();
+    const currentTime = this.minutesToTimeString(now.getHours() * 60 + now.getMinutes());
+    
+    return blocks
+      .filter(block => this.isTimeBlockActive(block, currentTime))
+      .sort((a, b) => b.startTime.localeCompare(a.startTime))[0] || null;
+  }
+
   timeStringToMinutes(timeString) {
     const [hours, minutes] = timeString.split(':').map(Number);
     return hours * 60 + minutes;
@@ -738,849 +1483,7929 @@ editPriority(index) {
 
   updateActiveTimeBlocks() {
     // This runs every minute to update active status
-    setInterval(() => {
+    if (this.activeBlockTimer) return;
+    
+    this.activeBlockTimer = setInterval(() => {
+      const focused = document.activeElement && document.activeElement.closest('.timeline-block');
       this.renderTimeBlocks();
+      
+      // Re-rendering the timeline shouldn't throw a keyboard user out of their block
+      if (focused) {
+        const element = document.querySelector(`.timeline-block[data-block-id="${focused.dataset.blockId}"]`);
+        if (element) element.focus();
+      }
     }, 60000);
   }
 
   addTimeBlock() {
-    const now = new Date();
-    const timeString = `${String(now.getHours()).padStart(2, '0')}:${String(now.getMinutes()).padStart(2, '0')}`;
-    
-    const block = {
-      id: this.generateId(),
-      startTime: timeString,
-      duration: 60,
-      task: '',
-      energy: this.stateManager.state.currentEnergy,
-      createdAt: new Date().toISOString()
-    };
-    
-    this.stateManager.addTimeBlock(block);
-    this.renderTimeBlocks();
+    if (!this.canEditViewedDay()) return;
     
-    // Focus on editing the new block
-    setTimeout(() => this.editTimeBlock(block.id), 100);
+    this.showTimeBlockEditor(null);
   }
 
   editTimeBlock(blockId) {
     const block = this.stateManager.getTimeBlock(blockId);
     if (!block) return;
     
-    const task = prompt('Time block task:', block.task);
-    const startTime = prompt('Start time (HH:MM):', block.startTime);
-    const duration = parseInt(prompt('Duration (minutes):', block.duration));
-    
-    if (task !== null && startTime !== null && !isNaN(duration)) {
-      this.stateManager.updateTimeBlock(blockId, {
-        task: task.trim(),
-        startTime,
-        duration
-      });
-      
-      this.renderTimeBlocks();
-      this.toastManager.show('Time block updated', 'success');
-    }
+    this.showTimeBlockEditor(block);
   }
 
-  deleteTimeBlock(blockId) {
-    if (!confirm('Delete this time block?')) return;
-    
-    this.stateManager.deleteTimeBlock(blockId);
-    this.renderTimeBlocks();
-    this.toastManager.show('Time block deleted', 'info');
-  }
+  /* ===== Schedule Checks ===== */
 
-  startTimeBlockFocus(blockId) {
-    const block = this.stateManager.getTimeBlock(blockId);
-    if (!block) return;
+  analyzeSchedule(view = this.getDayView()) {
+    const settings = this.stateManager.state.settings;
+    const mode = this.getViewMode();
+    const now = new Date();
     
-    this.focusManager.startFocusSession(block.task || 'Time Block', {
-      type: 'timeblock',
-      id: blockId,
-      duration: block.duration,
-      energy: block.energy
+    const schedule = this.scheduleAnalyzer.analyze(view.timeBlocks, {
+      buffer: Number(settings.transitionBuffer) || 0,
+      dayStart: this.timeStringToMinutes(settings.dayStartTime),
+      dayEnd: this.timeStringToMinutes(settings.dayEndTime),
+      from: mode === 'today' ? now.getHours() * 60 + now.getMinutes() : undefined
     });
+    
+    schedule.mode = mode;
+    schedule.activeBlockId = mode === 'today' ? (this.findActiveTimeBlock(view.timeBlocks) || {}).id : null;
+    return schedule;
   }
 
-  /* ===== Thought/Distraction Management ===== */
-
-  renderThoughts() {
-    const state = this.stateManager.state;
-    const container = document.getElementById('thoughtsContainer');
-    const emptyState = document.getElementById('thoughtsEmptyState');
-    const clearButton = document.getElementById('clearThoughtsBtn');
-    
+  renderScheduleWarnings(schedule) {
+    const container = document.getElementById('scheduleWarnings');
     if (!container) return;
     
-    if (state.capturedThoughts.length === 0) {
-      if (emptyState) emptyState.style.display = 'flex';
-      if (clearButton) clearButton.disabled = true;
+    // The archive is a record of what happened, not something to fix
+    if (schedule.mode === 'past') {
+      container.innerHTML = '';
       return;
-    } else {
-      if (emptyState) emptyState.style.display = 'none';
-      if (clearButton) clearButton.disabled = false;
     }
     
-    // Show most recent thoughts first
-    const recentThoughts = [...state.capturedThoughts]
-      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
-      .slice(0, 10); // Limit to 10 most recent
+    const name = (block) => `'${this.escapeHtml(block.task || block.startTime)}'`;
+    const format = (minutes) => this.scheduleAnalyzer.formatMinutes(minutes);
+    const warnings = [];
     
-    container.innerHTML = recentThoughts.map(thought => this.createThoughtHTML(thought)).join('');
-  }
-
-  createThoughtHTML(thought) {
-    const timestamp = new Date(thought.timestamp).toLocaleTimeString();
+    // Shifting only moves flexible blocks, so there's no fix to offer when the later one is fixed
+    schedule.overlaps.forEach(({ first, second, minutes }) => {
+      warnings.push({
+        message: `${name(first)} and ${name(second)} overlap by ${format(minutes)}`,
+        fix: second.fixed
+          ? ''
+          : `<button class="btn btn-outline btn-sm" onclick="app.makeRoomAfter('${first.id}')">Shift later blocks</button>`
+      });
+    });
     
-    return `
-      <div class="thought-item" data-thought-id="${thought.id}">
-        <div class="thought-text">${this.escapeHtml(thought.text)}</div>
-        <div class="thought-timestamp">${timestamp}</div>
+    schedule.tightGaps.forEach(({ before, after, gap }) => {
+      warnings.push({
+        message: gap === 0
+          ? `No break between ${name(before)} and ${name(after)}`
+          : `Only ${format(gap)} between ${name(before)} and ${name(after)}`,
+        fix: after.fixed
+          ? ''
+          : `<button class="btn btn-outline btn-sm" onclick="app.makeRoomAfter('${before.id}')">Add ${this.stateManager.state.settings.transitionBuffer} min buffer</button>`
+      });
+    });
+    
+    schedule.overruns.forEach(({ block, minutes }) => {
+      warnings.push({
+        message: `${name(block)} runs ${format(minutes)} past the end of your day (${this.stateManager.state.settings.dayEndTime})`,
+        fix: `<button class="btn btn-outline btn-sm" onclick="app.moveTimeBlockToNextDay('${block.id}')">Move to next day</button>`
+      });
+    });
+    
+    if (schedule.overcommittedBy > 0) {
+      const left = schedule.mode === 'today' ? 'left today' : 'in the day';
+      warnings.push({
+        message: `${format(schedule.plannedMinutes)} of blocks but only ${format(schedule.availableMinutes)} of waking time ${left} - ${format(schedule.overcommittedBy)} won't fit`,
+        fix: ''
+      });
+    }
+    
+    container.innerHTML = warnings.map(warning => `
+      <div class="schedule-warning">
+        <span class="schedule-warning-icon" aria-hidden="true">⚠️</span>
+        <span class="schedule-warning-text">${warning.message}</span>
+        ${warning.fix}
       </div>
-    `;
+    `).join('');
   }
 
-  saveCapturedThought() {
-    const input = document.getElementById('captureInput');
-    if (!input) return;
+  makeRoomAfter(blockId) {
+    if (!this.canEditViewedDay()) return;
     
-    const text = input.value.trim();
-    if (!text) return;
+    const anchor = this.stateManager.getTimeBlock(blockId);
+    if (!anchor) return;
     
-    const thought = {
-      id: this.generateId(),
-      text,
-      timestamp: new Date().toISOString(),
-      reviewed: false
-    };
+    const buffer = Number(this.stateManager.state.settings.transitionBuffer) || 0;
+    const changes = this.scheduleAnalyzer.makeRoomAfter(this.getDayView().timeBlocks, blockId, buffer);
     
-    this.stateManager.addThought(thought);
-    input.value = '';
+    if (changes === null) {
+      this.toastManager.show('Not enough room before midnight - move or shorten a block instead', 'warning');
+      return;
+    }
+    if (changes.length === 0) {
+      this.toastManager.show('The blocks after it are fixed appointments and stay where they are - move or shorten this one instead', 'info');
+      return;
+    }
     
-    this.renderThoughts();
-    this.toggleQuickCapture();
+    const entryId = this.stateManager.updateTimeBlocks(
+      changes.map(change => ({ id: change.id, updates: { startTime: change.startTime } })),
+      `Shifted ${changes.length} time block${changes.length === 1 ? '' : 's'} after '${anchor.task || anchor.startTime}'`
+    );
+    this.renderTimeBlocks();
     
-    this.toastManager.show('Thought captured! 💭', 'success');
-    this.analyticsManager.trackEvent('thought_captured', { length: text.length });
+    this.showUndoToast(`Shifted ${changes.length} later block${changes.length === 1 ? '' : 's'}`, entryId);
+    this.analyticsManager.trackEvent('schedule_fixed', { fix: 'shift', blocks: changes.length });
+  }
+
+  moveTimeBlockToNextDay(blockId) {
+    if (!this.canEditViewedDay()) return;
     
-    // Check for achievement
-    if (this.stateManager.state.capturedThoughts.length === 1) {
-      this.toastManager.show('First distraction captured! Great focus technique! 🧠', 'success');
-    }
+    const block = this.stateManager.getTimeBlock(blockId);
+    if (!block) return;
+    
+    const day = this.stateManager.recurrence.fromDateKey(block.date || this.getDayView().date);
+    day.setDate(day.getDate() + 1);
+    const nextDay = this.stateManager.recurrence.toDateKey(day);
+    
+    const entryId = this.stateManager.updateTimeBlock(blockId, { date: nextDay }, `Moved time block '${block.task || block.startTime}' to ${nextDay}`);
+    this.renderTimeBlocks();
+    
+    this.showUndoToast(`Moved ${block.task || 'time block'} to ${this.formatDue(nextDay)}`, entryId);
+    this.analyticsManager.trackEvent('schedule_fixed', { fix: 'next_day' });
   }
 
-  clearThoughts() {
-    if (!confirm('Clear all captured thoughts? This action cannot be undone.')) return;
+  snoozeTimeBlock(blockId, minutes = 5) {
+    const block = this.stateManager.getTimeBlock(blockId);
+    if (!block) return;
     
-    this.stateManager.clearThoughts();
-    this.renderThoughts();
-    this.toastManager.show('Thoughts cleared', 'info');
+    const startTime = this.minutesToTimeString(this.timeStringToMinutes(block.startTime) + minutes);
+    this.applyShift(block, { startTime }, `Snoozed '${block.task || block.startTime}' by ${minutes} minutes`);
   }
 
-  /* ===== Energy Level Management ===== */
+  extendTimeBlock(blockId, minutes = 15) {
+    const block = this.stateManager.getTimeBlock(blockId);
+    if (!block) return;
+    
+    this.applyShift(block, { duration: block.duration + minutes }, `Extended '${block.task || block.startTime}' by ${minutes} minutes`);
+  }
 
-  cycleEnergyLevel() {
-    const levels = ['low', 'medium', 'high', 'crisis'];
-    const currentIndex = levels.indexOf(this.stateManager.state.currentEnergy);
-    const nextIndex = (currentIndex + 1) % levels.length;
-    const newEnergy = levels[nextIndex];
+  // Moves one block and whatever it would now run into, as a single undo step
+  applyShift(block, updates, label) {
+    const buffer = Number(this.stateManager.state.settings.transitionBuffer) || 0;
+    const dayBlocks = this.stateManager.getDayView(block.date || undefined).timeBlocks;
+    const changes = this.scheduleAnalyzer.shiftBlock(dayBlocks, block.id, updates, buffer);
     
-    this.stateManager.updateEnergyLevel(newEnergy);
-    this.updateEnergyDisplay();
+    if (changes === null) {
+      this.toastManager.show('Not enough room before midnight - move or shorten a block instead', 'warning');
+      return;
+    }
     
-    // Show energy-specific message
-    const messages = {
-      low: 'Low energy mode - focusing on gentle tasks 🟢',
-      medium: 'Medium energy - balanced productivity 🟡',
-      high: 'High energy - tackle challenging tasks! 🔴',
-      crisis: 'Overwhelm mode - breaking things down 🆘'
-    };
+    const entryId = this.stateManager.updateTimeBlocks(changes, label);
+    this.renderTimeBlocks();
     
-    this.toastManager.show(messages[newEnergy], 'info');
+    const moved = changes.length - 1;
+    this.showUndoToast(moved > 0 ? `${label}, ${moved} later block${moved === 1 ? '' : 's'} moved along` : label, entryId);
+    this.analyticsManager.trackEvent('schedule_shifted', { updates: Object.keys(updates), moved });
+  }
+
+  // "What's next" card: the current block and the one after it, while either is close
+  renderNextBlockCard(view, schedule) {
+    const card = document.getElementById('nextBlockCard');
+    if (!card) return;
     
-    // Auto-filter tasks if energy filter is active
-    const activeFilter = document.querySelector('.filter-btn.active')?.dataset.filter;
-    if (activeFilter === 'energy') {
-      this.renderTasks();
+    const now = new Date();
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const current = schedule.activeBlockId ? view.timeBlocks.find(block => block.id === schedule.activeBlockId) : null;
+    const next = schedule.mode === 'today'
+      ? this.scheduleAnalyzer.sort(view.timeBlocks).find(block => this.timeStringToMinutes(block.startTime) > minutes)
+      : null;
+    const startsIn = next ? this.timeStringToMinutes(next.startTime) - minutes : null;
+    
+    if (!current && (!next || startsIn > 60)) {
+      card.hidden = true;
+      card.innerHTML = '';
+      return;
     }
     
-    // Show crisis mode if needed
-    if (newEnergy === 'crisis') {
-      setTimeout(() => this.enterCalmMode(), 1000);
-    }
+    const endOf = (block) => this.minutesToTimeString(Math.min(this.timeStringToMinutes(block.startTime) + block.duration, 24 * 60 - 1));
+    const energyIcons = { high: '⚡', medium: '🔋', low: '🪫' };
     
-    this.analyticsManager.trackEvent('energy_level_changed', { newEnergy });
-  }
-
-  /* ===== Theme Management ===== */
+    card.hidden = false;
+    card.innerHTML = `
+      ${current ? `
+        <div class="next-block-row">
+          <div>
+            <div class="next-block-label">Now · until ${endOf(current)}</div>
+            <div class="next-block-name">${this.escapeHtml(current.task || 'Untitled block')}</div>
+          </div>
+          <button class="btn btn-ghost btn-sm" onclick="app.extendTimeBlock('${current.id}', 15)">Extend 15 min</button>
+        </div>
+      ` : ''}
+      ${next ? `
+        <div class="next-block-row">
+          <div>
+            <div class="next-block-label">Up next · in ${this.scheduleAnalyzer.formatMinutes(startsIn)}</div>
+            <div class="next-block-name">${this.escapeHtml(next.task || 'Untitled block')}</div>
+            <div class="next-block-meta">
+              ${next.startTime}–${endOf(next)} · ${next.duration} min · ${energyIcons[next.energy] || ''} ${next.energy} energy
+              ${this.getLinkedItem(next.linkedTo) ? ` · ${next.linkedTo.type === 'priority' ? '🎯' : '✅'} linked` : ''}
+            </div>
+            ${next.notes ? `<div class="next-block-notes">${this.escapeHtml(next.notes)}</div>` : ''}
+          </div>
+          <button class="btn btn-ghost btn-sm" onclick="app.snoozeTimeBlock('${next.id}', 5)">Snooze 5 min</button>
+        </div>
+      ` : ''}
+    `;
+  }
 
-  applyTheme(themeName) {
-    document.body.className = `theme-${themeName}`;
-    this.stateManager.updateSettings({ theme: themeName });
+  // After a save, point out a clash with the block just written while it's fresh
+  warnAboutOverlap(blockId) {
+    const schedule = this.analyzeSchedule();
+    const overlap = schedule.overlaps.find(({ first, second }) => first.id === blockId || second.id === blockId);
+    if (!overlap) return false;
     
-    // Update theme selector
-    document.querySelectorAll('.theme-option').forEach(option => {
-      option.classList.toggle('active', option.dataset.theme === themeName);
+    const other = overlap.first.id === blockId ? overlap.second : overlap.first;
+    this.toastManager.show(`Overlaps ${other.task || 'another block'} at ${other.startTime}`, 'warning', 6000, {
+      actions: overlap.second.fixed
+        ? []
+        : [{ label: 'Shift later blocks', callback: () => this.makeRoomAfter(overlap.first.id) }]
     });
-    
-    this.analyticsManager.trackEvent('theme_changed', { theme: themeName });
+    return true;
   }
 
-  /* ===== Focus Mode Integration ===== */
+  /* ===== Day Templates ===== */
 
-  enterFocusMode() {
-    // Show priority/task selection if none selected
-    const state = this.stateManager.state;
-    const nextPriority = state.priorities.find(p => !p.completed && p.text.trim());
-    const nextTask = state.tasks.find(t => !t.completed);
+  showTemplates() {
+    const modal = document.getElementById('templatesModal');
+    if (!modal) return;
     
-    if (nextPriority) {
-      this.focusManager.startFocusSession(nextPriority.text, {
-        type: 'priority',
-        index: state.priorities.indexOf(nextPriority),
-        energy: nextPriority.energy
-      });
-    } else if (nextTask) {
-      this.focusManager.startFocusSession(nextTask.text, {
-        type: 'task',
-        id: nextTask.id,
-        energy: nextTask.energy
-      });
-    } else {
-      this.focusManager.showFocusSelector();
-    }
+    this.templateDraft = null;
+    this.renderTemplates();
+    modal.classList.add('active');
   }
 
-  /* ===== Calm/Crisis Mode ===== */
-
-  enterCalmMode() {
-    const overlay = document.getElementById('calmMode');
-    if (overlay) {
-      overlay.classList.add('active');
-      this.startBreathingGuide();
-      this.showCalmAction();
+  renderTemplates() {
+    const list = document.getElementById('templateList');
+    const editor = document.getElementById('templateEditor');
+    if (!list || !editor) return;
+    
+    const editing = Boolean(this.templateDraft);
+    list.hidden = editing;
+    editor.hidden = !editing;
+    document.getElementById('templateSaveDay').hidden = editing;
+    
+    if (editing) {
+      this.renderTemplateEditor();
+      return;
     }
     
-    this.analyticsManager.trackEvent('calm_mode_entered');
-  }
-
-  exitCalmMode() {
-    const overlay = document.getElementById('calmMode');
-    if (overlay) {
-      overlay.classList.remove('active');
-      this.stopBreathingGuide();
+    const templates = this.stateManager.state.dayTemplates;
+    const dayNames = this.stateManager.recurrence.dayNames;
+    const weekOrder = [1, 2, 3, 4, 5, 6, 0];
+    
+    if (templates.length === 0) {
+      list.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">📋</div>
+          <div class="empty-title">No templates yet</div>
+          <div class="empty-description">Plan a typical day's blocks, then save it as a template below</div>
+        </div>
+      `;
+      return;
     }
+    
+    list.innerHTML = templates.map(template => `
+      <div class="template-item" data-template-id="${template.id}">
+        <div class="template-header">
+          <div>
+            <div class="template-name">${this.escapeHtml(template.name)}</div>
+            <div class="template-summary">
+              ${template.blocks.length} block${template.blocks.length === 1 ? '' : 's'}
+              ${template.blocks.length > 0 ? ` · ${this.scheduleAnalyzer.sort(template.blocks)[0].startTime} onwards` : ''}
+            </div>
+          </div>
+          <div class="template-actions">
+            <button class="btn btn-outline btn-sm" onclick="app.applyDayTemplate('${template.id}')">Apply</button>
+            <button class="btn-icon" onclick="app.editDayTemplate('${template.id}')" title="Edit template" aria-label="Edit ${this.escapeHtml(template.name)}">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <path d="M11,4H4A2,2 0,0,0 2,6V18A2,2 0,0,0 4,20H16A2,2 0,0,0 18,18V13"></path>
+                <path d="M18.5,2.5A2.12,2.12 0,0,1 21,4.62A2.12,2.12 0,0,1 18.5,6.74L10,15.25L6,16.25L7,12.25L15.5,3.75Z"></path>
+              </svg>
+            </button>
+            <button class="btn-icon btn-delete" onclick="app.deleteDayTemplate('${template.id}')" title="Delete template" aria-label="Delete ${this.escapeHtml(template.name)}">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <polyline points="3,6 5,6 21,6"></polyline>
+                <path d="M19,6v14a2,2 0,0,1-2,2H7a2,2 0,0,1-2-2V6"></path>
+              </svg>
+            </button>
+          </div>
+        </div>
+        <div class="template-days" role="group" aria-label="Apply automatically on">
+          ${weekOrder.map(day => `
+            <button class="template-day ${template.days.includes(day) ? 'active' : ''}"
+                    aria-pressed="${template.days.includes(day)}"
+                    title="${dayNames[day]}"
+                    onclick="app.toggleTemplateWeekday('${template.id}', ${day})">${dayNames[day].slice(0, 2)}</button>
+          `).join('')}
+        </div>
+      </div>
+    `).join('');
   }
 
-  startBreathingGuide() {
-    const circle = document.querySelector('.breathing-circle');
-    const text = document.getElementById('breathingText');
+  saveDayAsTemplate() {
+    const input = document.getElementById('templateName');
+    const name = input ? input.value.trim() : '';
+    const blocks = this.getDayView().timeBlocks;
     
-    if (!circle || !text) return;
+    if (!name) {
+      this.toastManager.show('Give the template a name first', 'warning');
+      if (input) input.focus();
+      return;
+    }
+    if (blocks.length === 0) {
+      this.toastManager.show('Add some time blocks to this day first', 'warning');
+      return;
+    }
     
-    let phase = 'inhale';
-    let cycle = 0;
+    // Links point at one day's priorities and tasks, so they stay behind
+    const templateBlocks = this.scheduleAnalyzer.sort(blocks).map(block => ({
+      ...this.stateManager.getDefaultTemplateBlock(),
+      ...this.pickTemplateFields(block)
+    }));
     
-    const updateBreathing = () => {
-      if (phase === 'inhale') {
-        text.textContent = 'Breathe in...';
-        circle.className = 'breathing-circle inhale';
-        setTimeout(() => {
-          phase = 'exhale';
-          updateBreathing();
-        }, 4000);
-      } else {
-        text.textContent = 'Breathe out...';
-        circle.className = 'breathing-circle exhale';
-        setTimeout(() => {
-          phase = 'inhale';
-          cycle++;
-          if (cycle < 3) {
-            updateBreathing();
-          } else {
-            text.textContent = 'Well done 🌟';
-            circle.className = 'breathing-circle';
-          }
-        }, 4000);
-      }
-    };
+    const entryId = this.stateManager.addDayTemplate({
+      ...this.stateManager.getDefaultDayTemplate(),
+      id: this.generateId(),
+      name,
+      blocks: templateBlocks
+    });
     
-    updateBreathing();
+    input.value = '';
+    this.renderTemplates();
+    this.showUndoToast(`Saved template '${name}' with ${templateBlocks.length} block${templateBlocks.length === 1 ? '' : 's'}`, entryId);
+    this.analyticsManager.trackEvent('template_saved', { blocks: templateBlocks.length });
   }
 
-  stopBreathingGuide() {
-    // Reset breathing guide
-    const circle = document.querySelector('.breathing-circle');
-    const text = document.getElementById('breathingText');
+  pickTemplateFields(block) {
+    const { startTime, duration, task, energy, color, notes } = block;
+    return { startTime, duration, task, energy, color, notes };
+  }
+
+  toggleTemplateWeekday(templateId, weekday) {
+    this.stateManager.toggleTemplateWeekday(templateId, weekday);
+    this.renderTemplates();
+  }
+
+  deleteDayTemplate(templateId) {
+    const template = this.stateManager.getDayTemplate(templateId);
+    if (!template) return;
     
-    if (circle) circle.className = 'breathing-circle';
-    if (text) text.textContent = 'Breathe';
+    const entryId = this.stateManager.deleteDayTemplate(templateId);
+    this.renderTemplates();
+    this.showUndoToast(`Template moved to trash: ${template.name}`, entryId);
   }
 
-  showCalmAction() {
-    const actions = [
-      'Take three deep breaths',
-      'Drink a glass of water',
-      'Look out the window for 30 seconds',
-      'Write down how you\'re feeling',
-      'Do 5 jumping jacks or stretch',
-      'Organize one small area',
-      'Listen to a favorite song',
-      'Make a warm drink'
-    ];
+  /**
+   * Adds a template's blocks to a day, leaving out any that would overlap
+   * blocks already there. Returns { added, skipped }.
+   */
+  applyDayTemplate(templateId, dateKey = null, automatic = false) {
+    const template = this.stateManager.getDayTemplate(templateId);
+    if (!template) return { added: 0, skipped: 0 };
+    if (!automatic && !this.canEditViewedDay()) return { added: 0, skipped: 0 };
     
-    const actionElement = document.getElementById('calmActionText');
-    if (actionElement) {
-      const randomAction = actions[Math.floor(Math.random() * actions.length)];
-      actionElement.textContent = randomAction;
+    const date = dateKey || this.getDayView().date;
+    const existing = this.stateManager.getDayView(date).timeBlocks;
+    const createdAt = new Date().toISOString();
+    const blocks = [];
+    let skipped = 0;
+    
+    template.blocks.forEach(templateBlock => {
+      const clash = [...existing, ...blocks].some(block =>
+        this.scheduleAnalyzer.startOf(block) < this.scheduleAnalyzer.endOf(templateBlock) &&
+        this.scheduleAnalyzer.startOf(templateBlock) < this.scheduleAnalyzer.endOf(block));
+      if (clash) {
+        skipped++;
+        return;
+      }
+      
+      blocks.push({
+        ...this.stateManager.getDefaultTimeBlock(),
+        ...this.pickTemplateFields(templateBlock),
+        id: this.generateId(),
+        date,
+        createdAt
+      });
+    });
+    
+    let entryId = null;
+    if (blocks.length > 0) {
+      entryId = this.stateManager.addTimeBlocks(blocks, `Applied template '${template.name}'`);
+      this.renderTimeBlocks();
+    }
+    
+    if (!automatic) {
+      this.closeTemplates();
+    }
+    
+    const clashes = skipped > 0 ? ` (${skipped} skipped - already busy)` : '';
+    if (blocks.length > 0) {
+      this.showUndoToast(`📋 ${template.name}: ${blocks.length} block${blocks.length === 1 ? '' : 's'} added${clashes}`, entryId);
+    } else if (!automatic) {
+      this.toastManager.show(`Nothing added - every block in '${template.name}' clashes with this day`, 'warning');
     }
+    
+    this.analyticsManager.trackEvent('template_applied', { added: blocks.length, skipped, automatic });
+    return { added: blocks.length, skipped };
   }
 
-  completeCalmAction() {
-    this.toastManager.show('Great job! 💪 You\'re taking care of yourself.', 'success');
-    this.showNextCalmAction();
-    this.analyticsManager.trackEvent('calm_action_completed');
+  // Daily reset: lay out today's blocks from the template assigned to this weekday
+  applyScheduledTemplate() {
+    const todayKey = this.stateManager.recurrence.toDateKey(new Date());
+    const template = this.stateManager.getTemplateForDate(todayKey);
+    if (!template) return;
+    
+    this.applyDayTemplate(template.id, todayKey, true);
   }
 
-  showNextCalmAction() {
-    this.showCalmAction();
+  editDayTemplate(templateId) {
+    const template = this.stateManager.getDayTemplate(templateId);
+    if (!template) return;
+    
+    this.templateDraft = {
+      id: template.id,
+      name: template.name,
+      blocks: this.scheduleAnalyzer.sort(template.blocks).map(block => ({ ...block }))
+    };
+    this.renderTemplates();
   }
 
-  getNextCalmAction() {
-    this.showCalmAction();
+  renderTemplateEditor() {
+    const rows = document.getElementById('templateBlockRows');
+    if (!rows) return;
+    
+    document.getElementById('templateEditName').value = this.templateDraft.name;
+    document.getElementById('templateEditorError').textContent = '';
+    
+    const energyOptions = ['high', 'medium', 'low']
+      .map(energy => `<option value="${energy}">${energy[0].toUpperCase()}${energy.slice(1)}</option>`)
+      .join('');
+    
+    rows.innerHTML = this.templateDraft.blocks.map((block, index) => `
+      <div class="template-block-row" data-index="${index}">
+        <input type="text" class="input" data-field="task" value="${this.escapeHtml(block.task)}" placeholder="Block name" aria-label="Block name">
+        <input type="time" class="input" data-field="startTime" value="${block.startTime}" aria-label="Start time">
+        <input type="number" class="input" data-field="duration" value="${block.duration}" min="5" max="720" step="5" aria-label="Duration in minutes">
+        <select class="select" data-field="energy" aria-label="Energy">${energyOptions}</select>
+        <button class="btn-icon btn-delete" onclick="app.removeTemplateBlockRow(${index})" title="Remove block" aria-label="Remove block">
+          <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+            <line x1="18" y1="6" x2="6" y2="18"></line>
+            <line x1="6" y1="6" x2="18" y2="18"></line>
+          </svg>
+        </button>
+      </div>
+    `).join('');
+    
+    rows.querySelectorAll('.template-block-row').forEach(row => {
+      row.querySelector('[data-field="energy"]').value = this.templateDraft.blocks[Number(row.dataset.index)].energy;
+    });
   }
 
-  /* ===== Quick Capture ===== */
+  // Pulls the editor inputs back into the draft so re-rendering keeps unsaved edits
+  readTemplateEditor() {
+    this.templateDraft.name = document.getElementById('templateEditName').value.trim();
+    
+    document.querySelectorAll('#templateBlockRows .template-block-row').forEach(row => {
+      const block = this.templateDraft.blocks[Number(row.dataset.index)];
+      const value = (field) => row.querySelector(`[data-field="${field}"]`).value;
+      
+      block.task = value('task').trim();
+      block.startTime = value('startTime');
+      block.duration = value('duration') === '' ? NaN : Number(value('duration'));
+      block.energy = value('energy');
+    });
+  }
 
-  toggleQuickCapture() {
-    const capture = document.getElementById('quickCapture');
-    const input = document.getElementById('captureInput');
+  addTemplateBlockRow() {
+    if (!this.templateDraft) return;
     
-    if (!capture) return;
+    this.readTemplateEditor();
+    const last = this.scheduleAnalyzer.sort(this.templateDraft.blocks.filter(block => this.isValidTime(block.startTime) && block.duration > 0)).pop();
+    const startTime = last ? this.minutesToTimeString(Math.min(this.scheduleAnalyzer.endOf(last), 23 * 60)) : '09:00';
     
-    const isActive = capture.classList.contains('active');
+    this.templateDraft.blocks.push({ ...this.stateManager.getDefaultTemplateBlock(), startTime });
+    this.renderTemplateEditor();
     
-    if (isActive) {
-      capture.classList.remove('active');
-    } else {
-      capture.classList.add('active');
-      if (input) {
-        setTimeout(() => input.focus(), 100);
-      }
-    }
+    const rows = document.querySelectorAll('#templateBlockRows .template-block-row');
+    rows[rows.length - 1].querySelector('[data-field="task"]').focus();
   }
 
-  /* ===== Settings Management ===== */
-
-  toggleSettings() {
-    this.settingsPanel.toggle();
+  removeTemplateBlockRow(index) {
+    if (!this.templateDraft) return;
+    
+    this.readTemplateEditor();
+    this.templateDraft.blocks.splice(index, 1);
+    this.renderTemplateEditor();
   }
 
-  /* ===== Daily Planning ===== */
-
-  planPriorities() {
-    // Focus on first empty priority
-    const firstEmptyPriority = document.querySelector('.priority-input:not([value])');
-    if (firstEmptyPriority) {
-      firstEmptyPriority.focus();
-      firstEmptyPriority.select();
-    } else {
-      // All filled, focus on first one
-      const firstPriority = document.querySelector('.priority-input');
-      if (firstPriority) {
-        firstPriority.focus();
-        firstPriority.select();
-      }
+  saveTemplateEdits() {
+    if (!this.templateDraft) return;
+    
+    this.readTemplateEditor();
+    const error = document.getElementById('templateEditorError');
+    const { id, name, blocks } = this.templateDraft;
+    
+    if (!name) {
+      error.textContent = 'Give the template a name';
+      document.getElementById('templateEditName').focus();
+      return;
     }
     
-    this.toastManager.show('Plan your top 3 priorities for today', 'info');
+    const invalidIndex = blocks.findIndex(block => Object.keys(this.validateTimeBlock(block)).length > 0);
+    if (invalidIndex !== -1) {
+      const errors = this.validateTimeBlock(blocks[invalidIndex]);
+      const field = Object.keys(errors)[0];
+      error.textContent = `Block ${invalidIndex + 1}: ${field === 'task' ? 'Give the block a name' : errors[field]}`;
+      
+      const input = document.querySelector(`#templateBlockRows [data-index="${invalidIndex}"] [data-field="${field}"]`);
+      if (input) input.focus();
+      return;
+    }
+    
+    this.stateManager.updateDayTemplate(id, { name, blocks: this.scheduleAnalyzer.sort(blocks) });
+    this.templateDraft = null;
+    this.renderTemplates();
+    this.toastManager.show(`Template '${name}' saved`, 'success');
   }
 
-  /* ===== Analytics Integration ===== */
-
-  viewAnalytics() {
-    this.analyticsManager.showAnalytics();
+  cancelTemplateEdit() {
+    this.templateDraft = null;
+    this.renderTemplates();
   }
 
-  /* ===== Break Reminders ===== */
-
-  checkBreakReminders() {
-    const now = new Date();
-    const lastBreak = new Date(this.stateManager.state.lastBreakTime || 0);
-    const breakInterval = this.stateManager.state.settings.breakInterval * 60 * 1000; // Convert to ms
+  closeTemplates() {
+    const modal = document.getElementById('templatesModal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+    this.templateDraft = null;
+  }
+
+  /* ===== Auto-Plan ===== */
+
+  // Open priorities first, then tasks with a due date (oldest first), then the rest in list order.
+  // Anything that already has a block on this day is left alone.
+  getAutoPlanItems(view) {
+    const focusMinutes = Number(this.stateManager.state.settings.focusDuration) || 25;
+    const linked = new Set(view.timeBlocks
+      .filter(block => block.linkedTo)
+      .map(block => `${block.linkedTo.type}:${block.linkedTo.id}`));
+    
+    const priorities = view.priorities
+      .filter(priority => priority.text.trim() && !priority.completed && !linked.has(`priority:${priority.id}`))
+      .map(priority => ({
+        key: `priority:${priority.id}`,
+        kind: 'priority',
+        text: priority.text,
+        energy: priority.energy || 'medium',
+        minutes: priority.estimatedMinutes || focusMinutes,
+        linkedTo: { type: 'priority', id: priority.id },
+        fixedStart: null
+      }));
+    
+    const tasks = view.tasks
+      .filter(task => !task.completed && !linked.has(`task:${task.id}`))
+      .filter(task => !task.dueDate || task.dueDate <= view.date)
+      .sort((a, b) => (a.dueDate || '9999').localeCompare(b.dueDate || '9999'))
+      .map(task => {
+        const stepMinutes = (task.subtasks || [])
+          .filter(subtask => !subtask.completed)
+          .reduce((sum, subtask) => sum + (subtask.estimatedMinutes || 0), 0);
+        
+        return {
+          key: `task:${task.id}`,
+          kind: 'task',
+          text: task.text,
+          energy: task.energy || 'medium',
+          minutes: task.estimatedMinutes || stepMinutes || focusMinutes,
+          linkedTo: { type: 'task', id: task.id },
+          fixedStart: task.dueDate === view.date && task.dueTime ? this.timeStringToMinutes(task.dueTime) : null
+        };
+      });
     
-    if (now - lastBreak > breakInterval) {
-      this.suggestBreak();
-    }
+    return [...priorities, ...tasks];
   }
 
-  suggestBreak() {
-    const suggestions = [
-      '🧘 Take 5 deep breaths',
-      '💧 Drink some water',
-      '👀 Look away from screen for 20 seconds',
-      '🚶 Walk around for 2 minutes',
-      '🤸 Do some stretches',
-      '🌅 Get some natural light'
-    ];
+  showAutoPlan() {
+    if (!this.canEditViewedDay()) return;
     
-    const randomSuggestion = suggestions[Math.floor(Math.random() * suggestions.length)];
+    const modal = document.getElementById('autoPlanModal');
+    if (!modal) return;
     
-    if (confirm(`Break time! 🔔\n\n${randomSuggestion}\n\nTake a break now?`)) {
-      this.takeBreak();
+    const view = this.getDayView();
+    const settings = this.stateManager.state.settings;
+    const now = new Date();
+    const items = this.getAutoPlanItems(view);
+    
+    if (items.length === 0) {
+      this.toastManager.show('Nothing left to plan - every open item already has a time block', 'info');
+      return;
     }
+    
+    const proposal = this.autoScheduler.propose(items, view.timeBlocks, {
+      from: this.getViewMode() === 'today' ? now.getHours() * 60 + now.getMinutes() : undefined,
+      dayStart: this.timeStringToMinutes(settings.dayStartTime),
+      dayEnd: this.timeStringToMinutes(settings.dayEndTime),
+      buffer: Number(settings.transitionBuffer) || 0,
+      breakInterval: Number(settings.breakInterval) || 0,
+      energyByHour: this.analyticsManager.getEnergyByHour()
+    });
+    
+    this.autoPlan = { date: view.date, ...proposal };
+    this.renderAutoPlan();
+    
+    modal.classList.add('active');
+    this.analyticsManager.trackEvent('auto_plan_proposed', {
+      blocks: proposal.blocks.length,
+      unscheduled: proposal.unscheduled.length
+    });
   }
 
-  takeBreak() {
-    this.stateManager.updateState({ lastBreakTime: new Date().toISOString() });
-    this.focusManager.pauseFocusSession();
+  renderAutoPlan() {
+    const list = document.getElementById('autoPlanList');
+    const summary = document.getElementById('autoPlanSummary');
+    if (!list || !this.autoPlan) return;
+    
+    const { blocks, unscheduled } = this.autoPlan;
+    const work = blocks.filter(block => !block.isBreak);
+    const energyIcons = { high: '⚡', medium: '🔋', low: '🪫' };
+    
+    if (summary) {
+      summary.textContent = work.length > 0
+        ? `${this.formatDue(this.autoPlan.date)}: ${work.length} item${work.length === 1 ? '' : 's'} fit into your free time. Untick anything you'd rather place yourself.`
+        : 'None of your open items fit into the free time that\'s left.';
+    }
+    
+    list.innerHTML = `
+      ${blocks.map((block, index) => `
+        <label class="autoplan-item ${block.isBreak ? 'break' : ''}">
+          <input type="checkbox" value="${index}" checked>
+          <span class="autoplan-time">${block.startTime}–${this.minutesToTimeString(this.timeStringToMinutes(block.startTime) + block.duration)}</span>
+          <span class="autoplan-text">${block.isBreak ? '🧘 Break' : this.escapeHtml(block.task)}</span>
+          ${block.isBreak ? '' : `<span class="autoplan-energy" title="${block.energy} energy">${energyIcons[block.energy] || ''}</span>`}
+        </label>
+      `).join('')}
+      ${unscheduled.length > 0 ? `
+        <div class="autoplan-unscheduled">
+          <strong>Didn't fit:</strong>
+          ${unscheduled.map(item => `${this.escapeHtml(item.text)} (${item.minutes} min)`).join(', ')}
+        </div>
+      ` : ''}
+    `;
     
-    this.toastManager.show('Break taken! Your brain thanks you 🧠', 'success');
-    this.analyticsManager.trackEvent('break_taken');
+    const saveButton = document.getElementById('autoPlanSaveBtn');
+    if (saveButton) saveButton.disabled = blocks.length === 0;
   }
 
-  /* ===== Daily Reset ===== */
+  saveAutoPlan() {
+    if (!this.autoPlan) return;
+    
+    const chosen = Array.from(document.querySelectorAll('#autoPlanList input:checked'))
+      .map(input => this.autoPlan.blocks[Number(input.value)])
+      .filter(Boolean);
+    
+    if (chosen.length === 0) {
+      this.closeAutoPlan();
+      return;
+    }
+    
+    const createdAt = new Date().toISOString();
+    const blocks = chosen.map(({ isBreak, itemKey, ...block }) => ({
+      ...this.stateManager.getDefaultTimeBlock(),
+      ...block,
+      id: this.generateId(),
+      date: this.autoPlan.date,
+      color: isBreak ? 'green' : null,
+      createdAt
+    }));
+    
+    const entryId = this.stateManager.addTimeBlocks(blocks, `Auto-planned ${blocks.length} time block${blocks.length === 1 ? '' : 's'}`);
+    
+    this.closeAutoPlan();
+    this.renderTimeBlocks();
+    
+    this.showUndoToast(`Planned ${blocks.length} block${blocks.length === 1 ? '' : 's'} 🪄`, entryId);
+    this.analyticsManager.trackEvent('auto_plan_accepted', { blocks: blocks.length });
+  }
+
+  closeAutoPlan() {
+    const modal = document.getElementById('autoPlanModal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+    this.autoPlan = null;
+  }
+
+  /* ===== Day Timeline ===== */
+
+  setTimeBlockView(view) {
+    const settings = this.stateManager.state.settings;
+    if (settings.timeBlockView === view) return;
+    
+    // A display preference, so it stays out of the undo history
+    this.stateManager.updateState({ settings: { ...settings, timeBlockView: view } });
+    this.renderTimeBlocks();
+    
+    this.analyticsManager.trackEvent('timeblock_view_changed', { view });
+  }
+
+  renderTimeBlockViewToggle(timeline) {
+    document.querySelectorAll('.view-toggle [data-view]').forEach(button => {
+      const pressed = (button.dataset.view === 'timeline') === timeline;
+      button.classList.toggle('active', pressed);
+      button.setAttribute('aria-pressed', String(pressed));
+    });
+  }
+
+  // Visible hours: 07:00-22:00, stretched to fit every block and the current time
+  getTimelineRange(blocks) {
+    let start = 7 * 60;
+    let end = 22 * 60;
+    
+    blocks.forEach(block => {
+      const blockStart = this.timeStringToMinutes(block.startTime);
+      start = Math.min(start, blockStart);
+      end = Math.max(end, blockStart + block.duration);
+    });
+    
+    if (this.getViewMode() === 'today') {
+      const now = new Date();
+      const minutes = now.getHours() * 60 + now.getMinutes();
+      start = Math.min(start, minutes);
+      end = Math.max(end, minutes + 1);
+    }
+    
+    return {
+      start: Math.floor(start / 60) * 60,
+      end: Math.min(Math.ceil(end / 60) * 60, 24 * 60)
+    };
+  }
+
+  // Overlapping blocks share the width side by side instead of covering each other
+  assignTimelineLanes(sortedBlocks) {
+    const layout = new Map();
+    let cluster = [];
+    let clusterEnd = -1;
+    
+    const closeCluster = () => {
+      const lanes = Math.max(1, ...cluster.map(block => layout.get(block.id).lane + 1));
+      cluster.forEach(block => { layout.get(block.id).lanes = lanes; });
+      cluster = [];
+    };
+    
+    sortedBlocks.forEach(block => {
+      const start = this.timeStringToMinutes(block.startTime);
+      const end = start + block.duration;
+      
+      if (cluster.length > 0 && start >= clusterEnd) closeCluster();
+      
+      const taken = cluster
+        .filter(other => this.timeStringToMinutes(other.startTime) + other.duration > start)
+        .map(other => layout.get(other.id).lane);
+      let lane = 0;
+      while (taken.includes(lane)) lane++;
+      
+      layout.set(block.id, { lane, lanes: 1 });
+      cluster.push(block);
+      clusterEnd = cluster.length === 1 ? end : Math.max(clusterEnd, end);
+    });
+    if (cluster.length > 0) closeCluster();
+    
+    return layout;
+  }
+
+  renderTimeline(container, sortedBlocks, schedule) {
+    const range = this.getTimelineRange(sortedBlocks);
+    const scale = this.timelineScale;
+    const layout = this.assignTimelineLanes(sortedBlocks);
+    const editable = this.getViewMode() !== 'past';
+    
+    const hours = [];
+    for (let minutes = range.start; minutes < range.end; minutes += 60) {
+      hours.push(`
+        <div class="timeline-hour" style="top: ${(minutes - range.start) * scale}px; height: ${60 * scale}px">
+          <span class="timeline-hour-label">${this.minutesToTimeString(minutes)}</span>
+        </div>
+      `);
+    }
+    
+    container.innerHTML = `
+      <div class="timeline ${editable ? '' : 'readonly'}" data-range-start="${range.start}" style="height: ${(range.end - range.start) * scale}px">
+        ${hours.join('')}
+        <div class="timeline-track" role="list" aria-label="Day timeline">
+          ${sortedBlocks.map(block => this.createTimelineBlockHTML(block, range, layout.get(block.id), editable, schedule)).join('')}
+        </div>
+        <div class="timeline-now" hidden aria-hidden="true"><span>NOW</span></div>
+      </div>
+      ${editable ? `
+        <p class="form-hint timeline-hint">
+          Drag to move, drag the bottom edge to resize. Arrow keys move a focused block, Shift+arrows resize, Alt for 5-minute steps.
+          Click an empty slot to add a block there.
+        </p>
+      ` : ''}
+    `;
+    
+    const timeline = container.querySelector('.timeline');
+    this.updateTimelineNow(timeline);
+    
+    if (editable) {
+      timeline.addEventListener('pointerdown', (e) => this.startTimelineDrag(e));
+      timeline.addEventListener('keydown', (e) => this.handleTimelineKey(e));
+      timeline.addEventListener('click', (e) => this.handleTimelineClick(e));
+    } else {
+      timeline.addEventListener('click', (e) => {
+        const blockElement = e.target.closest('.timeline-block');
+        if (blockElement) this.editTimeBlock(blockElement.dataset.blockId);
+      });
+    }
+    
+    this.updateActiveTimeBlocks();
+  }
+
+  createTimelineBlockHTML(block, range, position, editable, schedule) {
+    const start = this.timeStringToMinutes(block.startTime);
+    const endTime = this.minutesToTimeString(Math.min(start + block.duration, 24 * 60 - 1));
+    const isActive = block.id === schedule.activeBlockId;
+    const conflict = schedule.conflicts.get(block.id);
+    const colorClass = block.color ? `block-color-${block.color}` : '';
+    const width = 100 / position.lanes;
+    const name = block.task || 'Untitled block';
+    
+    return `
+      <div class="timeline-block ${colorClass} ${isActive ? 'active' : ''} ${conflict ? 'conflict' : ''} ${block.fixed ? 'fixed' : ''} ${block.duration < 30 ? 'compact' : ''}"
+           data-block-id="${block.id}"
+           role="listitem"
+           tabindex="0"
+           title="${conflict || ''}"
+           aria-label="${this.escapeHtml(name)}, ${block.startTime} to ${endTime}${conflict ? `. ${conflict}` : ''}"
+           style="top: ${(start - range.start) * this.timelineScale}px; height: ${block.duration * this.timelineScale}px; left: ${position.lane * width}%; width: ${width}%">
+        <div class="timeline-block-name">${block.fixed ? '📌 ' : ''}${this.escapeHtml(name)}</div>
+        <div class="timeline-block-time">${block.startTime}–${endTime}</div>
+        ${editable && !block.fixed ? '<div class="timeline-resize" aria-hidden="true"></div>' : ''}
+      </div>
+    `;
+  }
+
+  updateTimelineNow(timeline) {
+    const line = timeline && timeline.querySelector('.timeline-now');
+    if (!line) return;
+    
+    const now = new Date();
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const offset = minutes - Number(timeline.dataset.rangeStart);
+    
+    line.hidden = this.getViewMode() !== 'today' || offset < 0;
+    line.style.top = `${offset * this.timelineScale}px`;
+  }
+
+  // 15-minute steps by default, 5 with Alt held
+  getTimelineSnap(event) {
+    return event.altKey ? 5 : 15;
+  }
+
+  // Returns the new start and duration for a move or resize by deltaMinutes, snapped and kept within the day
+  applyTimelineChange(origin, mode, deltaMinutes, snap) {
+    if (mode === 'resize') {
+      const end = Math.round((origin.start + origin.duration + deltaMinutes) / snap) * snap;
+      const duration = Math.min(Math.max(end - origin.start, 5), 24 * 60 - 1 - origin.start);
+      return { start: origin.start, duration };
+    }
+    
+    const start = Math.round((origin.start + deltaMinutes) / snap) * snap;
+    return {
+      start: Math.min(Math.max(start, 0), 24 * 60 - 1 - origin.duration),
+      duration: origin.duration
+    };
+  }
+
+  saveTimelineChange(blockId, mode, change) {
+    const block = this.stateManager.getTimeBlock(blockId);
+    if (!block) return;
+    
+    const startTime = this.minutesToTimeString(change.start);
+    if (startTime === block.startTime && change.duration === block.duration) return;
+    
+    const name = block.task || 'Untitled block';
+    const label = mode === 'resize'
+      ? `Resized time block '${name}' to ${change.duration} minutes`
+      : `Moved time block '${name}' to ${startTime}`;
+    
+    this.stateManager.updateTimeBlock(blockId, { startTime, duration: change.duration }, label);
+    this.analyticsManager.trackEvent('timeblock_rescheduled', { mode, duration: change.duration });
+    this.warnAboutOverlap(blockId);
+  }
+
+  startTimelineDrag(event) {
+    const blockElement = event.target.closest('.timeline-block');
+    if (!blockElement || event.button !== 0) return;
+    
+    const block = this.stateManager.getTimeBlock(blockElement.dataset.blockId);
+    if (!block) return;
+    
+    // Appointments open the editor instead of moving
+    if (block.fixed) {
+      this.editTimeBlock(block.id);
+      return;
+    }
+    
+    event.preventDefault();
+    blockElement.focus();
+    
+    const drag = {
+      id: block.id,
+      mode: event.target.closest('.timeline-resize') ? 'resize' : 'move',
+      startY: event.clientY,
+      origin: { start: this.timeStringToMinutes(block.startTime), duration: block.duration },
+      change: null,
+      moved: false
+    };
+    this.timelineDrag = drag;
+    
+    const rangeStart = Number(blockElement.closest('.timeline').dataset.rangeStart);
+    const timeLabel = blockElement.querySelector('.timeline-block-time');
+    
+    const onMove = (e) => {
+      const distance = e.clientY - drag.startY;
+      if (!drag.moved && Math.abs(distance) < 4) return;
+      
+      drag.moved = true;
+      blockElement.classList.add('dragging');
+      drag.change = this.applyTimelineChange(drag.origin, drag.mode, distance / this.timelineScale, this.getTimelineSnap(e));
+      
+      blockElement.style.top = `${(drag.change.start - rangeStart) * this.timelineScale}px`;
+      blockElement.style.height = `${drag.change.duration * this.timelineScale}px`;
+      if (timeLabel) {
+        timeLabel.textContent = `${this.minutesToTimeString(drag.change.start)}–${this.minutesToTimeString(drag.change.start + drag.change.duration)}`;
+      }
+    };
+    
+    const onEnd = (e) => {
+      blockElement.removeEventListener('pointermove', onMove);
+      blockElement.removeEventListener('pointerup', onEnd);
+      blockElement.removeEventListener('pointercancel', onEnd);
+      this.timelineDrag = null;
+      
+      if (drag.moved && drag.change && e.type === 'pointerup') {
+        this.saveTimelineChange(drag.id, drag.mode, drag.change);
+        this.focusTimelineBlock(drag.id);
+      } else if (!drag.moved && e.type === 'pointerup') {
+        this.editTimeBlock(drag.id);
+      } else {
+        this.renderTimeBlocks();
+      }
+    };
+    
+    if (blockElement.setPointerCapture) {
+      blockElement.setPointerCapture(event.pointerId);
+    }
+    blockElement.addEventListener('pointermove', onMove);
+    blockElement.addEventListener('pointerup', onEnd);
+    blockElement.addEventListener('pointercancel', onEnd);
+  }
+
+  handleTimelineKey(event) {
+    const blockElement = event.target.closest('.timeline-block');
+    if (!blockElement) return;
+    
+    const blockId = blockElement.dataset.blockId;
+    const block = this.stateManager.getTimeBlock(blockId);
+    if (!block) return;
+    
+    if (event.key === 'Enter' || event.key === ' ') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.editTimeBlock(blockId);
+      return;
+    }
+    
+    if (event.key === 'Delete' || event.key === 'Backspace') {
+      event.preventDefault();
+      event.stopPropagation();
+      this.deleteTimeBlock(blockId);
+      return;
+    }
+    
+    if (event.key !== 'ArrowUp' && event.key !== 'ArrowDown') return;
+    
+    // Keep the arrows from also scrolling the page or reaching the global shortcuts
+    event.preventDefault();
+    event.stopPropagation();
+    
+    if (block.fixed) {
+      this.toastManager.show('Fixed appointment - open it with Enter to change the time', 'info');
+      return;
+    }
+    
+    const snap = this.getTimelineSnap(event);
+    const mode = event.shiftKey ? 'resize' : 'move';
+    const origin = { start: this.timeStringToMinutes(block.startTime), duration: block.duration };
+    const change = this.applyTimelineChange(origin, mode, event.key === 'ArrowUp' ? -snap : snap, snap);
+    
+    this.saveTimelineChange(blockId, mode, change);
+    this.focusTimelineBlock(blockId);
+  }
+
+  // Clicking an empty slot opens the editor with that time filled in
+  handleTimelineClick(event) {
+    if (event.target.closest('.timeline-block')) return;
+    
+    const timeline = event.currentTarget;
+    const offset = event.clientY - timeline.getBoundingClientRect().top;
+    const minutes = Number(timeline.dataset.rangeStart) + Math.floor(offset / this.timelineScale / 15) * 15;
+    
+    this.showTimeBlockEditor(null, {
+      startTime: this.minutesToTimeString(Math.min(Math.max(minutes, 0), 23 * 60 + 45))
+    });
+  }
+
+  focusTimelineBlock(blockId) {
+    this.renderTimeBlocks();
+    
+    const element = document.querySelector(`.timeline-block[data-block-id="${blockId}"]`);
+    if (element) element.focus();
+  }
+
+  /* ===== Time Block Editor ===== */
+
+  showTimeBlockEditor(block, presets = {}) {
+    const modal = document.getElementById('timeBlockModal');
+    if (!modal) return;
+    
+    this.editingBlockId = block ? block.id : null;
+    const defaults = block || {
+      task: '',
+      startTime: this.suggestBlockStart(),
+      duration: 60,
+      energy: this.stateManager.state.currentEnergy === 'crisis' ? 'low' : this.stateManager.state.currentEnergy,
+      linkedTo: null,
+      color: null,
+      notes: '',
+      fixed: false,
+      ...presets
+    };
+    
+    document.getElementById('timeblock-title').textContent = block ? '⏰ Edit Time Block' : '⏰ New Time Block';
+    this.populateTimeBlockLinks(defaults.linkedTo);
+    document.getElementById('tbTask').value = defaults.task || '';
+    document.getElementById('tbStart').value = this.isValidTime(defaults.startTime) ? defaults.startTime : '09:00';
+    document.getElementById('tbDuration').value = defaults.duration;
+    document.getElementById('tbEnergy').value = defaults.energy || 'medium';
+    document.getElementById('tbNotes').value = defaults.notes || '';
+    document.getElementById('tbFixed').checked = Boolean(defaults.fixed);
+    
+    const color = document.querySelector(`#timeBlockForm input[name="tbColor"][value="${defaults.color || ''}"]`);
+    if (color) color.checked = true;
+    
+    document.getElementById('tbDeleteBtn').hidden = !block;
+    this.showTimeBlockErrors({});
+    
+    modal.classList.add('active');
+    setTimeout(() => document.getElementById('tbTask').focus(), 100);
+  }
+
+  // Next quarter hour today; 09:00 when planning another day
+  suggestBlockStart() {
+    if (this.getViewMode() !== 'today') return '09:00';
+    
+    const now = new Date();
+    const minutes = Math.min(Math.ceil((now.getHours() * 60 + now.getMinutes()) / 15) * 15, 23 * 60 + 45);
+    return this.minutesToTimeString(minutes);
+  }
+
+  populateTimeBlockLinks(linkedTo) {
+    const select = document.getElementById('tbLink');
+    if (!select) return;
+    
+    const state = this.stateManager.state;
+    const priorities = state.priorities.filter(p => p.text.trim() && !p.completed);
+    const tasks = state.tasks.filter(t => !t.completed);
+    const option = (value, text) => `<option value="${value}">${this.escapeHtml(text)}</option>`;
+    
+    select.innerHTML = `
+      <option value="">Nothing - just a block of time</option>
+      ${priorities.length > 0 ? `
+        <optgroup label="Priorities">
+          ${priorities.map(p => option(`priority:${p.id}`, p.text)).join('')}
+        </optgroup>
+      ` : ''}
+      ${tasks.length > 0 ? `
+        <optgroup label="Tasks">
+          ${tasks.map(t => option(`task:${t.id}`, t.text)).join('')}
+        </optgroup>
+      ` : ''}
+    `;
+    
+    const value = linkedTo ? `${linkedTo.type}:${linkedTo.id}` : '';
+    select.value = value;
+    
+    // A linked item that has since been completed still shows as the current link
+    if (select.value !== value) {
+      select.insertAdjacentHTML('beforeend', option(value, 'Linked item (completed)'));
+      select.value = value;
+    }
+  }
+
+  getLinkedItem(linkedTo) {
+    if (!linkedTo) return null;
+    
+    return linkedTo.type === 'priority'
+      ? this.stateManager.state.priorities.find(p => String(p.id) === String(linkedTo.id))
+      : this.stateManager.getTask(linkedTo.id);
+  }
+
+  readTimeBlockLink() {
+    const value = document.getElementById('tbLink').value;
+    if (!value) return null;
+    
+    const [type, ...rest] = value.split(':');
+    const id = rest.join(':');
+    return { type, id: type === 'priority' ? Number(id) : id };
+  }
+
+  // Picking a task or priority fills in whatever the user hasn't typed yet
+  onTimeBlockLinkChange() {
+    const item = this.getLinkedItem(this.readTimeBlockLink());
+    if (!item) return;
+    
+    const taskInput = document.getElementById('tbTask');
+    if (!taskInput.value.trim()) {
+      taskInput.value = item.text;
+    }
+    document.getElementById('tbEnergy').value = item.energy || 'medium';
+    if (item.estimatedMinutes) {
+      this.setTimeBlockDuration(item.estimatedMinutes);
+    }
+  }
+
+  setTimeBlockDuration(minutes) {
+    const input = document.getElementById('tbDuration');
+    if (input) {
+      input.value = minutes;
+      input.focus();
+    }
+  }
+
+  readTimeBlockForm() {
+    const linkedTo = this.readTimeBlockLink();
+    const linked = this.getLinkedItem(linkedTo);
+    const checkedColor = document.querySelector('#timeBlockForm input[name="tbColor"]:checked');
+    const durationValue = document.getElementById('tbDuration').value;
+    
+    return {
+      task: document.getElementById('tbTask').value.trim() || (linked ? linked.text : ''),
+      startTime: document.getElementById('tbStart').value,
+      duration: durationValue === '' ? NaN : Number(durationValue),
+      energy: document.getElementById('tbEnergy').value,
+      linkedTo,
+      color: checkedColor && checkedColor.value ? checkedColor.value : null,
+      notes: document.getElementById('tbNotes').value.trim(),
+      fixed: document.getElementById('tbFixed').checked
+    };
+  }
+
+  // Returns a map of field -> message; empty when the block is valid
+  validateTimeBlock(data) {
+    const errors = {};
+    
+    if (!data.task) {
+      errors.task = 'Give the block a name or link it to a task';
+    }
+    
+    if (!this.isValidTime(data.startTime)) {
+      errors.startTime = 'Pick a start time like 09:30';
+    }
+    
+    if (!Number.isInteger(data.duration) || data.duration < 5 || data.duration > 720) {
+      errors.duration = 'Use whole minutes between 5 and 720';
+    } else if (!errors.startTime && this.timeStringToMinutes(data.startTime) + data.duration > 24 * 60) {
+      errors.duration = 'The block has to end before midnight';
+    }
+    
+    return errors;
+  }
+
+  showTimeBlockErrors(errors) {
+    const fields = { task: 'tbTask', startTime: 'tbStart', duration: 'tbDuration' };
+    
+    Object.entries(fields).forEach(([field, inputId]) => {
+      const input = document.getElementById(inputId);
+      const message = document.getElementById(`${inputId}Error`);
+      if (input) input.setAttribute('aria-invalid', errors[field] ? 'true' : 'false');
+      if (message) message.textContent = errors[field] || '';
+    });
+    
+    const firstInvalid = Object.keys(fields).find(field => errors[field]);
+    if (firstInvalid) {
+      document.getElementById(fields[firstInvalid]).focus();
+    }
+  }
+
+  saveTimeBlock() {
+    const data = this.readTimeBlockForm();
+    const errors = this.validateTimeBlock(data);
+    
+    this.showTimeBlockErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+    
+    const blockId = this.editingBlockId || this.generateId();
+    
+    if (this.editingBlockId) {
+      this.stateManager.updateTimeBlock(blockId, data);
+    } else {
+      this.stateManager.addTimeBlock({
+        ...this.stateManager.getDefaultTimeBlock(),
+        ...data,
+        id: blockId,
+        date: this.getDayView().date,
+        createdAt: new Date().toISOString()
+      });
+      this.analyticsManager.trackEvent('timeblock_added', { duration: data.duration, linked: Boolean(data.linkedTo) });
+    }
+    
+    const isNew = !this.editingBlockId;
+    this.closeTimeBlockEditor();
+    this.renderTimeBlocks();
+    
+    if (!this.warnAboutOverlap(blockId)) {
+      this.toastManager.show(isNew ? `Time block set for ${data.startTime} ⏰` : 'Time block updated', 'success');
+    }
+  }
+
+  deleteEditedTimeBlock() {
+    const blockId = this.editingBlockId;
+    this.closeTimeBlockEditor();
+    if (blockId) {
+      this.deleteTimeBlock(blockId);
+    }
+  }
+
+  closeTimeBlockEditor() {
+    const modal = document.getElementById('timeBlockModal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+    this.editingBlockId = null;
+  }
+
+  isValidTime(value) {
+    return typeof value === 'string' && /^([01]\d|2[0-3]):[0-5]\d$/.test(value);
+  }
+
+  minutesToTimeString(totalMinutes) {
+    return `${String(Math.floor(totalMinutes / 60)).padStart(2, '0')}:${String(totalMinutes % 60).padStart(2, '0')}`;
+  }
+
+  deleteTimeBlock(blockId) {
+    const block = this.stateManager.getTimeBlock(blockId);
+    if (!block) return;
+    
+    const entryId = this.stateManager.deleteTimeBlock(blockId);
+    this.renderTimeBlocks();
+    
+    this.showUndoToast(`Time block moved to trash: ${block.task || block.startTime}`, entryId);
+  }
+
+  startTimeBlockFocus(blockId) {
+    const block = this.stateManager.getTimeBlock(blockId);
+    if (!block) return;
+    
+    this.focusManager.startFocusSession(block.task || 'Time Block', {
+      type: 'timeblock',
+      id: blockId,
+      duration: block.duration,
+      energy: block.energy,
+      linkedTo: block.linkedTo
+    });
+  }
+
+  /* ===== Thought/Distraction Management ===== */
+
+  renderThoughts() {
+    const view = this.getDayView();
+    const container = document.getElementById('thoughtsContainer');
+    const emptyState = document.getElementById('thoughtsEmptyState');
+    const clearButton = document.getElementById('clearThoughtsBtn');
+    
+    if (!container) return;
+    
+    if (view.capturedThoughts.length === 0) {
+      container.innerHTML = '';
+      if (emptyState) emptyState.style.display = 'flex';
+      if (clearButton) clearButton.disabled = true;
+      return;
+    } else {
+      if (emptyState) emptyState.style.display = 'none';
+      if (clearButton) clearButton.disabled = view.mode !== 'today';
+    }
+    
+    // Show most recent thoughts first
+    const recentThoughts = [...view.capturedThoughts]
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, 10); // Limit to 10 most recent
+    
+    container.innerHTML = recentThoughts.map(thought => this.createThoughtHTML(thought)).join('');
+  }
+
+  createThoughtHTML(thought) {
+    const timestamp = new Date(thought.timestamp).toLocaleTimeString();
+    
+    return `
+      <div class="thought-item" data-thought-id="${thought.id}">
+        <div class="thought-text">${this.escapeHtml(thought.text)}</div>
+        <div class="thought-timestamp">${timestamp}</div>
+      </div>
+    `;
+  }
+
+  saveCapturedThought() {
+    const input = document.getElementById('captureInput');
+    if (!input) return;
+    
+    const text = input.value.trim();
+    if (!text) return;
+    
+    const thought = {
+      id: this.generateId(),
+      text,
+      timestamp: new Date().toISOString(),
+      reviewed: false
+    };
+    
+    this.stateManager.addThought(thought);
+    input.value = '';
+    
+    this.renderThoughts();
+    this.toggleQuickCapture();
+    
+    this.toastManager.show('Thought captured! 💭', 'success');
+    this.analyticsManager.trackEvent('thought_captured', { length: text.length });
+    
+    // Check for achievement
+    if (this.stateManager.state.capturedThoughts.length === 1) {
+      this.toastManager.show('First distraction captured! Great focus technique! 🧠', 'success');
+    }
+  }
+
+  clearThoughts() {
+    const count = this.stateManager.state.capturedThoughts.length;
+    if (count === 0) return;
+    
+    const entryId = this.stateManager.clearThoughts();
+    this.renderThoughts();
+    
+    this.showUndoToast(`${count} thought${count === 1 ? '' : 's'} moved to trash`, entryId);
+  }
+
+  /* ===== Energy Level Management ===== */
+
+  cycleEnergyLevel() {
+    const levels = ['low', 'medium', 'high', 'crisis'];
+    const currentIndex = levels.indexOf(this.stateManager.state.currentEnergy);
+    const nextIndex = (currentIndex + 1) % levels.length;
+    const newEnergy = levels[nextIndex];
+    
+    this.stateManager.updateEnergyLevel(newEnergy);
+    this.updateEnergyDisplay();
+    
+    // Show energy-specific message
+    const messages = {
+      low: 'Low energy mode - focusing on gentle tasks 🟢',
+      medium: 'Medium energy - balanced productivity 🟡',
+      high: 'High energy - tackle challenging tasks! 🔴',
+      crisis: 'Overwhelm mode - breaking things down 🆘'
+    };
+    
+    this.toastManager.show(messages[newEnergy], 'info');
+    
+    // Auto-filter tasks if energy filter is active
+    const activeFilter = document.querySelector('.filter-btn.active')?.dataset.filter;
+    if (activeFilter === 'energy') {
+      this.renderTasks();
+    }
+    
+    // Show crisis mode if needed
+    if (newEnergy === 'crisis') {
+      setTimeout(() => this.enterCalmMode(), 1000);
+      this.offerBreakdown();
+    }
+    
+    this.analyticsManager.trackEvent('energy_level_changed', { newEnergy });
+  }
+
+  /* ===== Theme Management ===== */
+
+  applyTheme(themeName) {
+    document.body.className = `theme-${themeName}`;
+    this.stateManager.updateSettings({ theme: themeName });
+    
+    // Update theme selector
+    document.querySelectorAll('.theme-option').forEach(option => {
+      option.classList.toggle('active', option.dataset.theme === themeName);
+    });
+    
+    this.analyticsManager.trackEvent('theme_changed', { theme: themeName });
+  }
+
+  /* ===== Focus Mode Integration ===== */
+
+  enterFocusMode() {
+    // Show priority/task selection if none selected
+    const state = this.stateManager.state;
+    const nextPriority = state.priorities.find(p => !p.completed && p.text.trim());
+    const nextTask = state.tasks.find(t => !t.completed);
+    
+    if (nextPriority) {
+      this.focusManager.startFocusSession(nextPriority.text, {
+        type: 'priority',
+        index: state.priorities.indexOf(nextPriority),
+        energy: nextPriority.energy
+      });
+    } else if (nextTask) {
+      this.focusManager.startFocusSession(nextTask.text, {
+        type: 'task',
+        id: nextTask.id,
+        energy: nextTask.energy
+      });
+    } else {
+      this.focusManager.showFocusSelector();
+    }
+  }
+
+  /* ===== Calm/Crisis Mode ===== */
+
+  enterCalmMode() {
+    const overlay = document.getElementById('calmMode');
+    if (overlay) {
+      overlay.classList.add('active');
+      this.startBreathingGuide();
+      this.showCalmAction();
+    }
+    
+    this.analyticsManager.trackEvent('calm_mode_entered');
+  }
+
+  // Crisis mode: suggest splitting the next big task into small steps
+  offerBreakdown() {
+    const nextTask = this.stateManager.state.tasks.find(t => !t.completed && t.subtasks.length === 0);
+    if (!nextTask) return;
+    
+    this.toastManager.show(`Feeling stuck on "${nextTask.text}"? Break it into 3 tiny steps.`, 'info', null, {
+      actions: [{
+        label: 'Break it down',
+        callback: () => {
+          this.exitCalmMode();
+          this.showBreakdown(nextTask.id);
+        }
+      }]
+    });
+  }
+
+  exitCalmMode() {
+    const overlay = document.getElementById('calmMode');
+    if (overlay) {
+      overlay.classList.remove('active');
+      this.stopBreathingGuide();
+    }
+  }
+
+  startBreathingGuide() {
+    const circle = document.querySelector('.breathing-circle');
+    const text = document.getElementById('breathingText');
+    
+    if (!circle || !text) return;
+    
+    let phase = 'inhale';
+    let cycle = 0;
+    
+    const updateBreathing = () => {
+      if (phase === 'inhale') {
+        text.textContent = 'Breathe in...';
+        circle.className = 'breathing-circle inhale';
+        setTimeout(() => {
+          phase = 'exhale';
+          updateBreathing();
+        }, 4000);
+      } else {
+        text.textContent = 'Breathe out...';
+        circle.className = 'breathing-circle exhale';
+        setTimeout(() => {
+          phase = 'inhale';
+          cycle++;
+          if (cycle < 3) {
+            updateBreathing();
+          } else {
+            text.textContent = 'Well done 🌟';
+            circle.className = 'breathing-circle';
+          }
+        }, 4000);
+      }
+    };
+    
+    updateBreathing();
+  }
+
+  stopBreathingGuide() {
+    // Reset breathing guide
+    const circle = document.querySelector('.breathing-circle');
+    const text = document.getElementById('breathingText');
+    
+    if (circle) circle.className = 'breathing-circle';
+    if (text) text.textContent = 'Breathe';
+  }
+
+  showCalmAction() {
+    const actions = [
+      'Take three deep breaths',
+      'Drink a glass of water',
+      'Look out the window for 30 seconds',
+      'Write down how you\'re feeling',
+      'Do 5 jumping jacks or stretch',
+      'Organize one small area',
+      'Listen to a favorite song',
+      'Make a warm drink'
+    ];
+    
+    const actionElement = document.getElementById('calmActionText');
+    if (actionElement) {
+      const randomAction = actions[Math.floor(Math.random() * actions.length)];
+      actionElement.textContent = randomAction;
+    }
+  }
+
+  completeCalmAction() {
+    this.toastManager.show('Great job! 💪 You\'re taking care of yourself.', 'success');
+    this.showNextCalmAction();
+    this.analyticsManager.trackEvent('calm_action_completed');
+  }
+
+  showNextCalmAction() {
+    this.showCalmAction();
+  }
+
+  getNextCalmAction() {
+    this.showCalmAction();
+  }
+
+  /* ===== Quick Capture ===== */
+
+  toggleQuickCapture() {
+    const capture = document.getElementById('quickCapture');
+    const input = document.getElementById('captureInput');
+    
+    if (!capture) return;
+    
+    const isActive = capture.classList.contains('active');
+    
+    if (isActive) {
+      capture.classList.remove('active');
+    } else {
+      capture.classList.add('active');
+      if (input) {
+        setTimeout(() => input.focus(), 100);
+      }
+    }
+  }
+
+  /* ===== Settings Management ===== */
+
+  toggleSettings() {
+    this.settingsPanel.toggle();
+  }
+
+  /* ===== Daily Planning ===== */
+
+  planPriorities() {
+    // Focus on first empty priority
+    const firstEmptyPriority = document.querySelector('.priority-input:not([value])');
+    if (firstEmptyPriority) {
+      firstEmptyPriority.focus();
+      firstEmptyPriority.select();
+    } else {
+      // All filled, focus on first one
+      const firstPriority = document.querySelector('.priority-input');
+      if (firstPriority) {
+        firstPriority.focus();
+        firstPriority.select();
+      }
+    }
+    
+    this.toastManager.show('Plan your top 3 priorities for today', 'info');
+  }
+
+  /* ===== Undo History ===== */
+
+  undo() {
+    const entry = this.stateManager.undo();
+    if (!entry) {
+      this.toastManager.show('Nothing to undo', 'info');
+      return;
+    }
+    
+    this.afterHistoryChange(entry);
+    this.toastManager.show(`Undone: ${entry.label}`, 'info');
+  }
+
+  redo() {
+    const entry = this.stateManager.redo();
+    if (!entry) {
+      this.toastManager.show('Nothing to redo', 'info');
+      return;
+    }
+    
+    this.afterHistoryChange(entry);
+    this.toastManager.show(`Redone: ${entry.label}`, 'info');
+  }
+
+  // Undo or redo repeatedly until the chosen entry has been reverted/reapplied
+  travelTo(entryId) {
+    const { undoStack, redoStack } = this.stateManager;
+    const undoing = undoStack.some(e => e.id === entryId);
+    const stack = undoing ? undoStack : redoStack;
+    if (!stack.some(e => e.id === entryId)) return;
+    
+    let entry;
+    let steps = 0;
+    do {
+      entry = undoing ? this.stateManager.undo() : this.stateManager.redo();
+      steps++;
+      this.afterHistoryChange(entry);
+    } while (entry && entry.id !== entryId);
+    
+    const verb = undoing ? 'Undone' : 'Redone';
+    this.toastManager.show(`${verb} ${steps} action${steps === 1 ? '' : 's'} back to: ${entry.label}`, 'info');
+  }
+
+  afterHistoryChange(entry) {
+    const keys = new Set();
+    entry.operations.forEach(op => {
+      if (op.collection || op.key) {
+        keys.add(op.collection || op.key);
+      } else {
+        Object.keys(op.after).forEach(key => keys.add(key));
+      }
+    });
+    
+    this.refreshViews([...keys]);
+    this.updateStats();
+    this.renderHistory();
+    
+    this.analyticsManager.trackEvent('history_travel', { label: entry.label });
+  }
+
+  // Destructive actions happen immediately; this offers a way back. `entryId`
+  // is the history entry the action recorded, null when it changed nothing.
+  showUndoToast(message, entryId) {
+    if (!entryId) {
+      this.toastManager.show(message, 'info');
+      return;
+    }
+    
+    this.toastManager.show(message, 'info', null, {
+      actions: [
+        { label: 'Undo', callback: () => this.undoEntry(entryId) },
+        { label: 'Dismiss' }
+      ]
+    });
+  }
+
+  undoEntry(entryId) {
+    const entry = this.stateManager.undoEntry(entryId);
+    if (!entry) {
+      this.toastManager.show('That change can no longer be undone', 'warning');
+      return;
+    }
+    
+    this.afterHistoryChange(entry);
+    this.toastManager.show(`Undone: ${entry.label}`, 'info');
+  }
+
+  showHistory() {
+    const modal = document.getElementById('historyModal');
+    if (modal) {
+      modal.classList.add('active');
+      this.renderHistory();
+    }
+  }
+
+  renderHistory() {
+    const content = document.getElementById('historyContent');
+    if (!content) return;
+    
+    const { undo, redo } = this.stateManager.getHistory();
+    
+    if (undo.length === 0 && redo.length === 0) {
+      content.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">↩️</div>
+          <div class="empty-title">No history yet</div>
+          <div class="empty-description">Changes you make will show up here so you can step back</div>
+        </div>
+      `;
+      return;
+    }
+    
+    const renderEntry = (entry, state) => `
+      <button class="history-item ${state}" onclick="app.travelTo('${entry.id}')">
+        <span class="history-label">${this.escapeHtml(entry.label)}</span>
+        <span class="history-time">${new Date(entry.timestamp).toLocaleTimeString()}</span>
+      </button>
+    `;
+    
+    content.innerHTML = `
+      ${redo.length > 0 ? `
+        <div class="history-group-title">Undone (click to redo)</div>
+        ${[...redo].reverse().map(entry => renderEntry(entry, 'undone')).join('')}
+      ` : ''}
+      <div class="history-group-title">Done (click to undo back to)</div>
+      ${undo.map(entry => renderEntry(entry, 'done')).join('')}
+    `;
+  }
+
+  /* ===== Trash ===== */
+
+  showTrash() {
+    const modal = document.getElementById('trashModal');
+    if (modal) {
+      modal.classList.add('active');
+      this.renderTrash();
+    }
+  }
+
+  renderTrash() {
+    const content = document.getElementById('trashContent');
+    const emptyButton = document.getElementById('emptyTrashBtn');
+    if (!content) return;
+    
+    const entries = [...this.stateManager.state.trash]
+      .sort((a, b) => new Date(b.deletedAt) - new Date(a.deletedAt));
+    
+    if (emptyButton) emptyButton.disabled = entries.length === 0;
+    
+    if (entries.length === 0) {
+      content.innerHTML = `
+        <div class="empty-state">
+          <div class="empty-icon">🗑️</div>
+          <div class="empty-title">Trash is empty</div>
+          <div class="empty-description">Deleted tasks, time blocks and thoughts wait here before they are removed for good</div>
+        </div>
+      `;
+      return;
+    }
+    
+    const icons = { tasks: '✅', timeBlocks: '⏰', capturedThoughts: '💭', dayTemplates: '📋' };
+    const retentionDays = Number(this.stateManager.state.settings.trashRetentionDays) || 30;
+    const dayMs = 24 * 60 * 60 * 1000;
+    
+    content.innerHTML = entries.map(entry => {
+      const text = entry.item.text || entry.item.task || entry.item.startTime || 'Untitled';
+      const deletedAt = new Date(entry.deletedAt);
+      const daysLeft = Math.max(0, Math.ceil((deletedAt.getTime() + retentionDays * dayMs - Date.now()) / dayMs));
+      
+      return `
+        <div class="trash-item" data-trash-id="${entry.id}">
+          <div class="trash-icon">${icons[entry.collection] || '📄'}</div>
+          <div class="trash-body">
+            <div class="trash-text">${this.escapeHtml(text)}</div>
+            <div class="trash-meta">
+              Deleted ${deletedAt.toLocaleDateString()} ${deletedAt.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}
+              · removed in ${daysLeft} day${daysLeft === 1 ? '' : 's'}
+            </div>
+          </div>
+          <div class="trash-actions">
+            <button class="btn btn-outline btn-sm" onclick="app.restoreFromTrash('${entry.id}')">Restore</button>
+            <button class="btn-icon btn-delete" onclick="app.purgeFromTrash('${entry.id}')" title="Delete forever">
+              <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
+                <line x1="18" y1="6" x2="6" y2="18"></line>
+                <line x1="6" y1="6" x2="18" y2="18"></line>
+              </svg>
+            </button>
+          </div>
+        </div>
+      `;
+    }).join('');
+  }
+
+  restoreFromTrash(entryId) {
+    const entry = this.stateManager.restoreFromTrash(entryId);
+    if (!entry) return;
+    
+    this.renderDashboard();
+    this.renderTrash();
+    this.toastManager.show(`Restored ${this.stateManager.describeTrashEntry(entry)}`, 'success');
+    this.analyticsManager.trackEvent('trash_restored', { collection: entry.collection });
+  }
+
+  purgeFromTrash(entryId) {
+    const entry = this.stateManager.state.trash.find(e => e.id === entryId);
+    if (!entry) return;
+    
+    const historyId = this.stateManager.purgeFromTrash(entryId);
+    this.renderTrash();
+    this.showUndoToast(`Permanently deleted ${this.stateManager.describeTrashEntry(entry)}`, historyId);
+  }
+
+  emptyTrash() {
+    const count = this.stateManager.state.trash.length;
+    if (count === 0) return;
+    
+    const entryId = this.stateManager.emptyTrash();
+    this.renderTrash();
+    this.showUndoToast(`Emptied trash (${count} item${count === 1 ? '' : 's'})`, entryId);
+    this.analyticsManager.trackEvent('trash_emptied', { count });
+  }
+
+  purgeExpiredTrash() {
+    const retentionDays = Number(this.stateManager.state.settings.trashRetentionDays) || 30;
+    const purged = this.stateManager.purgeExpiredTrash(retentionDays);
+    
+    if (purged > 0) {
+      this.analyticsManager.trackEvent('trash_auto_purged', { count: purged, retentionDays });
+    }
+  }
+
+  /* ===== Analytics Integration ===== */
+
+  viewAnalytics() {
+    this.analyticsManager.showAnalytics();
+  }
+
+  /* ===== Break Reminders ===== */
+
+  checkBreakReminders() {
+    const now = new Date();
+    const lastBreak = new Date(this.stateManager.state.lastBreakTime || 0);
+    const breakInterval = this.stateManager.state.settings.breakInterval * 60 * 1000; // Convert to ms
+    
+    if (now - lastBreak > breakInterval) {
+      this.suggestBreak();
+    }
+  }
+
+  suggestBreak() {
+    const suggestions = [
+      '🧘 Take 5 deep breaths',
+      '💧 Drink some water',
+      '👀 Look away from screen for 20 seconds',
+      '🚶 Walk around for 2 minutes',
+      '🤸 Do some stretches',
+      '🌅 Get some natural light'
+    ];
+    
+    const randomSuggestion = suggestions[Math.floor(Math.random() * suggestions.length)];
+    
+    if (confirm(`Break time! 🔔\n\n${randomSuggestion}\n\nTake a break now?`)) {
+      this.takeBreak();
+    }
+  }
+
+  takeBreak() {
+    this.stateManager.updateState({ lastBreakTime: new Date().toISOString() }, 'Took a break');
+    this.focusManager.pauseFocusSession();
+    
+    this.toastManager.show('Break taken! Your brain thanks you 🧠', 'success');
+    this.analyticsManager.trackEvent('break_taken');
+  }
+
+  /* ===== Daily Reset ===== */
+
+  checkDailyReset() {
+    const today = new Date().toDateString();
+    const lastActiveDate = this.stateManager.state.lastActiveDate;
+    
+    if (lastActiveDate !== today) {
+      this.performDailyReset();
+    }
+  }
+
+  performDailyReset() {
+    const today = new Date().toDateString();
+    const previousDay = this.stateManager.state.lastActiveDate;
+    
+    // Reset daily counters
+    this.stateManager.updateState({
+      lastActiveDate: today,
+      dailyTasksCompleted: 0,
+      dailyFocusTime: 0,
+      dailyBreaksTaken: 0
+    });
+    
+    // Check streak
+    this.updateProductivityStreak();
+    
+    // Archive yesterday before today's repeating items come in
+    const rollover = this.archivePreviousDay(previousDay);
+    
+    // Anything planned ahead for today moves onto the dashboard
+    const planned = this.stateManager.activatePlannedDay();
+    if (planned > 0) {
+      this.renderDashboard();
+      this.toastManager.show(`📋 ${planned} planned priorit${planned === 1 ? 'y' : 'ies'} ready for today`, 'info');
+    }
+    
+    // Bring in today's repeating tasks and priorities
+    this.rollRecurringItems();
+    
+    // Lay out the time blocks of the template assigned to this weekday
+    this.applyScheduledTemplate();
+    
+    if (rollover) {
+      this.showRollover(rollover);
+    }
+    
+    // Welcome back message
+    this.toastManager.show('Good morning! Ready for a productive day? 🌅', 'success');
+    
+    this.analyticsManager.trackEvent('daily_reset');
+  }
+
+  updateProductivityStreak() {
+    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toDateString();
+    const yesterdayStats = this.analyticsManager.getStatsForDate(yesterday);
+    
+    if (yesterdayStats.tasksCompleted > 0 || yesterdayStats.focusTime > 0) {
+      // Productive day, continue streak
+      this.stateManager.updateState({
+        currentStreak: (this.stateManager.state.analytics.currentStreak || 0) + 1
+      });
+    } else {
+      // Reset streak
+      this.stateManager.updateState({ currentStreak: 0 });
+    }
+  }
+
+  /* ===== Day Navigation ===== */
+
+  getDayView() {
+    return this.stateManager.getDayView(this.viewDate);
+  }
+
+  // 'past' (read-only archive), 'today' or 'future' (planning)
+  getViewMode() {
+    if (!this.viewDate) return 'today';
+    
+    const todayKey = this.stateManager.recurrence.toDateKey(new Date());
+    if (this.viewDate === todayKey) return 'today';
+    return this.viewDate < todayKey ? 'past' : 'future';
+  }
+
+  canEditViewedDay() {
+    if (this.getViewMode() !== 'past') return true;
+    
+    this.toastManager.show('Past days are read-only', 'warning', null, {
+      actions: [{ label: 'Go to today', callback: () => this.goToToday() }]
+    });
+    return false;
+  }
+
+  changeDay(offset) {
+    const recurrence = this.stateManager.recurrence;
+    const current = this.viewDate ? recurrence.fromDateKey(this.viewDate) : recurrence.startOfDay(new Date());
+    current.setDate(current.getDate() + offset);
+    this.goToDay(recurrence.toDateKey(current));
+  }
+
+  goToDay(dateKey) {
+    const todayKey = this.stateManager.recurrence.toDateKey(new Date());
+    this.viewDate = dateKey === todayKey ? null : dateKey;
+    
+    this.updateTimeDisplay();
+    this.renderDashboard();
+    this.analyticsManager.trackEvent('day_viewed', { mode: this.getViewMode() });
+  }
+
+  goToToday() {
+    this.goToDay(this.stateManager.recurrence.toDateKey(new Date()));
+  }
+
+  renderDayNavigation() {
+    const mode = this.getViewMode();
+    document.body.setAttribute('data-day', mode);
+    
+    const todayBtn = document.getElementById('todayBtn');
+    if (todayBtn) {
+      todayBtn.hidden = mode === 'today';
+    }
+    
+    const banner = document.getElementById('dayBanner');
+    if (banner) {
+      banner.hidden = mode === 'today';
+      banner.textContent = mode === 'past'
+        ? '📚 Looking back - this day is read-only'
+        : '🗓️ Planning ahead - priorities, tasks and time blocks you add here are for this day';
+    }
+  }
+
+  // What was left open on a past day and where it went
+  createCarryOverNoteHTML(view) {
+    if (view.carriedOver.length === 0 && view.dropped.length === 0) return '';
+    
+    const list = items => items.map(item => this.escapeHtml(item.text)).join(', ');
+    
+    return `
+      <div class="day-carry-note">
+        ${view.carriedOver.length > 0 ? `<p>↪ Carried over: ${list(view.carriedOver)}</p>` : ''}
+        ${view.dropped.length > 0 ? `<p>🌱 Let go: ${list(view.dropped)}</p>` : ''}
+      </div>
+    `;
+  }
+
+  /* ===== Morning Rollover ===== */
+
+  // Returns the rollover context when there is unfinished work to ask about
+  archivePreviousDay(previousDay) {
+    const previous = previousDay ? new Date(previousDay) : null;
+    if (!previous || isNaN(previous)) return null;
+    
+    const dayKey = this.stateManager.recurrence.toDateKey(previous);
+    const archived = this.stateManager.archiveDay(dayKey);
+    const unfinished = this.stateManager.getUnfinishedItems();
+    
+    this.renderDashboard();
+    this.analyticsManager.trackEvent('day_archived', { ...archived, unfinished: unfinished.length });
+    
+    return unfinished.length > 0 ? { dayKey, archived, unfinished } : null;
+  }
+
+  showRollover({ dayKey, archived, unfinished }) {
+    const modal = document.getElementById('rolloverModal');
+    const list = document.getElementById('rolloverList');
+    if (!modal || !list) return;
+    
+    this.rolloverDay = dayKey;
+    
+    const summary = document.getElementById('rolloverSummary');
+    if (summary) {
+      const done = archived.tasks + archived.priorities;
+      const parts = [`${done} completed item${done === 1 ? '' : 's'} archived`];
+      if (archived.timeBlocks > 0) {
+        parts.push(`${archived.timeBlocks} old time block${archived.timeBlocks === 1 ? '' : 's'} cleared`);
+      }
+      summary.textContent = `${this.formatDue(dayKey)}: ${parts.join(', ')}. What comes with you today?`;
+    }
+    
+    list.innerHTML = unfinished.map(item => `
+      <label class="rollover-item ${this.isChronicCarryOver(item) ? 'flagged' : ''}">
+        <input type="checkbox" value="${item.key}" checked>
+        <span class="rollover-kind">${item.kind === 'priority' ? '🎯' : '✅'}</span>
+        <span class="rollover-text">${this.escapeHtml(item.text)}</span>
+        ${item.carryOverCount > 0 ? `
+          <span class="rollover-count" title="Times carried over">↪ ${item.carryOverCount}×</span>
+        ` : ''}
+      </label>
+      ${this.isChronicCarryOver(item) ? `
+        <p class="rollover-flag">Moved on ${item.carryOverCount} days running - break it down, give it a time block, or let it go?</p>
+      ` : ''}
+    `).join('');
+    
+    modal.classList.add('active');
+  }
+
+  saveRollover() {
+    if (!this.rolloverDay) return;
+    
+    const carried = Array.from(document.querySelectorAll('#rolloverList input:checked')).map(input => input.value);
+    const result = this.stateManager.applyCarryOver(this.rolloverDay, carried);
+    
+    this.closeRollover();
+    this.renderDashboard();
+    
+    const message = result.dropped.length > 0
+      ? `Carried ${result.carried.length}, let go of ${result.dropped.length} 🌱`
+      : `Carried ${result.carried.length} into today 🌱`;
+    this.showUndoToast(message, result.entryId);
+    this.analyticsManager.trackEvent('rollover_completed', { carried: result.carried.length, dropped: result.dropped.length });
+  }
+
+  closeRollover() {
+    const modal = document.getElementById('rolloverModal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+    this.rolloverDay = null;
+  }
+
+  // Items that keep getting pushed to tomorrow deserve a second look
+  isChronicCarryOver(item) {
+    return (item.carryOverCount || 0) >= 3;
+  }
+
+  rollRecurringItems() {
+    const rolled = this.stateManager.rollRecurringItems();
+    
+    if (rolled.tasks > 0 || rolled.priorities > 0) {
+      this.renderDashboard();
+      
+      const count = rolled.tasks + rolled.priorities;
+      this.toastManager.show(`🔁 ${count} repeating item${count === 1 ? '' : 's'} back for today`, 'info');
+      this.analyticsManager.trackEvent('recurring_rolled', rolled);
+    }
+  }
+
+  /* ===== Recurrence Editor ===== */
+
+  showRecurrence(kind, ref) {
+    const item = kind === 'task'
+      ? this.stateManager.getTask(ref)
+      : this.stateManager.state.priorities[ref];
+    const modal = document.getElementById('recurrenceModal');
+    if (!item || !modal) return;
+    
+    if (kind === 'priority' && !item.text.trim()) {
+      this.toastManager.show('Please add a priority first', 'warning');
+      return;
+    }
+    
+    const recurrence = this.stateManager.recurrence;
+    const rule = item.isRecurring ? item.recurringPattern : null;
+    
+    // The anchor fixes "day of month" and "every N days" for a new rule
+    this.recurrenceTarget = {
+      kind,
+      ref,
+      anchor: rule ? rule.anchor : (item.dueDate || recurrence.toDateKey(new Date()))
+    };
+    
+    document.getElementById('recurrenceItemText').textContent = item.text;
+    document.getElementById('recurrenceFrequency').value = rule ? rule.frequency : '';
+    document.getElementById('recurrenceInterval').value = rule && rule.frequency === 'interval' ? rule.interval : 2;
+    document.getElementById('recurrenceMonthlyBy').value = rule && rule.monthlyBy ? rule.monthlyBy : 'date';
+    
+    const days = rule && rule.frequency === 'weekly'
+      ? rule.days
+      : [recurrence.fromDateKey(this.recurrenceTarget.anchor).getDay()];
+    document.querySelectorAll('#recurrenceDays input').forEach(input => {
+      input.checked = days.includes(Number(input.value));
+    });
+    
+    const skipBtn = document.getElementById('recurrenceSkipBtn');
+    if (skipBtn) {
+      skipBtn.hidden = !rule || item.completed;
+    }
+    
+    this.updateRecurrenceForm();
+    modal.classList.add('active');
+  }
+
+  // Reads the editor fields into a rule (null = does not repeat)
+  readRecurrenceForm() {
+    const frequency = document.getElementById('recurrenceFrequency').value;
+    if (!frequency || !this.recurrenceTarget) return null;
+    
+    const days = Array.from(document.querySelectorAll('#recurrenceDays input:checked')).map(input => Number(input.value));
+    
+    return this.stateManager.recurrence.createRule(frequency, {
+      days,
+      interval: document.getElementById('recurrenceInterval').value,
+      monthlyBy: document.getElementById('recurrenceMonthlyBy').value
+    }, this.recurrenceTarget.anchor);
+  }
+
+  updateRecurrenceForm() {
+    const recurrence = this.stateManager.recurrence;
+    const frequency = document.getElementById('recurrenceFrequency').value;
+    
+    document.getElementById('recurrenceDays').hidden = frequency !== 'weekly';
+    document.getElementById('recurrenceIntervalRow').hidden = frequency !== 'interval';
+    document.getElementById('recurrenceMonthlyRow').hidden = frequency !== 'monthly';
+    
+    // Spell out both monthly options for the anchor date
+    if (this.recurrenceTarget) {
+      const anchor = this.recurrenceTarget.anchor;
+      const byDate = document.querySelector('#recurrenceMonthlyBy option[value="date"]');
+      const byWeekday = document.querySelector('#recurrenceMonthlyBy option[value="weekday"]');
+      if (byDate) byDate.textContent = recurrence.describe(recurrence.createRule('monthly', { monthlyBy: 'date' }, anchor));
+      if (byWeekday) byWeekday.textContent = recurrence.describe(recurrence.createRule('monthly', { monthlyBy: 'weekday' }, anchor));
+    }
+    
+    const rule = this.readRecurrenceForm();
+    const preview = document.getElementById('recurrencePreview');
+    if (preview) {
+      const next = rule ? recurrence.firstOccurrence(rule, new Date()) : null;
+      preview.textContent = rule
+        ? `${recurrence.describe(rule)}${next ? ` · next: ${this.formatDue(recurrence.toDateKey(next))}` : ''}`
+        : 'Does not repeat';
+    }
+  }
+
+  saveRecurrence() {
+    if (!this.recurrenceTarget) return;
+    
+    const { kind, ref } = this.recurrenceTarget;
+    const rule = this.readRecurrenceForm();
+    
+    if (kind === 'task') {
+      this.stateManager.setTaskRecurrence(ref, rule);
+      this.renderTasks();
+    } else {
+      this.stateManager.setPriorityRecurrence(ref, rule);
+      this.renderPriorityRecurrence();
+    }
+    
+    this.closeRecurrence();
+    this.toastManager.show(rule ? `🔁 ${this.stateManager.recurrence.describe(rule)}` : 'No longer repeating', 'success');
+    this.analyticsManager.trackEvent('recurrence_set', { kind, frequency: rule ? rule.frequency : null });
+  }
+
+  skipOccurrence() {
+    if (!this.recurrenceTarget) return;
+    
+    const { kind, ref } = this.recurrenceTarget;
+    this.closeRecurrence();
+    
+    if (kind === 'task') {
+      this.skipTaskOccurrence(ref);
+    } else {
+      this.skipPriorityOccurrence(ref);
+    }
+  }
+
+  skipTaskOccurrence(taskId) {
+    const entryId = this.stateManager.skipTaskOccurrence(taskId);
+    if (!entryId) return;
+    
+    this.renderTasks();
+    this.showUndoToast(`⏭️ Skipped - next one ${this.formatDue(this.stateManager.getTask(taskId).dueDate)}`, entryId);
+    this.analyticsManager.trackEvent('occurrence_skipped', { kind: 'task' });
+  }
+
+  skipPriorityOccurrence(index) {
+    const entryId = this.stateManager.skipPriorityOccurrence(index);
+    this.renderPriorityRecurrence();
+    this.updateStats();
+    this.showUndoToast('⏭️ Priority skipped for today', entryId);
+    this.analyticsManager.trackEvent('occurrence_skipped', { kind: 'priority' });
+  }
+
+  closeRecurrence() {
+    const modal = document.getElementById('recurrenceModal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+    this.recurrenceTarget = null;
+  }
+
+  /* ===== Utility Methods ===== */
+
+  generateId() {
+    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  }
+
+  escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text;
+    return div.innerHTML;
+  }
+
+  capitalizeFirst(str) {
+    return str.charAt(0).toUpperCase() + str.slice(1);
+  }
+
+  async copyText(text) {
+    try {
+      await navigator.clipboard.writeText(text);
+      return true;
+    } catch (error) {
+      // Older browsers and non-secure origins: copy through a selection instead
+      const scratch = document.createElement('textarea');
+      scratch.value = text;
+      scratch.setAttribute('readonly', '');
+      scratch.style.position = 'fixed';
+      scratch.style.opacity = '0';
+      document.body.appendChild(scratch);
+      scratch.select();
+      const copied = document.execCommand('copy');
+      scratch.remove();
+      return copied;
+    }
+  }
+
+  // Esc and backdrop clicks go through each modal's own close method, so
+  // drafts and half-finished imports are cleared as well
+  closeModal(modal) {
+    const closers = {
+      analyticsModal: () => window.closeAnalytics(),
+      historyModal: () => window.closeHistory(),
+      trashModal: () => window.closeTrash(),
+      breakdownModal: () => this.closeBreakdown(),
+      recurrenceModal: () => this.closeRecurrence(),
+      rolloverModal: () => this.closeRollover(),
+      timeBlockModal: () => this.closeTimeBlockEditor(),
+      templatesModal: () => this.closeTemplates(),
+      autoPlanModal: () => this.closeAutoPlan(),
+      profilesModal: () => this.closeProfiles(),
+      encryptionModal: () => this.closeEncryptionSettings(),
+      backupImportModal: () => this.closeBackupImport(),
+      calendarImportModal: () => this.closeCalendarImport(),
+      markdownExportModal: () => this.closeMarkdownExport()
+    };
+    
+    if (closers[modal.id]) {
+      closers[modal.id]();
+    } else {
+      modal.classList.remove('active');
+    }
+  }
+
+  /* ===== Global Methods for HTML onclick handlers ===== */
+
+  addNewTask() {
+    const input = document.getElementById('taskInput');
+    if (input) {
+      input.focus();
+    }
+  }
+
+  /* ===== Data Management ===== */
+
+  // With encryption on, backups are sealed with the same passphrase
+  async exportData() {
+    try {
+      const encrypted = this.isEncrypted();
+      const backup = {
+        version: this.version,
+        exportDate: new Date().toISOString(),
+        state: this.stateManager.state,
+        analytics: this.analyticsManager.getFullAnalytics()
+      };
+      const data = encrypted ? await this.vault.sealBackup(backup) : backup;
+      
+      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+      const url = URL.createObjectURL(blob);
+      
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `3e-planner-backup-${new Date().toISOString().split('T')[0]}${encrypted ? '-encrypted' : ''}.json`;
+      link.click();
+      
+      URL.revokeObjectURL(url);
+      
+      this.toastManager.show(encrypted
+        ? 'Encrypted backup exported 🔒 You\'ll need your passphrase to import it.'
+        : 'Backup exported successfully! 💾', 'success');
+      this.analyticsManager.trackEvent('data_exported', { encrypted });
+      
+    } catch (error) {
+      console.error('Export failed:', error);
+      this.toastManager.show('Export failed. Please try again.', 'error');
+    }
+  }
+
+  importData(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      let data;
+      try {
+        data = JSON.parse(e.target.result);
+      } catch (error) {
+        console.error('Import failed:', error);
+        this.backupImport = { fileName: file.name, data: null, report: { errors: [`The file isn't valid JSON (${error.message}).`], warnings: [] } };
+        this.showBackupImport();
+        return;
+      }
+      
+      // Encrypted backups ask for their passphrase before anything is checked
+      if (this.vault.isSealedBackup(data)) {
+        this.backupImport = { fileName: file.name, sealed: data, data: null, report: { errors: [], warnings: [] } };
+        this.showBackupImport();
+        return;
+      }
+      
+      this.loadBackupImport(file.name, data);
+      this.showBackupImport();
+    };
+    
+    reader.readAsText(file);
+    event.target.value = '';
+  }
+
+  loadBackupImport(fileName, data) {
+    const report = this.stateManager.validateBackup(data);
+    let incoming = null;
+    if (report.errors.length === 0) {
+      try {
+        incoming = this.stateManager.prepareImport(data.state);
+      } catch (error) {
+        console.error('Import failed:', error);
+        report.errors.push(`The backup could not be upgraded to the current format (${error.message}).`);
+      }
+    }
+    
+    this.backupImport = { fileName, data, incoming, report };
+  }
+
+  async unlockBackupImport() {
+    if (!this.backupImport || !this.backupImport.sealed) return;
+    
+    const input = document.getElementById('backupPassphrase');
+    const errorText = document.getElementById('backupPassphraseError');
+    
+    if (!this.vault.isSupported()) {
+      errorText.textContent = 'This browser can\'t decrypt backups (WebCrypto is unavailable).';
+      return;
+    }
+    
+    const data = await this.vault.openBackup(this.backupImport.sealed, input.value);
+    if (!data) {
+      errorText.textContent = 'That passphrase doesn\'t open this backup.';
+      input.value = '';
+      input.focus();
+      return;
+    }
+    
+    this.loadBackupImport(this.backupImport.fileName, data);
+    this.showBackupImport();
+  }
+
+  showBackupImport() {
+    const modal = document.getElementById('backupImportModal');
+    if (!modal || !this.backupImport) return;
+    
+    const hasAnalytics = Boolean(this.backupImport.data && this.backupImport.data.analytics);
+    const restoreAnalytics = document.getElementById('backupRestoreAnalytics');
+    restoreAnalytics.checked = hasAnalytics;
+    restoreAnalytics.disabled = !hasAnalytics;
+    document.querySelector('input[name="backupMode"][value="merge"]').checked = true;
+    
+    this.settingsPanel.close();
+    this.renderBackupImport();
+    modal.classList.add('active');
+  }
+
+  renderBackupImport() {
+    const preview = document.getElementById('backupImportPreview');
+    if (!preview || !this.backupImport) return;
+    
+    const { fileName, data, incoming, report, sealed } = this.backupImport;
+    const mode = document.querySelector('input[name="backupMode"]:checked').value;
+    const saveBtn = document.getElementById('backupImportSaveBtn');
+    const listItems = items => items.map(item => `<li>${this.escapeHtml(item)}</li>`).join('');
+    let html = '';
+    
+    if (sealed) {
+      preview.innerHTML = `
+        <form class="backup-unlock" onsubmit="event.preventDefault(); unlockBackupImport();">
+          <p class="autoplan-summary">🔒 ${this.escapeHtml(fileName)} is encrypted. Enter the passphrase it was exported with.</p>
+          <div class="form-field">
+            <label for="backupPassphrase">Backup passphrase</label>
+            <input type="password" id="backupPassphrase" class="input" autocomplete="current-password" required>
+          </div>
+          <div class="form-error" id="backupPassphraseError" role="alert"></div>
+          <button type="submit" class="btn btn-secondary">Unlock backup</button>
+        </form>
+      `;
+      saveBtn.disabled = true;
+      document.getElementById('backupImportOptions').hidden = true;
+      return;
+    }
+    
+    if (report.errors.length > 0) {
+      html += `
+        <div class="backup-report error" role="alert">
+          <strong>${this.escapeHtml(fileName)} can't be imported:</strong>
+          <ul>${listItems(report.errors)}</ul>
+          <small>Nothing has been changed.</small>
+        </div>
+      `;
+    } else {
+      const counts = this.stateManager.describeBackup(incoming);
+      const exported = data.exportDate ? new Date(data.exportDate).toLocaleString() : 'an unknown date';
+      const events = data.analytics && Array.isArray(data.analytics.sessions) ? data.analytics.sessions.length : 0;
+      
+      html += `
+        <p class="autoplan-summary">${this.escapeHtml(fileName)} · exported ${this.escapeHtml(exported)}${data.version ? ` · version ${this.escapeHtml(String(data.version))}` : ''}</p>
+        <ul class="backup-contents">
+          <li><strong>${counts.priorities}</strong> priorities</li>
+          <li><strong>${counts.tasks}</strong> tasks (${counts.openTasks} open)</li>
+          <li><strong>${counts.timeBlocks}</strong> time blocks</li>
+          <li><strong>${counts.capturedThoughts}</strong> captured thoughts</li>
+          <li><strong>${counts.dayHistory}</strong> archived days</li>
+          <li><strong>${counts.dayTemplates}</strong> day templates</li>
+          <li><strong>${counts.trash}</strong> items in trash</li>
+          <li><strong>${events}</strong> analytics events</li>
+        </ul>
+      `;
+      
+      if (mode === 'merge') {
+        const { stats } = this.stateManager.mergeState(incoming);
+        html += `<p class="form-hint">Merging adds ${stats.added} item${stats.added === 1 ? '' : 's'}, updates ${stats.updated} with newer copies and keeps ${stats.unchanged} as they are. Your settings stay unchanged.</p>`;
+      } else {
+        html += '<p class="form-hint">Replacing swaps all your current planner data and settings for the backup. You can undo this afterwards.</p>';
+      }
+      
+      if (report.warnings.length > 0) {
+        html += `<div class="backup-report warning"><ul>${listItems(report.warnings)}</ul></div>`;
+      }
+    }
+    
+    preview.innerHTML = html;
+    saveBtn.disabled = report.errors.length > 0;
+    document.getElementById('backupImportOptions').hidden = report.errors.length > 0;
+  }
+
+  async saveBackupImport() {
+    if (!this.backupImport || this.backupImport.report.errors.length > 0) return;
+    
+    const { data } = this.backupImport;
+    const mode = document.querySelector('input[name="backupMode"]:checked').value;
+    const restoreAnalytics = document.getElementById('backupRestoreAnalytics').checked;
+    
+    this.closeBackupImport();
+    
+    try {
+      await this.stateManager.restorePoints.create('before-import');
+      const { stats, entryId } = this.stateManager.importState(data.state, mode);
+      if (restoreAnalytics && data.analytics) {
+        await this.analyticsManager.restoreAnalytics(data.analytics, mode);
+      }
+      
+      this.renderDashboard();
+      this.showUndoToast(mode === 'merge'
+        ? `Backup merged: ${stats.added} added, ${stats.updated} updated 📥`
+        : 'Data imported successfully! 📥', entryId);
+      this.analyticsManager.trackEvent('data_imported', { mode, analytics: restoreAnalytics });
+      
+    } catch (error) {
+      console.error('Import failed:', error);
+      this.toastManager.show('Import failed. Please check the file format.', 'error');
+    }
+  }
+
+  closeBackupImport() {
+    const modal = document.getElementById('backupImportModal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+    this.backupImport = null;
+  }
+
+  /* ===== Calendar Import & Export ===== */
+
+  importCalendar(event) {
+    const file = event.target.files[0];
+    if (!file) return;
+    
+    const reader = new FileReader();
+    reader.onload = (e) => {
+      try {
+        const events = this.calendarConverter.parse(e.target.result);
+        if (events.length === 0) {
+          this.toastManager.show('No events found in that calendar file', 'warning');
+          return;
+        }
+        
+        this.calendarImport = { events, fileName: file.name };
+        this.showCalendarImport();
+      } catch (error) {
+        console.error('Calendar import failed:', error);
+        this.toastManager.show('Could not read that file. Export an .ics file from your calendar and try again.', 'error');
+      }
+    };
+    
+    reader.readAsText(file);
+    event.target.value = '';
+  }
+
+  showCalendarImport() {
+    const modal = document.getElementById('calendarImportModal');
+    if (!modal || !this.calendarImport) return;
+    
+    this.settingsPanel.close();
+    this.renderCalendarImport();
+    modal.classList.add('active');
+  }
+
+  renderCalendarImport() {
+    const list = document.getElementById('calendarImportList');
+    if (!list || !this.calendarImport) return;
+    
+    const range = document.getElementById('calendarImportRange').value;
+    const today = new Date();
+    const end = new Date(today);
+    end.setDate(today.getDate() + (range === 'week' ? 6 : 0));
+    
+    const occurrences = this.calendarConverter.occurrencesBetween(
+      this.calendarImport.events,
+      this.stateManager.recurrence.toDateKey(today),
+      this.stateManager.recurrence.toDateKey(end)
+    );
+    this.calendarImport.occurrences = occurrences;
+    
+    const summary = document.getElementById('calendarImportSummary');
+    if (summary) {
+      summary.textContent = `${this.calendarImport.fileName}: ${occurrences.length} event${occurrences.length === 1 ? '' : 's'} in this range. Timed events become fixed time blocks; all-day events can come in as tasks.`;
+    }
+    
+    if (occurrences.length === 0) {
+      list.innerHTML = '<p class="form-hint">Nothing scheduled in this range.</p>';
+      return;
+    }
+    
+    list.innerHTML = occurrences.map((occurrence, index) => {
+      const when = occurrence.allDay
+        ? 'All day → task'
+        : `${this.minutesToTimeString(occurrence.start.getHours() * 60 + occurrence.start.getMinutes())}–${this.minutesToTimeString(occurrence.end.getHours() * 60 + occurrence.end.getMinutes())}`;
+      
+      return `
+        <label class="autoplan-item ${occurrence.allDay ? 'break' : ''}">
+          <input type="checkbox" value="${index}" ${occurrence.allDay ? '' : 'checked'}>
+          <span class="autoplan-time">${this.formatDue(occurrence.key)}</span>
+          <span class="autoplan-text">${this.escapeHtml(occurrence.event.summary || 'Untitled event')}</span>
+          <span class="calendar-import-when">${when}</span>
+        </label>
+      `;
+    }).join('');
+  }
+
+  async saveCalendarImport() {
+    if (!this.calendarImport || !this.calendarImport.occurrences) return;
+    
+    const chosen = Array.from(document.querySelectorAll('#calendarImportList input:checked'))
+      .map(input => this.calendarImport.occurrences[Number(input.value)])
+      .filter(Boolean);
+    
+    const state = this.stateManager.state;
+    const createdAt = new Date().toISOString();
+    const blocks = [];
+    const blockUpdates = [];
+    const tasks = [];
+    let skipped = 0;
+    
+    chosen.forEach(occurrence => {
+      const text = occurrence.event.summary || 'Untitled event';
+      const externalId = `${occurrence.event.uid || text}|${occurrence.key}`;
+      
+      if (occurrence.allDay) {
+        if (!state.tasks.some(task => task.text === text && task.dueDate === occurrence.key)) {
+          tasks.push({ ...this.stateManager.getDefaultTask(), id: this.generateId(), text, dueDate: occurrence.key, createdAt });
+        }
+        return;
+      }
+      
+      // Blocks stay within their day, so events running past midnight are cut off there.
+      // Events starting in the last minutes of the day leave no room for a block at all.
+      const startMinutes = occurrence.start.getHours() * 60 + occurrence.start.getMinutes();
+      const latest = 24 * 60 - 1 - startMinutes;
+      if (latest < 5) {
+        skipped++;
+        return;
+      }
+      const duration = Math.min(Math.max(5, Math.round((occurrence.end - occurrence.start) / 60000)), latest);
+      const fields = {
+        task: text,
+        startTime: this.minutesToTimeString(startMinutes),
+        duration,
+        notes: [occurrence.event.location, occurrence.event.description].filter(Boolean).join('\n').slice(0, 500)
+      };
+      
+      // Re-importing the same calendar updates the blocks it created before
+      const existing = state.timeBlocks.find(block => block.externalId === externalId);
+      if (existing) {
+        blockUpdates.push({ id: existing.id, updates: fields });
+      } else {
+        blocks.push({
+          ...this.stateManager.getDefaultTimeBlock(),
+          ...fields,
+          id: this.generateId(),
+          date: occurrence.key,
+          fixed: true,
+          externalId,
+          createdAt
+        });
+      }
+    });
+    
+    const count = blocks.length + blockUpdates.length + tasks.length;
+    this.closeCalendarImport();
+    if (count === 0) {
+      if (skipped > 0) {
+        this.toastManager.show('Events starting just before midnight can\'t become time blocks', 'warning');
+      }
+      return;
+    }
+    
+    await this.stateManager.restorePoints.create('before-import');
+    const entryId = this.stateManager.importCalendarItems({ blocks, blockUpdates, tasks }, `Imported ${count} calendar item${count === 1 ? '' : 's'}`);
+    this.renderDashboard();
+    
+    const parts = [];
+    if (blocks.length > 0) parts.push(`${blocks.length} new appointment${blocks.length === 1 ? '' : 's'}`);
+    if (blockUpdates.length > 0) parts.push(`${blockUpdates.length} updated`);
+    if (tasks.length > 0) parts.push(`${tasks.length} task${tasks.length === 1 ? '' : 's'}`);
+    if (skipped > 0) parts.push(`${skipped} skipped (starts just before midnight)`);
+    this.showUndoToast(`📅 Calendar import: ${parts.join(', ')}`, entryId);
+    this.analyticsManager.trackEvent('calendar_imported', { blocks: blocks.length, updated: blockUpdates.length, tasks: tasks.length });
+  }
+
+  closeCalendarImport() {
+    const modal = document.getElementById('calendarImportModal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+    this.calendarImport = null;
+  }
+
+  // Today's and upcoming time blocks plus dated tasks; appointments that came from a calendar stay out
+  exportCalendar() {
+    try {
+      const state = this.stateManager.state;
+      const recurrence = this.stateManager.recurrence;
+      const todayKey = recurrence.toDateKey(new Date());
+      const atTime = (dateKey, time) => {
+        const date = recurrence.fromDateKey(dateKey);
+        const [hours, minutes] = time.split(':').map(Number);
+        date.setHours(hours, minutes, 0, 0);
+        return date;
+      };
+      
+      const blockEvents = state.timeBlocks
+        .filter(block => !block.externalId && (block.date || todayKey) >= todayKey)
+        .map(block => {
+          const start = atTime(block.date || todayKey, block.startTime);
+          const linked = this.getLinkedItem(block.linkedTo);
+          return {
+            uid: `${block.id}@3e-planner`,
+            summary: block.task || 'Time block',
+            description: [linked ? `For: ${linked.text}` : '', block.notes].filter(Boolean).join('\n'),
+            start,
+            end: new Date(start.getTime() + block.duration * 60000),
+            allDay: false
+          };
+        });
+      
+      const taskEvents = state.tasks
+        .filter(task => !task.completed && task.dueDate && (task.dueDate >= todayKey || task.isRecurring))
+        .map(task => {
+          const rrule = task.isRecurring ? this.calendarConverter.toRRule(task.recurringPattern) : null;
+          const event = { uid: `task-${task.id}@3e-planner`, summary: task.text, description: task.context || '', rrule };
+          
+          if (task.dueTime) {
+            const start = atTime(task.dueDate, task.dueTime);
+            return { ...event, start, end: new Date(start.getTime() + (task.estimatedMinutes || 30) * 60000), allDay: false };
+          }
+          
+          const start = recurrence.fromDateKey(task.dueDate);
+          const end = new Date(start);
+          end.setDate(start.getDate() + 1);
+          return { ...event, start, end, allDay: true };
+        });
+      
+      const events = [...blockEvents, ...taskEvents];
+      if (events.length === 0) {
+        this.toastManager.show('Nothing to export yet - plan some time blocks or give tasks a date', 'info');
+        return;
+      }
+      
+      const blob = new Blob([this.calendarConverter.build(events)], { type: 'text/calendar' });
+      const url = URL.createObjectURL(blob);
+      
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `3e-planner-${todayKey}.ics`;
+      link.click();
+      
+      URL.revokeObjectURL(url);
+      
+      this.toastManager.show(`Exported ${events.length} event${events.length === 1 ? '' : 's'} to your calendar file 📅`, 'success');
+      this.analyticsManager.trackEvent('calendar_exported', { blocks: blockEvents.length, tasks: taskEvents.length });
+      
+    } catch (error) {
+      console.error('Calendar export failed:', error);
+      this.toastManager.show('Calendar export failed. Please try again.', 'error');
+    }
+  }
+
+  /* ===== Markdown Export ===== */
+
+  // Plain data for one day, in the shape MarkdownExporter expects
+  getMarkdownDay(dateKey) {
+    const recurrence = this.stateManager.recurrence;
+    const view = this.stateManager.getDayView(dateKey);
+    const onDay = timestamp => timestamp && recurrence.toDateKey(new Date(timestamp)) === dateKey;
+    const timeOf = timestamp => new Date(timestamp).toTimeString().slice(0, 5);
+    const events = (this.analyticsManager.analytics.sessions || []).filter(event => onDay(event.timestamp));
+    
+    // Today's live list still holds tasks finished on earlier days that aren't archived yet
+    const tasks = view.mode === 'today'
+      ? view.tasks.filter(task => !task.completed || onDay(task.completedAt))
+      : view.tasks;
+    
+    return {
+      date: dateKey,
+      priorities: view.priorities,
+      tasks,
+      timeBlocks: view.timeBlocks
+        .filter(block => (block.date || dateKey) === dateKey)
+        .map(block => {
+          const linked = this.getLinkedItem(block.linkedTo);
+          return {
+            startTime: block.startTime,
+            duration: block.duration,
+            name: block.task || (linked ? linked.text : ''),
+            fixed: block.fixed,
+            notes: block.notes
+          };
+        }),
+      thoughts: view.capturedThoughts
+        .filter(thought => onDay(thought.timestamp))
+        .map(thought => ({ text: thought.text, reviewed: thought.reviewed, time: timeOf(thought.timestamp) })),
+      focusSessions: events
+        .filter(event => event.name === 'focus_session_completed')
+        .map(event => ({ time: timeOf(event.timestamp), duration: event.data.duration, task: event.data.task })),
+      energyChanges: events
+        .filter(event => event.name === 'energy_level_changed')
+        .map(event => ({ time: timeOf(event.timestamp), energy: event.data.newEnergy }))
+    };
+  }
+
+  getMarkdownSettings() {
+    const settings = this.stateManager.state.settings;
+    const preset = this.markdownExporter.presets[settings.markdownPreset] || this.markdownExporter.presets.obsidian;
+    return {
+      preset: settings.markdownPreset in this.markdownExporter.presets ? settings.markdownPreset : 'obsidian',
+      template: settings.markdownTemplate || preset.template,
+      style: preset.style
+    };
+  }
+
+  // Renders the days from..to (inclusive) with the saved template
+  buildMarkdown(fromKey, toKey = fromKey) {
+    const recurrence = this.stateManager.recurrence;
+    const { template, style } = this.getMarkdownSettings();
+    const days = [];
+    
+    for (let date = recurrence.fromDateKey(fromKey); recurrence.toDateKey(date) <= toKey; date.setDate(date.getDate() + 1)) {
+      days.push(this.getMarkdownDay(recurrence.toDateKey(date)));
+    }
+    
+    return this.markdownExporter.renderRange(days, template, style);
+  }
+
+  showMarkdownExport() {
+    const modal = document.getElementById('markdownExportModal');
+    if (!modal) return;
+    
+    const { preset, template } = this.getMarkdownSettings();
+    const date = this.getDayView().date;
+    
+    document.getElementById('markdownFrom').value = date;
+    document.getElementById('markdownTo').value = date;
+    document.getElementById('markdownPreset').value = preset;
+    document.getElementById('markdownTemplate').value = template;
+    
+    this.settingsPanel.close();
+    this.renderMarkdownExport();
+    modal.classList.add('active');
+  }
+
+  renderMarkdownExport() {
+    const preview = document.getElementById('markdownPreview');
+    const error = document.getElementById('markdownError');
+    if (!preview) return;
+    
+    const from = document.getElementById('markdownFrom').value;
+    const to = document.getElementById('markdownTo').value || from;
+    const spanDays = Math.round((new Date(`${to}T12:00:00`) - new Date(`${from}T12:00:00`)) / 86400000);
+    
+    error.textContent = '';
+    if (!from || spanDays < 0) {
+      error.textContent = 'Pick a start date on or before the end date.';
+      preview.value = '';
+      return;
+    }
+    if (spanDays > 30) {
+      error.textContent = 'Export at most 31 days at a time.';
+      preview.value = '';
+      return;
+    }
+    
+    preview.value = this.buildMarkdown(from, to);
+  }
+
+  // Format and template changes are preferences, so they aren't undo steps
+  saveMarkdownTemplate() {
+    const preset = document.getElementById('markdownPreset').value;
+    const template = document.getElementById('markdownTemplate').value;
+    const settings = this.stateManager.state.settings;
+    
+    this.stateManager.updateState({
+      settings: {
+        ...settings,
+        markdownPreset: preset,
+        markdownTemplate: template.trim() && template !== this.markdownExporter.presets[preset].template ? template : ''
+      }
+    });
+    this.renderMarkdownExport();
+  }
+
+  setMarkdownPreset() {
+    const preset = document.getElementById('markdownPreset').value;
+    document.getElementById('markdownTemplate').value = this.markdownExporter.presets[preset].template;
+    this.saveMarkdownTemplate();
+  }
+
+  async copyMarkdownExport(text = null) {
+    const markdown = text || document.getElementById('markdownPreview').value;
+    if (!markdown) return;
+    
+    if (!await this.copyText(markdown)) {
+      this.toastManager.show('Copy failed - select the preview and copy it by hand', 'error');
+      return;
+    }
+    
+    this.toastManager.show('Markdown copied to clipboard 📋', 'success');
+    this.analyticsManager.trackEvent('markdown_exported', { target: 'clipboard' });
+  }
+
+  // Palette shortcut: the day on screen, straight to the clipboard
+  copyDayAsMarkdown() {
+    const date = this.getDayView().date;
+    this.copyMarkdownExport(this.buildMarkdown(date));
+  }
+
+  downloadMarkdownExport() {
+    const markdown = document.getElementById('markdownPreview').value;
+    if (!markdown) return;
+    
+    const from = document.getElementById('markdownFrom').value;
+    const to = document.getElementById('markdownTo').value || from;
+    const blob = new Blob([markdown], { type: 'text/markdown' });
+    const url = URL.createObjectURL(blob);
+    
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = from === to ? `${from}.md` : `${from}_to_${to}.md`;
+    link.click();
+    
+    URL.revokeObjectURL(url);
+    
+    this.analyticsManager.trackEvent('markdown_exported', { target: 'file' });
+  }
+
+  closeMarkdownExport() {
+    const modal = document.getElementById('markdownExportModal');
+    if (modal) {
+      modal.classList.remove('active');
+    }
+  }
+
+  /* ===== Encryption ===== */
+
+  // Encrypted data has to be unlocked before anything reads it
+  async unlockStorage() {
+    const storage = this.stateManager.storage;
+    const config = await storage.getEncryptionConfig();
+    if (!config || !config.enabled) return;
+    
+    if (!this.vault.isSupported()) {
+      throw new Error('Your planner data is encrypted, but this browser can\'t decrypt it (WebCrypto is unavailable).');
+    }
+    
+    this.showLoadingProgress(5, '🔒 Your planner is locked');
+    await this.showUnlockScreen(config);
+    storage.vault = this.vault;
+    this.showLoadingProgress(10, 'Unlocked');
+  }
+
+  showUnlockScreen(config) {
+    const form = document.getElementById('unlockForm');
+    const input = document.getElementById('unlockPassphrase');
+    const error = document.getElementById('unlockError');
+    
+    form.hidden = false;
+    input.focus();
+    
+    return new Promise(resolve => {
+      form.onsubmit = async (event) => {
+        event.preventDefault();
+        const button = form.querySelector('button[type="submit"]');
+        button.disabled = true;
+        error.textContent = '';
+        
+        const unlocked = await this.vault.unlock(input.value, config);
+        button.disabled = false;
+        input.value = '';
+        
+        if (!unlocked) {
+          error.textContent = 'That passphrase doesn\'t unlock this planner. Check caps lock and try again.';
+          input.focus();
+          return;
+        }
+        
+        form.hidden = true;
+        form.onsubmit = null;
+        resolve();
+      };
+    });
+  }
+
+  async eraseLockedData() {
+    const confirmation = prompt('This permanently deletes the encrypted planner data on this device. Type "ERASE" to continue:');
+    if (confirmation !== 'ERASE') return;
+    
+    try {
+      await this.stateManager.storage.eraseAll();
+      location.reload();
+    } catch (error) {
+      console.error('Erase failed:', error);
+      document.getElementById('unlockError').textContent = error.message;
+    }
+  }
+
+  isEncrypted() {
+    return !this.stateManager.storage.isLocked();
+  }
+
+  showEncryptionSettings() {
+    const modal = document.getElementById('encryptionModal');
+    if (!modal) return;
+    
+    if (!this.vault.isSupported()) {
+      this.toastManager.show('This browser can\'t encrypt data (WebCrypto is unavailable)', 'error');
+      return;
+    }
+    
+    const encrypted = this.isEncrypted();
+    document.getElementById('encryption-title').textContent = encrypted ? '🔓 Turn Off Encryption' : '🔒 Encrypt My Data';
+    document.getElementById('encryptionIntro').textContent = encrypted
+      ? 'Enter your passphrase to store your planner unencrypted again. Encrypted backups you exported stay encrypted.'
+      : 'Tasks, notes, captured thoughts, analytics, restore points and backups will be encrypted with this passphrase. You\'ll enter it each time the planner opens.';
+    document.getElementById('encryptionConfirmField').hidden = encrypted;
+    document.getElementById('encryptionWarning').hidden = encrypted;
+    document.getElementById('encryptionSaveBtn').textContent = encrypted ? 'Turn off encryption' : 'Encrypt my data';
+    document.getElementById('encryptionPassphrase').autocomplete = encrypted ? 'current-password' : 'new-password';
+    document.getElementById('encryptionForm').reset();
+    document.getElementById('encryptionError').textContent = '';
+    
+    this.settingsPanel.close();
+    modal.classList.add('active');
+    document.getElementById('encryptionPassphrase').focus();
+  }
+
+  async saveEncryptionSettings() {
+    const storage = this.stateManager.storage;
+    const passphrase = document.getElementById('encryptionPassphrase').value;
+    const errorText = document.getElementById('encryptionError');
+    const saveBtn = document.getElementById('encryptionSaveBtn');
+    const encrypted = this.isEncrypted();
+    
+    errorText.textContent = '';
+    
+    if (encrypted) {
+      const check = new DataVault();
+      if (!await check.unlock(passphrase, await storage.getEncryptionConfig())) {
+        errorText.textContent = 'That isn\'t your current passphrase.';
+        return;
+      }
+    } else {
+      if (passphrase.length < 8) {
+        errorText.textContent = 'Use at least 8 characters - a few unrelated words work well.';
+        return;
+      }
+      if (passphrase !== document.getElementById('encryptionConfirm').value) {
+        errorText.textContent = 'The two passphrases don\'t match.';
+        return;
+      }
+      if (!document.getElementById('encryptionAcknowledge').checked) {
+        errorText.textContent = 'Please confirm you understand there is no passphrase recovery.';
+        return;
+      }
+    }
+    
+    saveBtn.disabled = true;
+    saveBtn.textContent = encrypted ? 'Decrypting…' : 'Encrypting…';
+    
+    // Other tabs on this profile would keep writing in the old format
+    this.syncManager.post({ type: 'vault-changing', tabId: this.syncManager.tabId });
+    
+    try {
+      await this.stateManager.saveState();
+      
+      if (encrypted) {
+        await storage.changeVault(null, null, this.stateManager.state, this.analyticsManager.analytics);
+        this.vault = new DataVault();
+        this.toastManager.show('Encryption is off. Your data is stored unencrypted in this browser.', 'info');
+      } else {
+        const vault = new DataVault();
+        const config = await vault.create(passphrase);
+        await storage.changeVault(vault, config, this.stateManager.state, this.analyticsManager.analytics);
+        this.vault = vault;
+        this.toastManager.show('Your planner is encrypted 🔒 Export an encrypted backup now and keep your passphrase somewhere safe.', 'success', null, {
+          actions: [
+            { label: 'Export backup', callback: () => this.exportData() },
+            { label: 'Later' }
+          ]
+        });
+      }
+      
+      this.closeEncryptionSettings();
+      this.settingsPanel.renderEncryptionStatus();
+      this.analyticsManager.trackEvent('encryption_changed', { enabled: !encrypted });
+      
+    } catch (error) {
+      console.error('Changing encryption failed:', error);
+      errorText.textContent = 'Something went wrong while rewriting your data. It is still readable - reload the planner and try again.';
+    } finally {
+      saveBtn.disabled = false;
+      this.syncManager.post({ type: 'vault-changed', tabId: this.syncManager.tabId });
+    }
+  }
+
+  closeEncryptionSettings() {
+    const modal = document.getElementById('encryptionModal');
+    if (modal) {
+      modal.classList.remove('active');
+      document.getElementById('encryptionForm').reset();
+    }
+  }
+
+  /* ===== Profiles ===== */
+
+  renderProfileButton() {
+    const button = document.getElementById('profileButton');
+    if (!button) return;
+    
+    button.querySelector('.profile-icon').textContent = this.profile.icon;
+    button.querySelector('.profile-name').textContent = this.profile.name;
+    button.title = `Profile: ${this.profile.name} (switch or manage profiles)`;
+    document.title = this.profile.id === 'default'
+      ? this.baseTitle
+      : `${this.baseTitle} · ${this.profile.name}`;
+  }
+
+  switchProfile(profileId) {
+    if (profileId === this.profile.id || !this.profileManager.get(profileId)) return;
+    
+    // Each profile loads into a fresh page so no module keeps the old profile's data
+    this.stateManager.saveState().finally(() => {
+      this.analyticsManager.trackEvent('profile_switched');
+      this.profileManager.setActive(profileId);
+      window.location.reload();
+    });
+  }
+
+  showProfiles() {
+    const modal = document.getElementById('profilesModal');
+    if (!modal) return;
+    
+    this.editingProfileId = null;
+    document.getElementById('profileCreateForm').reset();
+    document.getElementById('profileIcon').innerHTML = this.profileManager.icons
+      .map(icon => `<option value="${icon}">${icon}</option>`)
+      .join('');
+    document.getElementById('profileIcon').value = this.profileManager.icons[1];
+    
+    this.renderProfiles();
+    modal.classList.add('active');
+  }
+
+  renderProfiles() {
+    const list = document.getElementById('profileList');
+    if (!list) return;
+    
+    const profiles = this.profileManager.list();
+    list.innerHTML = profiles.map(profile => {
+      const active = profile.id === this.profile.id;
+      
+      if (profile.id === this.editingProfileId) {
+        return `
+          <form class="profile-item editing" onsubmit="event.preventDefault(); app.renameProfile('${profile.id}');">
+            <input type="text" id="profileRenameInput" class="input" value="${this.escapeHtml(profile.name)}" maxlength="30" aria-label="Profile name" required>
+            <button type="submit" class="btn btn-primary btn-sm">Save</button>
+            <button type="button" class="btn btn-ghost btn-sm" onclick="app.editProfile(null)">Cancel</button>
+          </form>
+        `;
+      }
+      
+      return `
+        <div class="profile-item ${active ? 'active' : ''}">
+          <span class="profile-item-name">${profile.icon} ${this.escapeHtml(profile.name)}${active ? ' <span class="profile-current">current</span>' : ''}</span>
+          <div class="profile-item-actions">
+            ${active ? '' : `<button class="btn btn-outline btn-sm" onclick="app.switchProfile('${profile.id}')">Switch</button>`}
+            <button class="btn btn-ghost btn-sm" onclick="app.editProfile('${profile.id}')">Rename</button>
+            ${active || profile.id === 'default' ? '' : `<button class="btn btn-ghost btn-sm" onclick="app.deleteProfile('${profile.id}')">Delete</button>`}
+          </div>
+        </div>
+      `;
+    }).join('');
+    
+    const input = document.getElementById('profileRenameInput');
+    if (input) input.focus();
+    
+    this.renderProfileCopy();
+  }
+
+  editProfile(profileId) {
+    this.editingProfileId = profileId;
+    this.renderProfiles();
+  }
+
+  renameProfile(profileId) {
+    const input = document.getElementById('profileRenameInput');
+    if (!input || !input.value.trim()) return;
+    
+    const profile = this.profileManager.update(profileId, { name: input.value });
+    if (profile && profileId === this.profile.id) {
+      this.profile = profile;
+      this.renderProfileButton();
+    }
+    
+    this.editingProfileId = null;
+    this.renderProfiles();
+  }
+
+  createProfile() {
+    const name = document.getElementById('profileName').value;
+    if (!name.trim()) return;
+    
+    if (this.profileManager.list().some(profile => profile.name.toLowerCase() === name.trim().toLowerCase())) {
+      this.toastManager.show('There is already a profile with that name', 'warning');
+      return;
+    }
+    
+    const profile = this.profileManager.create(name, document.getElementById('profileIcon').value);
+    this.analyticsManager.trackEvent('profile_created');
+    this.switchProfile(profile.id);
+  }
+
+  async deleteProfile(profileId) {
+    const profile = this.profileManager.get(profileId);
+    if (!profile || profileId === this.profile.id) return;
+    
+    if (!confirm(`Delete the "${profile.name}" profile with all its tasks, templates, history and restore points? This can't be undone - export a backup from that profile first if you might need it.`)) return;
+    
+    try {
+      await this.profileManager.remove(profileId);
+      this.renderProfiles();
+      this.toastManager.show(`Deleted the "${profile.name}" profile`, 'info');
+    } catch (error) {
+      console.error('Failed to delete profile:', error);
+      this.toastManager.show(error.message || 'Could not delete that profile', 'error');
+    }
+  }
+
+  renderProfileCopy() {
+    const section = document.getElementById('profileCopy');
+    const target = document.getElementById('profileCopyTarget');
+    const list = document.getElementById('profileCopyList');
+    if (!section || !target || !list) return;
+    
+    const others = this.profileManager.list().filter(profile => profile.id !== this.profile.id);
+    section.hidden = others.length === 0;
+    if (others.length === 0) return;
+    
+    const selected = others.some(profile => profile.id === target.value) ? target.value : others[0].id;
+    target.innerHTML = others
+      .map(profile => `<option value="${profile.id}">${profile.icon} ${this.escapeHtml(profile.name)}</option>`)
+      .join('');
+    target.value = selected;
+    
+    const state = this.stateManager.state;
+    const tasks = state.tasks.filter(task => !task.completed);
+    const templates = state.dayTemplates;
+    
+    if (tasks.length === 0 && templates.length === 0) {
+      list.innerHTML = '<p class="form-hint">No open tasks or day templates to copy.</p>';
+    } else {
+      list.innerHTML = [
+        ...templates.map(template => `
+          <label class="autoplan-item">
+            <input type="checkbox" data-kind="template" value="${template.id}">
+            <span class="autoplan-time">Template</span>
+            <span class="autoplan-text">${this.escapeHtml(template.name)}</span>
+          </label>
+        `),
+        ...tasks.map(task => `
+          <label class="autoplan-item">
+            <input type="checkbox" data-kind="task" value="${task.id}">
+            <span class="autoplan-time">Task</span>
+            <span class="autoplan-text">${this.escapeHtml(task.text)}</span>
+          </label>
+        `)
+      ].join('');
+    }
+    
+    this.updateProfileCopyPassphrase();
+  }
+
+  // Copying into an encrypted profile needs that profile's passphrase
+  async updateProfileCopyPassphrase() {
+    const targetId = document.getElementById('profileCopyTarget').value;
+    const field = document.getElementById('profileCopyPassphraseField');
+    const storage = this.profileManager.createStorage(targetId);
+    const config = await storage.getEncryptionConfig();
+    storage.close();
+    
+    field.hidden = !(config && config.enabled);
+    document.getElementById('profileCopyError').textContent = '';
+  }
+
+  async copyToProfile() {
+    const targetId = document.getElementById('profileCopyTarget').value;
+    const target = this.profileManager.get(targetId);
+    const errorText = document.getElementById('profileCopyError');
+    const passphrase = document.getElementById('profileCopyPassphrase');
+    const chosen = Array.from(document.querySelectorAll('#profileCopyList input:checked'));
+    if (!target) return;
+    
+    errorText.textContent = '';
+    if (chosen.length === 0) {
+      errorText.textContent = 'Pick at least one task or template to copy.';
+      return;
+    }
+    
+    const storage = this.profileManager.createStorage(targetId);
+    try {
+      const config = await storage.getEncryptionConfig();
+      if (config && config.enabled) {
+        const vault = new DataVault();
+        if (!await vault.unlock(passphrase.value, config)) {
+          errorText.textContent = `That passphrase doesn't unlock "${target.name}".`;
+          return;
+        }
+        storage.vault = vault;
+      }
+      
+      const stored = await storage.loadState();
+      const targetState = stored ? this.stateManager.prepareImport(stored) : this.stateManager.getDefaultState();
+      const now = new Date().toISOString();
+      const added = { tasks: [], dayTemplates: [] };
+      
+      // Copies get new ids so the two profiles never merge them back together
+      chosen.forEach(input => {
+        if (input.dataset.kind === 'template') {
+          const template = this.stateManager.state.dayTemplates.find(t => t.id === input.value);
+          if (!template) return;
+          added.dayTemplates.push({
+            ...JSON.parse(JSON.stringify(template)),
+            id: this.generateId(),
+            days: [],
+            createdAt: now,
+            updatedAt: now
+          });
+        } else {
+          const task = this.stateManager.state.tasks.find(t => t.id === input.value);
+          if (!task) return;
+          added.tasks.push({
+            ...JSON.parse(JSON.stringify(task)),
+            id: this.generateId(),
+            createdAt: now,
+            updatedAt: now
+          });
+        }
+      });
+      
+      targetState.tasks.push(...added.tasks);
+      targetState.dayTemplates.push(...added.dayTemplates);
+      await storage.saveState(targetState);
+      
+      // Tabs that have the target profile open add the copies to what they hold,
+      // otherwise their next save would write over them
+      this.syncManager.notifyProfile(storage, added);
+      
+      const copied = { tasks: added.tasks.length, templates: added.dayTemplates.length };
+      const parts = [];
+      if (copied.tasks) parts.push(`${copied.tasks} task${copied.tasks === 1 ? '' : 's'}`);
+      if (copied.templates) parts.push(`${copied.templates} template${copied.templates === 1 ? '' : 's'}`);
+      this.toastManager.show(`Copied ${parts.join(' and ')} to ${target.icon} ${target.name}`, 'success', null, {
+        actions: [
+          { label: 'Switch there', callback: () => this.switchProfile(targetId) },
+          { label: 'Stay here' }
+        ]
+      });
+      
+      passphrase.value = '';
+      document.querySelectorAll('#profileCopyList input:checked').forEach(input => { input.checked = false; });
+      this.analyticsManager.trackEvent('profile_copy', copied);
+      
+    } catch (error) {
+      console.error('Copy to profile failed:', error);
+      errorText.textContent = `Could not copy to "${target.name}". Nothing was changed there.`;
+    } finally {
+      storage.close();
+    }
+  }
+
+  closeProfiles() {
+    const modal = document.getElementById('profilesModal');
+    if (modal) {
+      modal.classList.remove('active');
+      this.editingProfileId = null;
+    }
+  }
+
+  /* ===== Restore Points ===== */
+
+  async createRestorePoint() {
+    const point = await this.stateManager.restorePoints.create('manual');
+    if (!point) {
+      this.toastManager.show('Could not save a restore point in this browser', 'error');
+      return;
+    }
+    
+    this.settingsPanel.renderRestorePoints();
+    this.toastManager.show('Restore point saved 🛟', 'success');
+  }
+
+  async restoreFromPoint(pointId) {
+    const restorePoints = this.stateManager.restorePoints;
+    const point = (await restorePoints.list()).find(p => p.id === pointId);
+    if (!point) return;
+    
+    const when = new Date(point.createdAt).toLocaleString();
+    if (!confirm(`Replace your current planner with the snapshot from ${when}? Your current data is saved as a restore point first.`)) return;
+    
+    try {
+      const restored = await restorePoints.restore(pointId);
+      if (!restored) {
+        throw new Error('Restore point data is missing');
+      }
+      
+      this.settingsPanel.loadSettings();
+      this.settingsPanel.renderRestorePoints();
+      this.renderDashboard();
+      this.showUndoToast(`Restored your planner from ${when} 🛟`, restored.entryId);
+      this.analyticsManager.trackEvent('restore_point_restored', { reason: point.reason });
+    } catch (error) {
+      console.error('Restore failed:', error);
+      this.toastManager.show('That restore point could not be read. Try an older one.', 'error');
+    }
+  }
+
+  async resetAllData() {
+    const confirmation = prompt('Type "RESET" to confirm deletion of all data:');
+    if (confirmation !== 'RESET') return;
+    
+    const point = await this.stateManager.restorePoints.create('before-reset');
+    this.stateManager.resetState();
+    this.renderDashboard();
+    
+    this.toastManager.show(point
+      ? 'All data has been reset. You can get it back from Settings → Restore points.'
+      : 'All data has been reset', 'info');
+    this.analyticsManager.trackEvent('data_reset');
+  }
+}
+
+/* ===== Persistent Storage System ===== */
+
+class StorageManager {
+  constructor(profileId = 'default') {
+    // Each profile gets its own database and keys; the default profile keeps
+    // the original names so existing data stays where it is
+    this.profileId = profileId;
+    this.suffix = profileId === 'default' ? '' : `--${profileId}`;
+    this.dbName = `3e-planner${this.suffix}`;
+    this.dbVersion = 5;
+    this.db = null;
+    this.opening = null;
+    
+    // Each collection gets its own object store so a single change
+    // doesn't rewrite the whole planner
+    this.collections = ['priorities', 'tasks', 'timeBlocks', 'capturedThoughts', 'trash', 'dayHistory', 'dayTemplates'];
+    this.legacyKeys = {
+      state: `3e-planner-state${this.suffix}`,
+      analytics: `3e-planner-analytics${this.suffix}`
+    };
+    
+    // Last persisted JSON per collection, used to skip unchanged stores
+    this.snapshots = {};
+    this.persistedEventCount = 0;
+    
+    // When unlocked, everything written is encrypted (see DataVault)
+    this.vault = null;
+    
+    // Set when another tab changes encryption: this tab's vault is stale,
+    // so anything it wrote would be in the wrong format
+    this.frozen = false;
+    this.encryptionKey = `3e-planner-encryption${this.suffix}`;
+    
+    // Remembers that the data moved to IndexedDB, so a database that can't be
+    // opened is an error rather than a reason to start over in localStorage
+    this.indexedDBKey = `3e-planner-indexeddb${this.suffix}`;
+    
+    // Set by the app: another tab holds up an upgrade, or wants to upgrade
+    this.onBlocked = null;
+    this.onVersionChange = null;
+  }
+
+  isSupported() {
+    return typeof indexedDB !== 'undefined';
+  }
+
+  open() {
+    if (this.db) return Promise.resolve(this.db);
+    if (!this.isSupported()) return Promise.resolve(null);
+    
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        const request = indexedDB.open(this.dbName, this.dbVersion);
+        
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          
+          this.collections.forEach(name => {
+            if (!db.objectStoreNames.contains(name)) {
+              db.createObjectStore(name, { keyPath: 'id' });
+            }
+          });
+          
+          if (!db.objectStoreNames.contains('analyticsEvents')) {
+            db.createObjectStore('analyticsEvents', { autoIncrement: true });
+          }
+          
+          if (!db.objectStoreNames.contains('meta')) {
+            db.createObjectStore('meta', { keyPath: 'key' });
+          }
+          
+          if (!db.objectStoreNames.contains('restorePoints')) {
+            db.createObjectStore('restorePoints', { keyPath: 'id' });
+          }
+        };
+        
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+        // The request stays pending and succeeds once the other tab lets go
+        request.onblocked = () => {
+          if (this.onBlocked) this.onBlocked();
+        };
+      })
+        .then(async (db) => {
+          // A newer version opened elsewhere: let it upgrade and stop writing
+          // with the old schema until this tab reloads
+          db.onversionchange = () => {
+            this.frozen = true;
+            this.close();
+            if (this.onVersionChange) this.onVersionChange();
+          };
+          
+          this.db = db;
+          await this.migrateFromLocalStorage();
+          this.markIndexedDB();
+          return db;
+        })
+        .catch((error) => {
+          this.opening = null;
+          if (this.hasUsedIndexedDB()) {
+            throw new Error('Your planner data could not be opened. Close the planner in your other tabs and reload.');
+          }
+          
+          // Fall back to localStorage for this session
+          console.warn('IndexedDB unavailable, using localStorage:', error);
+          return null;
+        });
+    }
+    
+    return this.opening;
+  }
+
+  markIndexedDB() {
+    try {
+      localStorage.setItem(this.indexedDBKey, 'true');
+    } catch (error) {
+      console.warn('Failed to remember IndexedDB storage:', error);
+    }
+  }
+
+  hasUsedIndexedDB() {
+    try {
+      return localStorage.getItem(this.indexedDBKey) === 'true';
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // Releases the connection so the database can be deleted or upgraded
+  close() {
+    if (this.db) {
+      this.db.close();
+      this.db = null;
+      this.opening = null;
+    }
+  }
+
+  /* ===== Low-level helpers ===== */
+
+  promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+
+  completeTransaction(transaction) {
+    return new Promise((resolve, reject) => {
+      transaction.oncomplete = () => resolve();
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+    });
+  }
+
+  async getMeta(key) {
+    const db = await this.open();
+    if (!db) return undefined;
+    
+    const store = db.transaction('meta', 'readonly').objectStore('meta');
+    const record = await this.promisifyRequest(store.get(key));
+    return record ? record.value : undefined;
+  }
+
+  /* ===== State ===== */
+
+  async loadState() {
+    const db = await this.open();
+    if (!db) return this.unseal(this.loadLegacy(this.legacyKeys.state));
+    
+    const transaction = db.transaction([...this.collections, 'meta'], 'readonly');
+    const root = await this.promisifyRequest(transaction.objectStore('meta').get('state'));
+    if (!root) return null;
+    
+    const stored = {};
+    for (const name of this.collections) {
+      stored[name] = await this.promisifyRequest(transaction.objectStore(name).getAll());
+    }
+    
+    // Decrypt only after reading; the transaction closes while WebCrypto works
+    const state = { ...(await this.unseal(root.value)) };
+    
+    for (const name of this.collections) {
+      const records = stored[name].sort((a, b) => a.position - b.position);
+      state[name] = await Promise.all(records.map(record => record.sealed ? this.unseal(record) : record.item));
+      this.snapshots[name] = JSON.stringify(state[name]);
+    }
+    
+    return state;
+  }
+
+  async saveState(liveState) {
+    if (this.frozen) return;
+    
+    // Copy before the first await: the live state keeps changing meanwhile
+    const state = JSON.parse(JSON.stringify(liveState));
+    
+    const db = await this.open();
+    if (!db) {
+      await this.saveLegacy(this.legacyKeys.state, state);
+      return;
+    }
+    
+    const root = { ...state };
+    this.collections.forEach(name => delete root[name]);
+    
+    const changed = this.collections.filter(name => {
+      return JSON.stringify(state[name] || []) !== this.snapshots[name];
+    });
+    
+    // Encrypt up front; an open transaction would commit while waiting on WebCrypto
+    const sealedRoot = await this.seal(root);
+    const records = {};
+    for (const name of changed) {
+      records[name] = await Promise.all((state[name] || []).map(async (item, position) => {
+        return this.isLocked() ? { id: item.id, position, item } : { id: item.id, position, ...(await this.seal(item)) };
+      }));
+    }
+    
+    const transaction = db.transaction([...changed, 'meta'], 'readwrite');
+    transaction.objectStore('meta').put({ key: 'state', value: sealedRoot });
+    
+    changed.forEach(name => {
+      const store = transaction.objectStore(name);
+      store.clear();
+      records[name].forEach(record => store.put(record));
+    });
+    
+    await this.completeTransaction(transaction);
+    
+    changed.forEach(name => {
+      this.snapshots[name] = JSON.stringify(state[name] || []);
+    });
+  }
+
+  /* ===== Analytics ===== */
+
+  async loadAnalytics() {
+    const db = await this.open();
+    if (!db) return this.unseal(this.loadLegacy(this.legacyKeys.analytics));
+    
+    const transaction = db.transaction(['analyticsEvents', 'meta'], 'readonly');
+    const root = await this.promisifyRequest(transaction.objectStore('meta').get('analytics'));
+    const stored = await this.promisifyRequest(transaction.objectStore('analyticsEvents').getAll());
+    const sessions = await Promise.all(stored.map(event => this.unseal(event)));
+    
+    this.persistedEventCount = sessions.length;
+    
+    if (!root && sessions.length === 0) return null;
+    return { ...(root ? await this.unseal(root.value) : {}), sessions };
+  }
+
+  // `replace` rewrites the whole event log, e.g. after restoring a backup
+  async saveAnalytics(analytics, replace = false) {
+    if (this.frozen) return;
+    
+    const db = await this.open();
+    if (!db) {
+      await this.saveLegacy(this.legacyKeys.analytics, analytics);
+      return;
+    }
+    
+    const { sessions = [], ...root } = analytics;
+    
+    // Events are append-only; only rewrite everything if the log was replaced
+    const rewrite = replace || sessions.length < this.persistedEventCount;
+    const sealedRoot = await this.seal(root);
+    const added = await Promise.all((rewrite ? sessions : sessions.slice(this.persistedEventCount)).map(event => this.seal(event)));
+    
+    const transaction = db.transaction(['analyticsEvents', 'meta'], 'readwrite');
+    const events = transaction.objectStore('analyticsEvents');
+    
+    transaction.objectStore('meta').put({ key: 'analytics', value: sealedRoot });
+    
+    if (rewrite) {
+      events.clear();
+    }
+    added.forEach(event => events.add(event));
+    
+    await this.completeTransaction(transaction);
+    this.persistedEventCount = sessions.length;
+  }
+
+  /* ===== Restore Points ===== */
+
+  // Summaries live in meta so listing doesn't read every saved state
+  async loadRestorePoints() {
+    return (await this.getMeta('restorePoints')) || [];
+  }
+
+  async loadRestorePointState(id) {
+    const db = await this.open();
+    if (!db) return null;
+    
+    const store = db.transaction('restorePoints', 'readonly').objectStore('restorePoints');
+    const record = await this.promisifyRequest(store.get(id));
+    return record ? this.unseal(record.state) : null;
+  }
+
+  // Returns false when there is nowhere to keep them (no IndexedDB)
+  async saveRestorePoint(summary, state) {
+    if (this.frozen) return false;
+    
+    const db = await this.open();
+    if (!db) return false;
+    
+    const sealed = await this.seal(state);
+    const transaction = db.transaction(['restorePoints', 'meta'], 'readwrite');
+    const meta = transaction.objectStore('meta');
+    const list = await this.promisifyRequest(meta.get('restorePoints'));
+    
+    transaction.objectStore('restorePoints').put({ id: summary.id, state: sealed });
+    meta.put({ key: 'restorePoints', value: [...(list ? list.value : []), summary] });
+    
+    await this.completeTransaction(transaction);
+    return true;
+  }
+
+  async deleteRestorePoints(ids) {
+    const db = await this.open();
+    if (!db || ids.length === 0) return;
+    
+    const transaction = db.transaction(['restorePoints', 'meta'], 'readwrite');
+    const meta = transaction.objectStore('meta');
+    const store = transaction.objectStore('restorePoints');
+    const list = await this.promisifyRequest(meta.get('restorePoints'));
+    
+    ids.forEach(id => store.delete(id));
+    meta.put({ key: 'restorePoints', value: (list ? list.value : []).filter(point => !ids.includes(point.id)) });
+    
+    await this.completeTransaction(transaction);
+  }
+
+  /* ===== localStorage migration & fallback ===== */
+
+  async migrateFromLocalStorage() {
+    const migrated = await this.getMeta('legacyMigratedAt');
+    if (migrated) return;
+    
+    const legacyState = await this.unseal(this.loadLegacy(this.legacyKeys.state));
+    const legacyAnalytics = await this.unseal(this.loadLegacy(this.legacyKeys.analytics));
+    
+    if (legacyState) {
+      await this.saveState(legacyState);
+    }
+    
+    if (legacyAnalytics) {
+      await this.saveAnalytics(legacyAnalytics);
+    }
+    
+    const transaction = this.db.transaction('meta', 'readwrite');
+    transaction.objectStore('meta').put({ key: 'legacyMigratedAt', value: new Date().toISOString() });
+    await this.completeTransaction(transaction);
+    
+    // Only drop the old blobs once everything is safely in IndexedDB
+    try {
+      localStorage.removeItem(this.legacyKeys.state);
+      localStorage.removeItem(this.legacyKeys.analytics);
+    } catch (error) {
+      console.warn('Failed to remove legacy localStorage data:', error);
+    }
+  }
+
+  loadLegacy(key) {
+    try {
+      const saved = localStorage.getItem(key);
+      return saved ? JSON.parse(saved) : null;
+    } catch (error) {
+      console.warn(`Failed to read ${key} from localStorage:`, error);
+      return null;
+    }
+  }
+
+  async saveLegacy(key, value) {
+    localStorage.setItem(key, JSON.stringify(await this.seal(value)));
+  }
+
+  /* ===== Encryption ===== */
+
+  isLocked() {
+    return !this.vault || !this.vault.isUnlocked();
+  }
+
+  // Wraps a value for storage: { sealed: { iv, data } } when encryption is on
+  async seal(value, vault = this.vault) {
+    if (!vault || !vault.isUnlocked()) return value;
+    return { sealed: await vault.encrypt(value) };
+  }
+
+  // Plain values pass through, so data written before encryption stays readable
+  async unseal(value, vault = this.vault) {
+    if (!value || !value.sealed) return value;
+    if (!vault || !vault.isUnlocked()) {
+      throw new Error('Your planner data is encrypted and still locked');
+    }
+    return vault.decrypt(value.sealed);
+  }
+
+  // Kept outside the encrypted data: it's needed before anything can be read
+  async getEncryptionConfig() {
+    const db = await this.open();
+    if (db) return (await this.getMeta('encryption')) || null;
+    return this.loadLegacy(this.encryptionKey);
+  }
+
+  async setEncryptionConfig(config) {
+    const db = await this.open();
+    if (!db) {
+      if (config) {
+        localStorage.setItem(this.encryptionKey, JSON.stringify(config));
+      } else {
+        localStorage.removeItem(this.encryptionKey);
+      }
+      return;
+    }
+    
+    const transaction = db.transaction('meta', 'readwrite');
+    if (config) {
+      transaction.objectStore('meta').put({ key: 'encryption', value: config });
+    } else {
+      transaction.objectStore('meta').delete('encryption');
+    }
+    await this.completeTransaction(transaction);
+  }
+
+  // Last resort from the unlock screen when the passphrase is lost
+  async eraseAll() {
+    this.close();
+    
+    Object.values(this.legacyKeys).forEach(key => localStorage.removeItem(key));
+    localStorage.removeItem(this.encryptionKey);
+    localStorage.removeItem(this.indexedDBKey);
+    if (!this.isSupported()) return;
+    
+    await new Promise((resolve, reject) => {
+      const request = indexedDB.deleteDatabase(this.dbName);
+      request.onsuccess = () => resolve();
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('Close the planner in your other tabs, then try again'));
+    });
+  }
+
+  /**
+   * Rewrites everything stored under a different vault (null = plain). The
+   * config is written first when turning encryption on and last when turning
+   * it off, so an interrupted rewrite still unlocks and reads: unseal() takes
+   * plain and encrypted records alike.
+   */
+  async changeVault(nextVault, config, state, analytics) {
+    const previous = this.vault;
+    if (config) {
+      await this.setEncryptionConfig(config);
+    }
+    
+    const points = await this.loadRestorePoints();
+    this.vault = nextVault;
+    this.snapshots = {};
+    await this.saveState(state);
+    await this.saveAnalytics(analytics, true);
+    
+    const db = await this.open();
+    for (const point of db ? points : []) {
+      const record = await this.promisifyRequest(db.transaction('restorePoints', 'readonly').objectStore('restorePoints').get(point.id));
+      if (!record) continue;
+      
+      const sealed = await this.seal(await this.unseal(record.state, previous));
+      const transaction = db.transaction('restorePoints', 'readwrite');
+      transaction.objectStore('restorePoints').put({ id: point.id, state: sealed });
+      await this.completeTransaction(transaction);
+    }
+    
+    if (!config) {
+      await this.setEncryptionConfig(null);
+    }
+  }
+}
+
+/* ===== Data Vault ===== */
+
+/**
+ * Passphrase encryption for stored data and backups, using WebCrypto:
+ * PBKDF2 (SHA-256) turns the passphrase into an AES-GCM key and every value
+ * gets a fresh IV. The passphrase is never stored, only a check value that
+ * tells a wrong passphrase apart - so a forgotten one can't be recovered.
+ */
+class DataVault {
+  constructor() {
+    this.key = null;
+    this.salt = null;
+    this.iterations = 310000;
+    this.checkPhrase = '3e-planner-vault';
+    this.backupFormat = '3e-planner-encrypted';
+  }
+
+  isSupported() {
+    return typeof crypto !== 'undefined' && Boolean(crypto.subtle) && typeof TextEncoder !== 'undefined';
+  }
+
+  isUnlocked() {
+    return this.key !== null;
+  }
+
+  // Unlocks with a new passphrase and returns the config needed to unlock again
+  async create(passphrase) {
+    const salt = this.toBase64(crypto.getRandomValues(new Uint8Array(16)));
+    this.key = await this.deriveKey(passphrase, salt, this.iterations);
+    this.salt = salt;
+    
+    return {
+      enabled: true,
+      salt,
+      iterations: this.iterations,
+      check: await this.encrypt(this.checkPhrase),
+      createdAt: new Date().toISOString()
+    };
+  }
+
+  // Returns false (and stays locked) when the passphrase is wrong
+  async unlock(passphrase, config) {
+    const key = await this.deriveKey(passphrase, config.salt, config.iterations);
+    
+    try {
+      if (await this.decrypt(config.check, key) !== this.checkPhrase) return false;
+    } catch (error) {
+      return false;
+    }
+    
+    Object.assign(this, { key, salt: config.salt, iterations: config.iterations });
+    return true;
+  }
+
+  lock() {
+    this.key = null;
+  }
+
+  async deriveKey(passphrase, salt, iterations) {
+    const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+    return crypto.subtle.deriveKey(
+      { name: 'PBKDF2', hash: 'SHA-256', salt: this.fromBase64(salt), iterations },
+      material,
+      { name: 'AES-GCM', length: 256 },
+      false,
+      ['encrypt', 'decrypt']
+    );
+  }
+
+  async encrypt(value, key = this.key) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const data = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(JSON.stringify(value)));
+    return { iv: this.toBase64(iv), data: this.toBase64(new Uint8Array(data)) };
+  }
+
+  async decrypt(envelope, key = this.key) {
+    const data = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: this.fromBase64(envelope.iv) }, key, this.fromBase64(envelope.data));
+    return JSON.parse(new TextDecoder().decode(data));
+  }
+
+  /* --- Backup files --- */
+
+  // Backups carry their own KDF parameters so the passphrase alone opens them anywhere
+  async sealBackup(data) {
+    return {
+      format: this.backupFormat,
+      version: 1,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', salt: this.salt, iterations: this.iterations },
+      cipher: 'AES-GCM',
+      ...(await this.encrypt(data))
+    };
+  }
+
+  isSealedBackup(data) {
+    return Boolean(data) && data.format === this.backupFormat;
+  }
+
+  // Returns null when the passphrase is wrong; doesn't touch this vault's key
+  async openBackup(file, passphrase) {
+    const key = await this.deriveKey(passphrase, file.kdf.salt, file.kdf.iterations);
+    
+    try {
+      return await this.decrypt(file, key);
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /* --- Encoding --- */
+
+  toBase64(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+      binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary);
+  }
+
+  fromBase64(text) {
+    const binary = atob(text);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+}
+
+/* ===== Planner Profiles ===== */
+
+/**
+ * Named planners in one browser. Each profile has its own storage (state,
+ * settings, analytics, restore points, encryption) - see StorageManager.
+ * The list of profiles lives in localStorage; the active one is remembered
+ * per tab (sessionStorage) so two tabs can work in different profiles.
+ */
+class ProfileManager {
+  constructor() {
+    this.registryKey = '3e-planner-profiles';
+    this.sessionKey = '3e-planner-profile';
+    this.defaultProfile = { id: 'default', name: 'Personal', icon: '🧠' };
+    this.icons = ['🧠', '💼', '🏠', '📚', '🎨', '🏃', '🌱', '⭐'];
+  }
+
+  load() {
+    let registry = null;
+    try {
+      registry = JSON.parse(localStorage.getItem(this.registryKey));
+    } catch (error) {
+      console.warn('Failed to read profiles:', error);
+    }
+    
+    const profiles = registry && Array.isArray(registry.profiles) ? registry.profiles : [];
+    if (!profiles.some(profile => profile.id === this.defaultProfile.id)) {
+      profiles.unshift({ ...this.defaultProfile, createdAt: null });
+    }
+    return { profiles, lastActiveId: registry ? registry.lastActiveId : null };
+  }
+
+  save(registry) {
+    localStorage.setItem(this.registryKey, JSON.stringify(registry));
+  }
+
+  list() {
+    return this.load().profiles;
+  }
+
+  get(profileId) {
+    return this.list().find(profile => profile.id === profileId) || null;
+  }
+
+  getActive() {
+    const { profiles, lastActiveId } = this.load();
+    let sessionId = null;
+    try {
+      sessionId = sessionStorage.getItem(this.sessionKey);
+    } catch (error) {
+      // sessionStorage can be blocked; fall back to the last used profile
+    }
+    
+    return profiles.find(profile => profile.id === sessionId) ||
+      profiles.find(profile => profile.id === lastActiveId) ||
+      profiles[0];
+  }
+
+  // Remembers the choice for this tab and as the default for new tabs
+  setActive(profileId) {
+    const registry = this.load();
+    registry.lastActiveId = profileId;
+    this.save(registry);
+    
+    try {
+      sessionStorage.setItem(this.sessionKey, profileId);
+    } catch (error) {
+      console.warn('Failed to remember profile for this tab:', error);
+    }
+  }
+
+  create(name, icon) {
+    const registry = this.load();
+    const profile = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2, 5),
+      name: name.trim().slice(0, 30),
+      icon: this.icons.includes(icon) ? icon : this.icons[1],
+      createdAt: new Date().toISOString()
+    };
+    
+    registry.profiles.push(profile);
+    this.save(registry);
+    return profile;
+  }
+
+  update(profileId, updates) {
+    const registry = this.load();
+    const profile = registry.profiles.find(p => p.id === profileId);
+    if (!profile) return null;
+    
+    if (updates.name !== undefined) profile.name = updates.name.trim().slice(0, 30) || profile.name;
+    if (updates.icon !== undefined && this.icons.includes(updates.icon)) profile.icon = updates.icon;
+    this.save(registry);
+    return profile;
+  }
+
+  // Deletes the profile and everything stored for it
+  async remove(profileId) {
+    if (profileId === this.defaultProfile.id) return false;
+    
+    await this.createStorage(profileId).eraseAll();
+    
+    const registry = this.load();
+    registry.profiles = registry.profiles.filter(profile => profile.id !== profileId);
+    if (registry.lastActiveId === profileId) {
+      registry.lastActiveId = this.defaultProfile.id;
+    }
+    this.save(registry);
+    return true;
+  }
+
+  createStorage(profileId) {
+    return new StorageManager(profileId);
+  }
+}
+
+/* ===== State Management System ===== */
+
+class StateManager {
+  constructor(profileId = 'default') {
+    this.state = this.getDefaultState();
+    this.storage = new StorageManager(profileId);
+    this.recurrence = new RecurrenceEngine();
+    this.restorePoints = new RestorePointManager(this);
+    this.saveErrorShown = false;
+    this.saving = null;
+    this.saveQueued = false;
+    this.listeners = [];
+    this.undoStack = [];
+    this.redoStack = [];
+    this.maxHistorySize = 50;
+  }
+
+  getDefaultState() {
+    return {
+      version: '3.0.0',
+      schemaVersion: this.getSchemaVersion(),
+      appliedMigrations: [],
+      lastActiveDate: new Date().toDateString(),
+      currentEnergy: 'medium',
+      
+      priorities: [1, 2, 3].map(id => this.getDefaultPriority(id)),
+      
+      tasks: [],
+      timeBlocks: [],
+      capturedThoughts: [],
+      trash: [],
+      dayHistory: [],
+      dayTemplates: [],
+      
+      settings: {
+        theme: 'focus',
+        reducedMotion: false,
+        soundEffects: false,
+        keyboardHints: true,
+        focusDuration: 25,
+        breakInterval: 45,
+        accessibleFont: false,
+        trashRetentionDays: 30,
+        timeBlockView: 'list',
+        transitionBuffer: 10,
+        dayStartTime: '07:00',
+        dayEndTime: '22:00',
+        transitionWarnings: '10,2',
+        systemNotifications: false,
+        markdownPreset: 'obsidian',
+        markdownTemplate: ''
+      },
+      
+      analytics: {
+        currentStreak: 0,
+        totalFocusTime: 0,
+        totalTasksCompleted: 0,
+        totalBreaksTaken: 0,
+        dailyStats: {},
+        achievements: []
+      },
+      
+      focusSession: {
+        active: false,
+        startTime: null,
+        duration: 25,
+        task: null,
+        context: null,
+        paused: false,
+        ownerTabId: null
+      },
+      
+      lastBreakTime: null
+    };
+  }
+
+  // Per-item defaults, applied to every stored item on load so new fields
+  // reach existing data
+  getDefaultPriority(id) {
+    return {
+      id, text: '', completed: false, energy: 'medium',
+      estimatedMinutes: null, m365Link: '', createdAt: new Date().toISOString(),
+      updatedAt: null, completedAt: null, isRecurring: false, recurringPattern: null,
+      skippedOn: null, carryOverCount: 0, category: '', notes: ''
+    };
+  }
+
+  getDefaultTask() {
+    return {
+      id: null,
+      text: '',
+      completed: false,
+      createdAt: new Date().toISOString(),
+      updatedAt: null,
+      completedAt: null,
+      energy: 'medium',
+      estimatedMinutes: null,
+      dueDate: null,
+      dueTime: null,
+      tags: [],
+      context: null,
+      isRecurring: false,
+      recurringPattern: null,
+      seriesId: null,
+      carryOverCount: 0,
+      subtasks: []
+    };
+  }
+
+  getDefaultSubtask() {
+    return {
+      id: null,
+      text: '',
+      completed: false,
+      completedAt: null,
+      estimatedMinutes: null
+    };
+  }
+
+  getDefaultDayRecord(dateKey) {
+    return {
+      id: dateKey,
+      date: dateKey,
+      priorities: [],
+      tasks: [],
+      timeBlocks: [],
+      capturedThoughts: [],
+      carriedOver: [],
+      dropped: [],
+      plannedPriorities: []
+    };
+  }
+
+  getDefaultTimeBlock() {
+    return {
+      id: null,
+      date: null,
+      startTime: '09:00',
+      duration: 60,
+      task: '',
+      energy: 'medium',
+      linkedTo: null,
+      color: null,
+      notes: '',
+      fixed: false, // appointments (e.g. from a calendar import) stay put when the schedule shifts
+      externalId: null,
+      createdAt: new Date().toISOString(),
+      updatedAt: null
+    };
+  }
+
+  getDefaultDayTemplate() {
+    return {
+      id: null,
+      name: '',
+      days: [], // weekdays (0 = Sunday) the template is applied on at daily reset
+      blocks: [],
+      createdAt: new Date().toISOString(),
+      updatedAt: null
+    };
+  }
+
+  // Template blocks are time blocks without an id, date or link
+  getDefaultTemplateBlock() {
+    return {
+      startTime: '09:00',
+      duration: 60,
+      task: '',
+      energy: 'medium',
+      color: null,
+      notes: ''
+    };
+  }
+
+  getDefaultThought() {
+    return {
+      id: null,
+      text: '',
+      timestamp: new Date().toISOString(),
+      updatedAt: null,
+      reviewed: false
+    };
+  }
+
+  async init() {
+    await this.loadState();
+    this.setupAutoSave();
+    this.restorePoints.init();
+  }
+
+  async loadState() {
+    try {
+      const saved = await this.storage.loadState();
+      if (saved) {
+        // Keep the data as it was before an upgrade reshapes it
+        if ((saved.schemaVersion || 0) < this.getSchemaVersion()) {
+          await this.restorePoints.create('before-migration', saved);
+        }
+        
+        this.state = saved;
+        
+        // Migrate old data if needed
+        this.migrateData();
+      }
+    } catch (error) {
+      console.warn('Failed to load state:', error);
+      this.state = this.getDefaultState();
+    }
+  }
+
+  // One write at a time: saves requested meanwhile are folded into a single
+  // follow-up write, so an older state never lands on top of a newer one
+  saveState() {
+    if (this.saving) {
+      this.saveQueued = true;
+      return this.saving;
+    }
+    
+    this.saving = this.writeState().finally(() => {
+      this.saving = null;
+      if (this.saveQueued) {
+        this.saveQueued = false;
+        return this.saveState();
+      }
+    });
+    return this.saving;
+  }
+
+  async writeState() {
+    try {
+      await this.storage.saveState(this.state);
+      this.saveErrorShown = false;
+    } catch (error) {
+      console.error('Critical: Unable to save state:', error);
+      
+      // Tell the user once instead of silently dropping history
+      if (!this.saveErrorShown && window.app) {
+        this.saveErrorShown = true;
+        window.app.toastManager.show('Could not save your data. Export a backup to be safe.', 'error', 8000);
+      }
+    }
+  }
+
+  setupAutoSave() {
+    // Auto-save every 30 seconds
+    setInterval(() => this.saveState(), 30000);
+    
+    // Save on page unload
+    window.addEventListener('beforeunload', () => this.saveState());
+  }
+
+  // Persist a mutation and tell subscribers (e.g. other tabs) which
+  // top-level keys changed
+  commit(keys) {
+    this.saveState();
+    this.notifyChange(keys);
+  }
+
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(l => l !== listener);
+    };
+  }
+
+  notifyChange(keys) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(keys, this.state);
+      } catch (error) {
+        console.warn('State listener failed:', error);
+      }
+    });
+  }
+
+  // Apply changes made in another tab without recording history or
+  // re-broadcasting them
+  applyRemoteChanges(changes) {
+    Object.entries(changes).forEach(([key, value]) => {
+      this.state[key] = value;
+    });
+  }
+
+  // Tasks and templates copied in from another profile; items already here are skipped
+  addCopiedItems(items) {
+    const keys = [];
+    ['tasks', 'dayTemplates'].forEach(key => {
+      const incoming = (items[key] || []).filter(item => !this.state[key].some(existing => existing.id === item.id));
+      if (incoming.length === 0) return;
+      
+      this.state[key].push(...incoming);
+      keys.push(key);
+    });
+    return keys;
+  }
+
+  updateFocusSession(updates) {
+    this.state.focusSession = { ...this.state.focusSession, ...updates };
+    this.commit(['focusSession']);
+  }
+
+  // State update methods with history tracking. Each mutation records a
+  // labelled operation holding only the values it changed, so undo/redo
+  // doesn't keep copies of the whole state. Mutations return the id of the
+  // entry they recorded, so a toast can offer to undo exactly that change.
+
+  // Bookkeeping updates (daily counters, streaks) pass no label and are not undoable
+  updateState(updates, label = null) {
+    const before = this.pickFields(this.state, Object.keys(updates));
+    Object.assign(this.state, updates);
+    
+    const entryId = label
+      ? this.record(label, [{ type: 'assign', key: null, before, after: updates }])
+      : null;
+    this.commit(Object.keys(updates));
+    return entryId;
+  }
+
+  updatePriority(index, updates, label = null) {
+    const priority = this.state.priorities[index];
+    if (priority) {
+      const before = this.pickFields(priority, Object.keys(updates));
+      Object.assign(priority, updates);
+      
+      const entryId = this.record(label || this.describeUpdate('priority', priority.text, before, updates), [
+        { type: 'update', collection: 'priorities', id: priority.id, before, after: updates }
+      ]);
+      this.commit(['priorities']);
+      return entryId;
+    }
+  }
+
+  addTask(task, label = null) {
+    this.state.tasks.push(task);
+    const entryId = this.record(label || `Added task ${this.quote(task.text)}`, [
+      { type: 'insert', collection: 'tasks', index: this.state.tasks.length - 1, item: task }
+    ]);
+    this.commit(['tasks']);
+    return entryId;
+  }
+
+  updateTask(taskId, updates, label = null) {
+    const task = this.getTask(taskId);
+    if (task) {
+      const before = this.pickFields(task, Object.keys(updates));
+      Object.assign(task, updates);
+      
+      const entryId = this.record(label || this.describeUpdate('task', task.text, before, updates), [
+        { type: 'update', collection: 'tasks', id: taskId, before, after: updates }
+      ]);
+      this.commit(['tasks']);
+      return entryId;
+    }
+  }
+
+  deleteTask(taskId, label = null) {
+    const index = this.state.tasks.findIndex(t => t.id === taskId);
+    if (index === -1) return;
+    
+    const task = this.state.tasks[index];
+    const entryId = this.record(label || `Deleted task ${this.quote(task.text)}`, this.moveToTrash('tasks', index));
+    this.commit(['tasks', 'trash']);
+    return entryId;
+  }
+
+  getTask(taskId) {
+    return this.state.tasks.find(t => t.id === taskId);
+  }
+
+  // Subtasks live inside their task, so each change is recorded as an
+  // update of that task's (small) subtask list
+  addSubtasks(taskId, subtasks) {
+    const task = this.getTask(taskId);
+    if (!task || subtasks.length === 0) return;
+    
+    const label = subtasks.length === 1
+      ? `Added step ${this.quote(subtasks[0].text)} to ${this.quote(task.text)}`
+      : `Broke ${this.quote(task.text)} into ${subtasks.length} steps`;
+    
+    return this.updateTask(taskId, { subtasks: [...task.subtasks, ...subtasks] }, label);
+  }
+
+  updateSubtask(taskId, subtaskId, updates, label = null) {
+    const task = this.getTask(taskId);
+    const subtask = task && task.subtasks.find(s => s.id === subtaskId);
+    if (!subtask) return;
+    
+    const defaultLabel = 'completed' in updates
+      ? `${updates.completed ? 'Completed' : 'Reopened'} step ${this.quote(subtask.text)}`
+      : `Edited step ${this.quote(subtask.text)}`;
+    
+    return this.updateTask(taskId, {
+      subtasks: task.subtasks.map(s => s.id === subtaskId ? { ...s, ...updates } : s)
+    }, label || defaultLabel);
+  }
+
+  // Unlike a toggle this never reopens a step that is already done
+  completeSubtask(taskId, subtaskId) {
+    const subtask = this.getSubtask(taskId, subtaskId);
+    if (!subtask || subtask.completed) return null;
+    
+    return this.updateSubtask(taskId, subtaskId, { completed: true, completedAt: new Date().toISOString() });
+  }
+
+  deleteSubtask(taskId, subtaskId) {
+    const task = this.getTask(taskId);
+    const subtask = task && task.subtasks.find(s => s.id === subtaskId);
+    if (!subtask) return;
+    
+    return this.updateTask(taskId, {
+      subtasks: task.subtasks.filter(s => s.id !== subtaskId)
+    }, `Deleted step ${this.quote(subtask.text)}`);
+  }
+
+  getSubtask(taskId, subtaskId) {
+    const task = this.getTask(taskId);
+    return task ? task.subtasks.find(s => s.id === subtaskId) : undefined;
+  }
+
+  addTimeBlock(block, label = null) {
+    this.state.timeBlocks.push(block);
+    const entryId = this.record(label || `Added time block at ${block.startTime}`, [
+      { type: 'insert', collection: 'timeBlocks', index: this.state.timeBlocks.length - 1, item: block }
+    ]);
+    this.commit(['timeBlocks']);
+    return entryId;
+  }
+
+  // One undo step for everything a calendar import brings in
+  importCalendarItems({ blocks, blockUpdates, tasks }, label) {
+    const operations = [];
+    
+    blocks.forEach(block => {
+      this.state.timeBlocks.push(block);
+      operations.push({ type: 'insert', collection: 'timeBlocks', index: this.state.timeBlocks.length - 1, item: block });
+    });
+    
+    blockUpdates.forEach(({ id, updates }) => {
+      const block = this.getTimeBlock(id);
+      if (!block) return;
+      
+      const before = this.pickFields(block, Object.keys(updates));
+      Object.assign(block, updates);
+      operations.push({ type: 'update', collection: 'timeBlocks', id, before, after: updates });
+    });
+    
+    tasks.forEach(task => {
+      this.state.tasks.push(task);
+      operations.push({ type: 'insert', collection: 'tasks', index: this.state.tasks.length - 1, item: task });
+    });
+    
+    const entryId = this.record(label, operations);
+    this.commit(['timeBlocks', 'tasks']);
+    return entryId;
+  }
+
+  addTimeBlocks(blocks, label) {
+    const start = this.state.timeBlocks.length;
+    this.state.timeBlocks.push(...blocks);
+    
+    const entryId = this.record(label, blocks.map((block, offset) => (
+      { type: 'insert', collection: 'timeBlocks', index: start + offset, item: block }
+    )));
+    this.commit(['timeBlocks']);
+    return entryId;
+  }
+
+  updateTimeBlock(blockId, updates, label = null) {
+    const block = this.getTimeBlock(blockId);
+    if (block) {
+      const before = this.pickFields(block, Object.keys(updates));
+      Object.assign(block, updates);
+      
+      const entryId = this.record(label || `Edited time block ${this.quote(block.task || block.startTime)}`, [
+        { type: 'update', collection: 'timeBlocks', id: blockId, before, after: updates }
+      ]);
+      this.commit(['timeBlocks']);
+      return entryId;
+    }
+  }
+
+  // Several blocks moved as one undoable step, e.g. shifting everything after a clash
+  updateTimeBlocks(changes, label) {
+    const operations = changes
+      .map(({ id, updates }) => {
+        const block = this.getTimeBlock(id);
+        if (!block) return null;
+        
+        const before = this.pickFields(block, Object.keys(updates));
+        Object.assign(block, updates);
+        return { type: 'update', collection: 'timeBlocks', id, before, after: updates };
+      })
+      .filter(Boolean);
+    
+    if (operations.length === 0) return;
+    const entryId = this.record(label, operations);
+    this.commit(['timeBlocks']);
+    return entryId;
+  }
+
+  deleteTimeBlock(blockId, label = null) {
+    const index = this.state.timeBlocks.findIndex(b => b.id === blockId);
+    if (index === -1) return;
+    
+    const block = this.state.timeBlocks[index];
+    const entryId = this.record(label || `Deleted time block ${this.quote(block.task || block.startTime)}`, this.moveToTrash('timeBlocks', index));
+    this.commit(['timeBlocks', 'trash']);
+    return entryId;
+  }
+
+  getTimeBlock(blockId) {
+    return this.state.timeBlocks.find(b => b.id === blockId);
+  }
+
+  addDayTemplate(template, label = null) {
+    this.state.dayTemplates.push(template);
+    const entryId = this.record(label || `Saved template ${this.quote(template.name)}`, [
+      { type: 'insert', collection: 'dayTemplates', index: this.state.dayTemplates.length - 1, item: template }
+    ]);
+    this.commit(['dayTemplates']);
+    return entryId;
+  }
+
+  updateDayTemplate(templateId, updates, label = null) {
+    const template = this.getDayTemplate(templateId);
+    if (template) {
+      const before = this.pickFields(template, Object.keys(updates));
+      Object.assign(template, updates);
+      
+      const entryId = this.record(label || `Edited template ${this.quote(template.name)}`, [
+        { type: 'update', collection: 'dayTemplates', id: templateId, before, after: updates }
+      ]);
+      this.commit(['dayTemplates']);
+      return entryId;
+    }
+  }
+
+  deleteDayTemplate(templateId, label = null) {
+    const index = this.state.dayTemplates.findIndex(t => t.id === templateId);
+    if (index === -1) return;
+    
+    const template = this.state.dayTemplates[index];
+    const entryId = this.record(label || `Deleted template ${this.quote(template.name)}`, this.moveToTrash('dayTemplates', index));
+    this.commit(['dayTemplates', 'trash']);
+    return entryId;
+  }
+
+  getDayTemplate(templateId) {
+    return this.state.dayTemplates.find(t => t.id === templateId);
+  }
+
+  // A weekday has at most one template, so assigning it takes the day away from any other
+  toggleTemplateWeekday(templateId, weekday) {
+    const target = this.getDayTemplate(templateId);
+    if (!target) return;
+    
+    const assigning = !target.days.includes(weekday);
+    const operations = [];
+    
+    this.state.dayTemplates.forEach(template => {
+      const days = template === target && assigning
+        ? [...template.days, weekday].sort()
+        : template.days.filter(day => day !== weekday);
+      if (days.length === template.days.length) return;
+      
+      operations.push({ type: 'update', collection: 'dayTemplates', id: template.id, before: { days: template.days }, after: { days } });
+      template.days = days;
+    });
+    
+    const dayName = this.recurrence.dayNames[weekday];
+    const entryId = this.record(assigning
+      ? `Use template ${this.quote(target.name)} on ${dayName}s`
+      : `Stop using template ${this.quote(target.name)} on ${dayName}s`, operations);
+    this.commit(['dayTemplates']);
+    return entryId;
+  }
+
+  getTemplateForDate(dateKey) {
+    const weekday = this.recurrence.fromDateKey(dateKey).getDay();
+    return this.state.dayTemplates.find(template => template.days.includes(weekday)) || null;
+  }
+
+  addThought(thought, label = null) {
+    this.state.capturedThoughts.push(thought);
+    const entryId = this.record(label || `Captured thought ${this.quote(thought.text)}`, [
+      { type: 'insert', collection: 'capturedThoughts', index: this.state.capturedThoughts.length - 1, item: thought }
+    ]);
+    this.commit(['capturedThoughts']);
+    return entryId;
+  }
+
+  clearThoughts(label = null) {
+    const count = this.state.capturedThoughts.length;
+    if (count === 0) return;
+    
+    // Remove from the end so undo re-inserts at the original positions
+    const operations = [];
+    for (let index = count - 1; index >= 0; index--) {
+      operations.push(...this.moveToTrash('capturedThoughts', index));
+    }
+    
+    const entryId = this.record(label || `Cleared ${count} captured thought${count === 1 ? '' : 's'}`, operations);
+    this.commit(['capturedThoughts', 'trash']);
+    return entryId;
+  }
+
+  /* ===== Trash ===== */
+
+  // Moves an item into the trash and returns the history operations for it
+  moveToTrash(collection, index) {
+    const [item] = this.state[collection].splice(index, 1);
+    const entry = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+      collection,
+      item,
+      deletedAt: new Date().toISOString()
+    };
+    this.state.trash.push(entry);
+    
+    return [
+      { type: 'remove', collection, index, item },
+      { type: 'insert', collection: 'trash', index: this.state.trash.length - 1, item: entry }
+    ];
+  }
+
+  restoreFromTrash(entryId) {
+    const index = this.state.trash.findIndex(e => e.id === entryId);
+    if (index === -1) return null;
+    
+    const [entry] = this.state.trash.splice(index, 1);
+    const target = this.state[entry.collection];
+    target.push(entry.item);
+    
+    this.record(`Restored ${this.describeTrashEntry(entry)}`, [
+      { type: 'remove', collection: 'trash', index, item: entry },
+      { type: 'insert', collection: entry.collection, index: target.length - 1, item: entry.item }
+    ]);
+    this.commit([entry.collection, 'trash']);
+    return entry;
+  }
+
+  purgeFromTrash(entryId) {
+    const index = this.state.trash.findIndex(e => e.id === entryId);
+    if (index === -1) return null;
+    
+    const [entry] = this.state.trash.splice(index, 1);
+    const historyId = this.record(`Permanently deleted ${this.describeTrashEntry(entry)}`, [
+      { type: 'remove', collection: 'trash', index, item: entry }
+    ]);
+    this.commit(['trash']);
+    return historyId;
+  }
+
+  emptyTrash() {
+    const entries = this.state.trash;
+    if (entries.length === 0) return;
+    
+    this.state.trash = [];
+    const entryId = this.record(`Emptied trash (${entries.length} item${entries.length === 1 ? '' : 's'})`, entries
+      .map((item, index) => ({ type: 'remove', collection: 'trash', index, item }))
+      .reverse());
+    this.commit(['trash']);
+    return entryId;
+  }
+
+  // Automatic clean-up; not recorded in undo history
+  purgeExpiredTrash(retentionDays) {
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const kept = this.state.trash.filter(entry => new Date(entry.deletedAt).getTime() >= cutoff);
+    
+    if (kept.length !== this.state.trash.length) {
+      const purged = this.state.trash.length - kept.length;
+      this.state.trash = kept;
+      this.commit(['trash']);
+      return purged;
+    }
+    return 0;
+  }
+
+  /* ===== Recurrence ===== */
+
+  // A repeating task is one instance at a time: the newest instance of a series
+  // carries the rule, and completing it lets the daily roll-over create the next.
+  setTaskRecurrence(taskId, rule) {
+    const task = this.getTask(taskId);
+    if (!task) return;
+    
+    const updates = {
+      isRecurring: Boolean(rule),
+      recurringPattern: rule,
+      seriesId: rule ? (task.seriesId || task.id) : task.seriesId
+    };
+    if (rule && !task.dueDate) {
+      updates.dueDate = this.recurrence.toDateKey(this.recurrence.firstOccurrence(rule, new Date()));
+    }
+    
+    this.updateTask(taskId, updates, rule
+      ? `Set ${this.quote(task.text)} to repeat ${this.recurrence.describe(rule).toLowerCase()}`
+      : `Stopped repeating ${this.quote(task.text)}`);
+  }
+
+  setPriorityRecurrence(index, rule) {
+    const priority = this.state.priorities[index];
+    if (!priority) return;
+    
+    this.updatePriority(index, {
+      isRecurring: Boolean(rule),
+      recurringPattern: rule,
+      skippedOn: null
+    }, rule
+      ? `Set priority ${this.quote(priority.text)} to repeat ${this.recurrence.describe(rule).toLowerCase()}`
+      : `Stopped repeating priority ${this.quote(priority.text)}`);
+  }
+
+  // Skipping moves an open task on to its next occurrence without completing it
+  skipTaskOccurrence(taskId) {
+    const task = this.getTask(taskId);
+    if (!task || !task.isRecurring || !task.recurringPattern) return null;
+    
+    const today = new Date();
+    const current = task.dueDate ? this.recurrence.fromDateKey(task.dueDate) : today;
+    let next = this.recurrence.nextOccurrence(task.recurringPattern, current);
+    if (next && next < this.recurrence.startOfDay(today)) {
+      next = this.recurrence.firstOccurrence(task.recurringPattern, today);
+    }
+    if (!next) return null;
+    
+    return this.updateTask(taskId, {
+      dueDate: this.recurrence.toDateKey(next)
+    }, `Skipped one occurrence of ${this.quote(task.text)}`);
+  }
+
+  skipPriorityOccurrence(index) {
+    const priority = this.state.priorities[index];
+    if (!priority || !priority.isRecurring) return;
+    
+    return this.updatePriority(index, {
+      skippedOn: this.recurrence.toDateKey(new Date())
+    }, `Skipped priority ${this.quote(priority.text)} for today`);
+  }
+
+  /**
+   * Daily roll-over: create the next instance of every completed repeating task
+   * whose next occurrence has arrived, and reopen repeating priorities that are
+   * due today. Occurrences missed while the planner was closed are not back-filled.
+   * Like trash expiry this is housekeeping, so it is not recorded in undo history.
+   */
+  rollRecurringItems(now = new Date()) {
+    const today = this.recurrence.startOfDay(now);
+    const todayKey = this.recurrence.toDateKey(today);
+    const instances = [];
+    let reopened = 0;
+    
+    this.state.tasks.forEach(task => {
+      if (!task.isRecurring || !task.recurringPattern || !task.completed) return;
+      
+      const rule = task.recurringPattern;
+      const current = task.dueDate
+        ? this.recurrence.fromDateKey(task.dueDate)
+        : new Date(task.completedAt || task.createdAt);
+      let next = this.recurrence.nextOccurrence(rule, current);
+      if (next && next < today) {
+        next = this.recurrence.firstOccurrence(rule, today);
+      }
+      if (!next || next > today) return;
+      
+      // Hand the rule over to the new instance
+      task.isRecurring = false;
+      instances.push({
+        ...this.getDefaultTask(),
+        id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+        text: task.text,
+        energy: task.energy,
+        estimatedMinutes: task.estimatedMinutes,
+        dueDate: todayKey,
+        dueTime: task.dueTime,
+        tags: [...(task.tags || [])],
+        context: task.context,
+        isRecurring: true,
+        recurringPattern: rule,
+        seriesId: task.seriesId || task.id,
+        subtasks: (task.subtasks || []).map(subtask => ({ ...subtask, completed: false, completedAt: null }))
+      });
+    });
+    
+    this.state.priorities.forEach(priority => {
+      if (!priority.isRecurring || !priority.recurringPattern) return;
+      if (!this.recurrence.matches(priority.recurringPattern, today)) return;
+      
+      const closedBeforeToday = (priority.completed && priority.completedAt &&
+        new Date(priority.completedAt) < today) || (priority.skippedOn && priority.skippedOn < todayKey);
+      
+      if (closedBeforeToday) {
+        Object.assign(priority, { completed: false, completedAt: null, skippedOn: null });
+        reopened++;
+      }
+    });
+    
+    this.state.tasks.push(...instances);
+    
+    if (instances.length > 0 || reopened > 0) {
+      this.commit(['tasks', 'priorities']);
+    }
+    return { tasks: instances.length, priorities: reopened };
+  }
+
+  /* ===== Daily Rollover ===== */
+
+  // Day records are keyed by date (YYYY-MM-DD) and kept in date order
+  getDayRecord(dateKey) {
+    let record = this.state.dayHistory.find(day => day.id === dateKey);
+    if (!record) {
+      record = this.getDefaultDayRecord(dateKey);
+      this.state.dayHistory.push(record);
+      this.state.dayHistory.sort((a, b) => a.id.localeCompare(b.id));
+    }
+    return record;
+  }
+
+  /**
+   * Morning clean-up: move everything completed before today into the day
+   * record of the day it was completed, archive past time blocks and keep a
+   * copy of each day's captured thoughts. Completed tasks that still carry a
+   * repeat rule stay until their next instance exists. Like trash expiry this
+   * is not recorded in history.
+   */
+  archiveDay(previousDayKey, now = new Date()) {
+    const today = this.recurrence.startOfDay(now);
+    const completedBefore = item => item.completed && new Date(item.completedAt || item.createdAt) < today;
+    const dayOf = item => this.recurrence.toDateKey(new Date(item.completedAt || item.createdAt));
+    const summary = { tasks: 0, priorities: 0, timeBlocks: 0 };
+    
+    this.getDayRecord(previousDayKey);
+    
+    this.state.tasks = this.state.tasks.filter(task => {
+      if (!completedBefore(task) || task.isRecurring) return true;
+      this.getDayRecord(dayOf(task)).tasks.push(task);
+      summary.tasks++;
+      return false;
+    });
+    
+    this.state.priorities = this.state.priorities.map(priority => {
+      if (!priority.text.trim() || !completedBefore(priority)) return priority;
+      
+      // Repeating priorities stay completed in their slot until they come round again
+      const record = this.getDayRecord(dayOf(priority));
+      if (!record.priorities.some(p => p.id === priority.id && p.completedAt === priority.completedAt)) {
+        record.priorities.push({ ...priority });
+        summary.priorities++;
+      }
+      return priority.isRecurring ? priority : this.getDefaultPriority(priority.id);
+    });
+    
+    const todayKey = this.recurrence.toDateKey(today);
+    const blockDay = block => block.date || this.recurrence.toDateKey(new Date(block.createdAt));
+    this.state.timeBlocks = this.state.timeBlocks.filter(block => {
+      if (blockDay(block) >= todayKey) return true;
+      this.getDayRecord(blockDay(block)).timeBlocks.push(block);
+      summary.timeBlocks++;
+      return false;
+    });
+    
+    // Thoughts stay in the inbox; the archive only keeps a copy per day
+    this.state.capturedThoughts.forEach(thought => {
+      const day = this.recurrence.toDateKey(new Date(thought.timestamp));
+      if (day >= todayKey) return;
+      
+      const record = this.getDayRecord(day);
+      if (!record.capturedThoughts.some(t => t.id === thought.id)) {
+        record.capturedThoughts.push({ ...thought });
+      }
+    });
+    
+    this.commit(['tasks', 'priorities', 'timeBlocks', 'dayHistory']);
+    return summary;
+  }
+
+  /**
+   * What the dashboard shows for a date: today is the live state, past days
+   * come from the archive (read-only) and future days are a plan made of the
+   * tasks and time blocks dated that day plus the day's planned priorities.
+   */
+  getDayView(dateKey, now = new Date()) {
+    const todayKey = this.recurrence.toDateKey(now);
+    const key = dateKey || todayKey;
+    
+    if (key === todayKey) {
+      return {
+        date: key,
+        mode: 'today',
+        priorities: this.state.priorities,
+        // Open tasks due on a later day show up on that day instead
+        tasks: this.state.tasks.filter(task => task.completed || !task.dueDate || task.dueDate <= key),
+        timeBlocks: this.state.timeBlocks.filter(block => !block.date || block.date <= key),
+        capturedThoughts: this.state.capturedThoughts,
+        carriedOver: [],
+        dropped: []
+      };
+    }
+    
+    const record = this.state.dayHistory.find(day => day.id === key) || this.getDefaultDayRecord(key);
+    const onDay = timestamp => timestamp && this.recurrence.toDateKey(new Date(timestamp)) === key;
+    
+    if (key < todayKey) {
+      // Include anything from that day that hasn't been archived yet
+      const liveTasks = this.state.tasks.filter(task => task.completed && onDay(task.completedAt));
+      const liveThoughts = this.state.capturedThoughts
+        .filter(thought => onDay(thought.timestamp) && !record.capturedThoughts.some(t => t.id === thought.id));
+      
+      return {
+        date: key,
+        mode: 'past',
+        priorities: record.priorities,
+        tasks: [...record.tasks, ...liveTasks],
+        timeBlocks: [...record.timeBlocks, ...this.state.timeBlocks.filter(block => block.date === key)],
+        capturedThoughts: [...record.capturedThoughts, ...liveThoughts],
+        carriedOver: record.carriedOver,
+        dropped: record.dropped
+      };
+    }
+    
+    return {
+      date: key,
+      mode: 'future',
+      priorities: record.plannedPriorities.length > 0
+        ? record.plannedPriorities
+        : [1, 2, 3].map(id => this.getDefaultPriority(id)),
+      tasks: this.state.tasks.filter(task => task.dueDate === key),
+      timeBlocks: this.state.timeBlocks.filter(block => block.date === key),
+      capturedThoughts: [],
+      carriedOver: [],
+      dropped: []
+    };
+  }
+
+  // Priorities planned ahead live on that day's record until the morning they apply
+  updatePlannedPriority(dateKey, index, updates, label = null) {
+    const operations = [];
+    let record = this.state.dayHistory.find(day => day.id === dateKey);
+    
+    const current = record && record.plannedPriorities[index]
+      ? record.plannedPriorities[index]
+      : this.getDefaultPriority(index + 1);
+    if (Object.keys(updates).every(key => current[key] === updates[key])) return;
+    
+    if (!record) {
+      record = this.getDayRecord(dateKey);
+      operations.push({ type: 'insert', collection: 'dayHistory', index: this.state.dayHistory.indexOf(record), item: record });
+    }
+    
+    const planned = record.plannedPriorities.length > 0
+      ? record.plannedPriorities.map(priority => ({ ...priority }))
+      : [1, 2, 3].map(id => this.getDefaultPriority(id));
+    if (!planned[index]) return;
+    
+    const before = this.pickFields(record, ['plannedPriorities']);
+    const previous = { ...planned[index] };
+    Object.assign(planned[index], updates);
+    record.plannedPriorities = planned;
+    operations.push({ type: 'update', collection: 'dayHistory', id: dateKey, before, after: { plannedPriorities: planned } });
+    
+    const defaultLabel = 'text' in updates
+      ? `Planned priority ${this.quote(updates.text)} for ${dateKey}`
+      : this.describeUpdate('planned priority', planned[index].text, previous, updates);
+    const entryId = this.record(label || defaultLabel, operations);
+    this.commit(['dayHistory']);
+    return entryId;
+  }
+
+  // Morning hand-over of planned priorities into empty slots; any that don't fit become tasks
+  activatePlannedDay(now = new Date()) {
+    const todayKey = this.recurrence.toDateKey(now);
+    const record = this.state.dayHistory.find(day => day.id === todayKey);
+    const planned = record ? record.plannedPriorities.filter(priority => priority.text.trim()) : [];
+    if (planned.length === 0) return 0;
+    
+    planned.forEach(plan => {
+      const slot = this.state.priorities.find(priority => !priority.text.trim());
+      if (slot) {
+        Object.assign(slot, { ...plan, id: slot.id, createdAt: new Date().toISOString() });
+      } else {
+        this.state.tasks.push({
+          ...this.getDefaultTask(),
+          id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+          text: plan.text,
+          energy: plan.energy,
+          estimatedMinutes: plan.estimatedMinutes,
+          dueDate: todayKey
+        });
+      }
+    });
+    
+    record.plannedPriorities = [];
+    this.commit(['priorities', 'tasks', 'dayHistory']);
+    return planned.length;
+  }
+
+  // Open priorities and tasks left over from earlier days, for the carry-over prompt
+  getUnfinishedItems(now = new Date()) {
+    const today = this.recurrence.startOfDay(now);
+    const todayKey = this.recurrence.toDateKey(today);
+    const items = [];
+    
+    this.state.priorities.forEach(priority => {
+      if (!priority.text.trim() || priority.completed || priority.skippedOn === todayKey) return;
+      if (priority.isRecurring && this.recurrence.matches(priority.recurringPattern, today)) return;
+      
+      items.push({ key: `priority:${priority.id}`, kind: 'priority', id: priority.id, text: priority.text, carryOverCount: priority.carryOverCount || 0 });
+    });
+    
+    this.state.tasks.forEach(task => {
+      if (task.completed) return;
+      const leftOver = task.dueDate ? task.dueDate < todayKey : new Date(task.createdAt) < today;
+      if (!leftOver) return;
+      
+      items.push({ key: `task:${task.id}`, kind: 'task', id: task.id, text: task.text, carryOverCount: task.carryOverCount || 0 });
+    });
+    
+    return items;
+  }
+
+  /**
+   * Apply the carry-over choices as one undoable step. Carried items count
+   * how often they were moved on; dropped tasks go to the trash, dropped
+   * repeating tasks skip ahead, and dropped priorities free their slot.
+   * Both lists are written to the previous day's record.
+   */
+  applyCarryOver(previousDayKey, carriedKeys, now = new Date()) {
+    const today = this.recurrence.startOfDay(now);
+    const todayKey = this.recurrence.toDateKey(today);
+    const operations = [];
+    const carried = [];
+    const dropped = [];
+    
+    const assign = (collection, item, updates) => {
+      const before = this.pickFields(item, Object.keys(updates));
+      Object.assign(item, updates);
+      operations.push({ type: 'update', collection, id: item.id, before, after: updates });
+    };
+    
+    this.getUnfinishedItems(now).forEach(entry => {
+      const keep = carriedKeys.includes(entry.key);
+      const carryOverCount = keep ? entry.carryOverCount + 1 : entry.carryOverCount;
+      
+      if (entry.kind === 'task') {
+        const task = this.getTask(entry.id);
+        if (keep) {
+          assign('tasks', task, task.dueDate && task.dueDate < todayKey
+            ? { carryOverCount, dueDate: todayKey }
+            : { carryOverCount });
+        } else if (task.isRecurring && task.recurringPattern) {
+          const next = this.recurrence.firstOccurrence(task.recurringPattern, today);
+          assign('tasks', task, { dueDate: next ? this.recurrence.toDateKey(next) : task.dueDate, carryOverCount: 0 });
+        } else {
+          operations.push(...this.moveToTrash('tasks', this.state.tasks.indexOf(task)));
+        }
+      } else {
+        const priority = this.state.priorities.find(p => p.id === entry.id);
+        if (keep) {
+          assign('priorities', priority, { carryOverCount });
+        } else if (priority.isRecurring) {
+          assign('priorities', priority, { skippedOn: todayKey });
+        } else {
+          const { id, createdAt, ...cleared } = this.getDefaultPriority(priority.id);
+          assign('priorities', priority, cleared);
+        }
+      }
+      
+      (keep ? carried : dropped).push({ kind: entry.kind, id: entry.id, text: entry.text, carryOverCount });
+    });
+    
+    const record = this.getDayRecord(previousDayKey);
+    const recordUpdates = {
+      carriedOver: [...record.carriedOver, ...carried],
+      dropped: [...record.dropped, ...dropped]
+    };
+    assign('dayHistory', record, recordUpdates);
+    
+    const entryId = this.record(`Morning rollover: carried ${carried.length}, dropped ${dropped.length}`, operations);
+    this.commit(['tasks', 'priorities', 'trash', 'dayHistory']);
+    return { carried, dropped, entryId };
+  }
+
+  describeTrashEntry(entry) {
+    const labels = { tasks: 'task', timeBlocks: 'time block', capturedThoughts: 'thought', dayTemplates: 'template' };
+    const text = entry.item.text || entry.item.task || entry.item.name || entry.item.startTime;
+    return `${labels[entry.collection] || 'item'} ${this.quote(text)}`;
+  }
+
+  updateEnergyLevel(energy, label = null) {
+    const before = { currentEnergy: this.state.currentEnergy };
+    this.state.currentEnergy = energy;
+    
+    const entryId = this.record(label || `Changed energy to ${energy}`, [
+      { type: 'assign', key: null, before, after: { currentEnergy: energy } }
+    ]);
+    this.commit(['currentEnergy']);
+    return entryId;
+  }
+
+  updateSettings(settings, label = null) {
+    const before = this.pickFields(this.state.settings, Object.keys(settings));
+    Object.assign(this.state.settings, settings);
+    
+    const defaultLabel = 'theme' in settings
+      ? `Changed theme to ${settings.theme}`
+      : `Changed ${Object.keys(settings).join(', ')} setting`;
+    
+    const entryId = this.record(label || defaultLabel, [
+      { type: 'assign', key: 'settings', before, after: settings }
+    ]);
+    this.commit(['settings']);
+    return entryId;
+  }
+
+  /* ===== Undo/Redo History ===== */
+
+  // `touch` is off for imports, which keep the items' own updatedAt. Returns
+  // the new entry's id, or null when nothing changed and nothing was recorded.
+  record(label, operations, touch = true) {
+    // Skip no-op updates (e.g. re-applying the current theme on startup)
+    const effective = operations.filter(op => {
+      if (op.type !== 'update' && op.type !== 'assign') return true;
+      return JSON.stringify(op.before) !== JSON.stringify(this.pickFields(op.after, Object.keys(op.before)));
+    });
+    if (effective.length === 0) return null;
+    
+    if (touch) {
+      this.touchItems(effective);
+    }
+    const entry = {
+      id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+      label,
+      timestamp: new Date().toISOString(),
+      operations: JSON.parse(JSON.stringify(effective))
+    };
+    this.undoStack.push(entry);
+    
+    if (this.undoStack.length > this.maxHistorySize) {
+      this.undoStack.shift();
+    }
+    
+    this.redoStack = [];
+    return entry.id;
+  }
+
+  canUndo() {
+    return this.undoStack.length > 0;
+  }
+
+  canRedo() {
+    return this.redoStack.length > 0;
+  }
+
+  // Returns the reverted entry so callers can name it
+  undo() {
+    const entry = this.undoStack.pop();
+    if (!entry) return null;
+    
+    const keys = [...entry.operations].reverse()
+      .map(operation => this.applyOperation(operation, 'undo'));
+    
+    this.touchItems(entry.operations);
+    this.redoStack.push(entry);
+    this.commit(this.touchedKeys(keys));
+    return entry;
+  }
+
+  redo() {
+    const entry = this.redoStack.pop();
+    if (!entry) return null;
+    
+    const keys = entry.operations.map(operation => this.applyOperation(operation, 'redo'));
+    
+    this.touchItems(entry.operations);
+    this.undoStack.push(entry);
+    this.commit(this.touchedKeys(keys));
+    return entry;
+  }
+
+  // Stamps the items a change (or its undo) touched; merging backups keeps
+  // whichever copy of an item changed last
+  touchItems(operations, timestamp = new Date().toISOString()) {
+    operations.forEach(operation => {
+      if (!['update', 'insert', 'remove'].includes(operation.type)) return;
+      
+      const collection = this.state[operation.collection];
+      const id = operation.type === 'update' ? operation.id : operation.item.id;
+      const item = Array.isArray(collection) && collection.find(i => i.id === id);
+      if (item && operation.collection !== 'trash') {
+        item.updatedAt = timestamp;
+      }
+    });
+  }
+
+  touchedKeys(keys) {
+    return [...new Set(keys)];
+  }
+
+  // Undo one specific entry, e.g. from a toast's Undo button. If other
+  // changes were made since, only this entry is reverted and it can't be redone.
+  undoEntry(entryId) {
+    const index = this.undoStack.findIndex(e => e.id === entryId);
+    if (index === -1) return null;
+    if (index === this.undoStack.length - 1) return this.undo();
+    
+    const [entry] = this.undoStack.splice(index, 1);
+    const keys = [...entry.operations].reverse()
+      .map(operation => this.applyOperation(operation, 'undo'));
+    
+    this.touchItems(entry.operations);
+    this.commit(this.touchedKeys(keys));
+    return entry;
+  }
+
+  getHistory() {
+    return {
+      undo: [...this.undoStack].reverse(),
+      redo: [...this.redoStack].reverse()
+    };
+  }
+
+  // Applies one recorded operation in either direction and returns the
+  // top-level state key it touched
+  applyOperation(operation, direction) {
+    const forward = direction === 'redo';
+    const clone = (value) => JSON.parse(JSON.stringify(value));
+    
+    switch (operation.type) {
+      case 'assign': {
+        const target = operation.key ? this.state[operation.key] : this.state;
+        Object.assign(target, clone(forward ? operation.after : operation.before));
+        return operation.key || Object.keys(operation.after)[0];
+      }
+      
+      case 'update': {
+        const item = this.state[operation.collection].find(i => i.id === operation.id);
+        if (item) {
+          Object.assign(item, clone(forward ? operation.after : operation.before));
+        }
+        return operation.collection;
+      }
+      
+      case 'insert':
+      case 'remove': {
+        const collection = this.state[operation.collection];
+        const shouldInsert = (operation.type === 'insert') === forward;
+        
+        if (shouldInsert) {
+          collection.splice(Math.min(operation.index, collection.length), 0, clone(operation.item));
+        } else {
+          const index = collection.findIndex(i => i.id === operation.item.id);
+          if (index !== -1) collection.splice(index, 1);
+        }
+        return operation.collection;
+      }
+      
+      default:
+        console.warn('Unknown history operation:', operation.type);
+        return operation.collection || operation.key;
+    }
+  }
+
+  pickFields(source, keys) {
+    const picked = {};
+    keys.forEach(key => {
+      picked[key] = source[key] === undefined ? null : source[key];
+    });
+    return JSON.parse(JSON.stringify(picked));
+  }
+
+  quote(text) {
+    const trimmed = (text || '').trim() || 'untitled';
+    return `'${trimmed.length > 30 ? trimmed.substring(0, 30) + '…' : trimmed}'`;
+  }
+
+  describeUpdate(type, text, before, updates) {
+    const name = `${type} ${this.quote(text)}`;
+    
+    if ('completed' in updates) {
+      return updates.completed ? `Completed ${name}` : `Reopened ${name}`;
+    }
+    if ('energy' in updates) {
+      return `Changed ${name} energy to ${updates.energy}`;
+    }
+    if ('text' in updates) {
+      return `Renamed ${type} ${this.quote(before.text)} to ${this.quote(updates.text)}`;
+    }
+    return `Edited ${name}`;
+  }
+
+  // Utility methods
+  getTasksCompletedToday() {
+    const today = new Date().toDateString();
+    return this.state.tasks.filter(t => 
+      t.completed && new Date(t.completedAt || t.createdAt).toDateString() === today
+    );
+  }
+
+  /* ===== Schema Migrations ===== */
+
+  // Ordered registry of schema changes. Append a new step for every release
+  // that changes the state shape; never edit or reorder shipped steps.
+  getMigrations() {
+    return [
+      {
+        version: 1,
+        description: 'Adopt versioned schema',
+        migrate: (state) => {
+          // The dashboard always renders exactly three priority slots; any
+          // further priorities become tasks so nothing is lost
+          const priorities = (Array.isArray(state.priorities) ? state.priorities : [])
+            .filter(priority => this.isPlainObject(priority));
+          state.priorities = [1, 2, 3].map((id, index) => {
+            return priorities[index] ? { ...priorities[index], id } : this.getDefaultPriority(id);
+          });
+          
+          const extra = priorities.slice(3).filter(priority => typeof priority.text === 'string' && priority.text.trim());
+          if (extra.length === 0) return;
+          if (!Array.isArray(state.tasks)) {
+            state.tasks = [];
+          }
+          extra.forEach(priority => {
+            state.tasks.push({
+              ...this.getDefaultTask(),
+              id: Date.now().toString(36) + Math.random().toString(36).substr(2),
+              text: priority.text,
+              completed: !!priority.completed,
+              completedAt: priority.completedAt || null,
+              createdAt: priority.createdAt || new Date().toISOString(),
+              energy: priority.energy || 'medium',
+              estimatedMinutes: priority.estimatedMinutes || null
+            });
+          });
+        }
+      },
+      {
+        version: 2,
+        description: 'Date time blocks by the day they belong to',
+        migrate: (state) => {
+          (state.timeBlocks || []).filter(block => this.isPlainObject(block)).forEach(block => {
+            if (!block.date) {
+              block.date = this.recurrence.toDateKey(new Date(block.createdAt || Date.now()));
+            }
+          });
+        }
+      },
+      {
+        version: 3,
+        description: 'Repair time blocks saved through the old prompt editor',
+        migrate: (state) => {
+          const app = window.app;
+          (state.timeBlocks || []).filter(block => this.isPlainObject(block)).forEach(block => {
+            // Times like '9:30' or '09:30 ' were fine, just not zero-padded
+            const time = typeof block.startTime === 'string' ? block.startTime.trim() : '';
+            block.startTime = /^([01]?\d|2[0-3]):[0-5]\d$/.test(time)
+              ? app.minutesToTimeString(app.timeStringToMinutes(time))
+              : '09:00';
+            const duration = Math.round(Number(block.duration));
+            block.duration = duration >= 5 && duration <= 720 ? duration : 60;
+          });
+        }
+      }
+    ];
+  }
+
+  getSchemaVersion() {
+    return this.getMigrations().reduce((max, migration) => Math.max(max, migration.version), 0);
+  }
+
+  // Migrates the live state by default; imports migrate their own copy
+  migrateData(state = this.state) {
+    
+    if (!Array.isArray(state.appliedMigrations)) {
+      state.appliedMigrations = [];
+    }
+    
+    // States saved before versioning started at schema 0
+    if (typeof state.schemaVersion !== 'number') {
+      state.schemaVersion = 0;
+    }
+    
+    const pending = this.getMigrations()
+      .filter(migration => migration.version > state.schemaVersion)
+      .sort((a, b) => a.version - b.version);
+    
+    for (const migration of pending) {
+      try {
+        migration.migrate(state);
+      } catch (error) {
+        // Stop here so the remaining steps run again on next load
+        console.error(`Migration ${migration.version} (${migration.description}) failed:`, error);
+        break;
+      }
+      
+      state.schemaVersion = migration.version;
+      state.appliedMigrations.push({
+        version: migration.version,
+        description: migration.description,
+        appliedAt: new Date().toISOString()
+      });
+    }
+    
+    this.applyDefaults(state, this.getDefaultState());
+    this.applyItemDefaults(state);
+  }
+
+  applyDefaults(target, defaults) {
+    Object.keys(defaults).forEach(key => {
+      const value = defaults[key];
+      
+      if (target[key] === undefined) {
+        target[key] = JSON.parse(JSON.stringify(value));
+      } else if (this.isPlainObject(value) && this.isPlainObject(target[key])) {
+        this.applyDefaults(target[key], value);
+      }
+    });
+    
+    return target;
+  }
+
+  applyItemDefaults(state) {
+    const itemDefaults = {
+      tasks: () => this.getDefaultTask(),
+      timeBlocks: () => this.getDefaultTimeBlock(),
+      capturedThoughts: () => this.getDefaultThought(),
+      trash: () => ({}),
+      dayHistory: () => this.getDefaultDayRecord(null),
+      dayTemplates: () => this.getDefaultDayTemplate()
+    };
+    
+    // Hand-edited or damaged saves can hold nulls; those entries carry no data, so drop them
+    const objectsIn = list => (Array.isArray(list) ? list : []).filter(item => this.isPlainObject(item));
+    
+    Object.entries(itemDefaults).forEach(([collection, getDefaults]) => {
+      state[collection] = objectsIn(state[collection]);
+      state[collection].forEach(item => this.applyDefaults(item, getDefaults()));
+    });
+    
+    state.tasks.forEach(task => {
+      task.subtasks = objectsIn(task.subtasks);
+      task.subtasks.forEach(subtask => this.applyDefaults(subtask, this.getDefaultSubtask()));
+    });
+    
+    state.dayTemplates.forEach(template => {
+      template.blocks = objectsIn(template.blocks);
+      template.blocks.forEach(block => this.applyDefaults(block, this.getDefaultTemplateBlock()));
+    });
+    
+    // An empty priority slot is replaced rather than removed, so there are always three
+    state.priorities = (Array.isArray(state.priorities) ? state.priorities : []).map((priority, index) => this.isPlainObject(priority)
+      ? priority
+      : this.getDefaultPriority(index + 1));
+    state.priorities.forEach((priority, index) => this.applyDefaults(priority, this.getDefaultPriority(index + 1)));
+  }
+
+  isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  cleanupOldAnalytics() {
+    // Remove analytics data older than 30 days to free up space
+    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    
+    if (this.state.analytics.dailyStats) {
+      Object.keys(this.state.analytics.dailyStats).forEach(date => {
+        if (new Date(date) < thirtyDaysAgo) {
+          delete this.state.analytics.dailyStats[date];
+        }
+      });
+    }
+  }
+
+  /* ===== Backup Import ===== */
+
+  /**
+   * Checks a parsed backup file before anything is touched. Errors block the
+   * import; missing fields and old schema versions are only warnings because
+   * defaults and migrations repair them on the way in.
+   */
+  validateBackup(data) {
+    const errors = [];
+    const warnings = [];
+    const maxErrors = 25;
+    
+    if (!this.isPlainObject(data)) {
+      return { errors: ['The file is not a 3e Planner backup (expected a JSON object).'], warnings };
+    }
+    if (!data.version) {
+      errors.push('Missing "version" - this does not look like a 3e Planner backup.');
+    }
+    if (!this.isPlainObject(data.state)) {
+      errors.push('Missing the "state" section that holds your planner data.');
+      return { errors, warnings };
+    }
+    
+    const state = data.state;
+    const schemaVersion = this.getSchemaVersion();
+    if (typeof state.schemaVersion === 'number' && state.schemaVersion > schemaVersion) {
+      errors.push(`The backup comes from a newer version of the planner (data format ${state.schemaVersion}, this app reads up to ${schemaVersion}). Update the app first.`);
+    } else if ((state.schemaVersion || 0) < schemaVersion) {
+      warnings.push('The backup uses an older data format and will be upgraded while importing.');
+    }
+    
+    const types = {
+      id: { test: value => (typeof value === 'string' && value !== '') || Number.isFinite(value), expect: 'an id' },
+      text: { test: value => typeof value === 'string', expect: 'text' },
+      flag: { test: value => typeof value === 'boolean', expect: 'true or false' },
+      number: { test: value => value === null || Number.isFinite(Number(value)), expect: 'a number' },
+      list: { test: value => Array.isArray(value), expect: 'a list' },
+      object: { test: value => this.isPlainObject(value), expect: 'an object' },
+      dateKey: { test: value => value === null || /^\d{4}-\d{2}-\d{2}$/.test(value), expect: 'a date (YYYY-MM-DD)' },
+      timestamp: { test: value => value === null || !isNaN(Date.parse(value)), expect: 'a date and time' }
+    };
+    
+    // Required fields must be present; optional ones are checked when present
+    const schema = {
+      priorities: { required: { id: 'id' }, optional: { text: 'text', completed: 'flag', completedAt: 'timestamp' } },
+      tasks: {
+        required: { id: 'id', text: 'text' },
+        optional: { completed: 'flag', dueDate: 'dateKey', tags: 'list', subtasks: 'list', estimatedMinutes: 'number', createdAt: 'timestamp', completedAt: 'timestamp' }
+      },
+      timeBlocks: { required: { id: 'id' }, optional: { date: 'dateKey', startTime: 'text', duration: 'number', task: 'text', linkedTo: 'object' } },
+      capturedThoughts: { required: { id: 'id', text: 'text' }, optional: { timestamp: 'timestamp', reviewed: 'flag' } },
+      trash: { required: { id: 'id', collection: 'text', item: 'object' }, optional: { deletedAt: 'timestamp' } },
+      dayHistory: { required: { id: 'dateKey' }, optional: { priorities: 'list', tasks: 'list', timeBlocks: 'list', capturedThoughts: 'list' } },
+      dayTemplates: { required: { id: 'id', name: 'text' }, optional: { days: 'list', blocks: 'list' } }
+    };
+    
+    Object.entries(schema).forEach(([collection, { required, optional }]) => {
+      const items = state[collection];
+      if (items === undefined) return;
+      if (!Array.isArray(items)) {
+        errors.push(`"${collection}" should be a list but is ${items === null ? 'empty (null)' : typeof items}.`);
+        return;
+      }
+      
+      const seen = new Set();
+      items.forEach((item, index) => {
+        const where = `${collection} #${index + 1}${item && typeof item.text === 'string' && item.text ? ` ("${item.text.slice(0, 30)}")` : ''}`;
+        if (!this.isPlainObject(item)) {
+          errors.push(`${where} is not an item.`);
+          return;
+        }
+        
+        Object.entries(required).forEach(([field, type]) => {
+          if (item[field] === undefined || item[field] === null) {
+            errors.push(`${where} is missing "${field}".`);
+          } else if (!types[type].test(item[field])) {
+            errors.push(`${where}: "${field}" should be ${types[type].expect}.`);
+          }
+        });
+        Object.entries(optional).forEach(([field, type]) => {
+          if (item[field] !== undefined && !types[type].test(item[field])) {
+            errors.push(`${where}: "${field}" should be ${types[type].expect}.`);
+          }
+        });
+        
+        if (item.id !== undefined && seen.has(item.id)) {
+          warnings.push(`${where} has the same id as an earlier item; merging keeps only one of them.`);
+        }
+        seen.add(item.id);
+      });
+    });
+    
+    ['settings', 'analytics', 'focusSession'].forEach(key => {
+      if (state[key] !== undefined && !this.isPlainObject(state[key])) {
+        errors.push(`"${key}" should be an object.`);
+      }
+    });
+    
+    if (data.analytics === undefined) {
+      warnings.push('The backup has no analytics section; your current insights stay as they are.');
+    } else if (!this.isPlainObject(data.analytics) || (data.analytics.sessions !== undefined && !Array.isArray(data.analytics.sessions))) {
+      errors.push('The analytics section is damaged ("sessions" should be a list).');
+    }
+    
+    if (errors.length > maxErrors) {
+      const hidden = errors.length - maxErrors;
+      errors.splice(maxErrors, hidden, `…and ${hidden} more problem${hidden === 1 ? '' : 's'}.`);
+    }
+    return { errors, warnings };
+  }
+
+  // What a (prepared) state holds, for the import preview
+  describeBackup(state) {
+    const tasks = state.tasks || [];
+    return {
+      priorities: (state.priorities || []).filter(priority => priority.text && priority.text.trim()).length,
+      tasks: tasks.length,
+      openTasks: tasks.filter(task => !task.completed).length,
+      timeBlocks: (state.timeBlocks || []).length,
+      capturedThoughts: (state.capturedThoughts || []).length,
+      dayHistory: (state.dayHistory || []).length,
+      dayTemplates: (state.dayTemplates || []).length,
+      trash: (state.trash || []).length
+    };
+  }
+
+  // A validated backup state brought up to the current schema and defaults
+  prepareImport(newState) {
+    const state = JSON.parse(JSON.stringify(newState));
+    this.migrateData(state);
+    return state;
+  }
+
+  /**
+   * Merges a prepared backup into a copy of the current state. Items are
+   * matched by id and the newer copy wins (updatedAt, falling back to when
+   * they were completed or created). Items deleted here after the backup's
+   * copy last changed stay deleted. Settings stay as they are on this device.
+   */
+  mergeState(incoming) {
+    const merged = JSON.parse(JSON.stringify(this.state));
+    const stats = { added: 0, updated: 0, unchanged: 0 };
+    const stampOf = item => item.updatedAt || item.completedAt || item.deletedAt || item.createdAt || item.timestamp || '';
+    const deletedAt = new Map(merged.trash.map(entry => [`${entry.collection}:${entry.item && entry.item.id}`, entry.deletedAt]));
+    
+    const mergeById = (local, others, collection) => {
+      others.forEach(item => {
+        const index = local.findIndex(existing => existing.id === item.id);
+        if (index === -1) {
+          const deleted = deletedAt.get(`${collection}:${item.id}`);
+          if (deleted && deleted >= stampOf(item)) {
+            stats.unchanged++;
+            return;
+          }
+          local.push(item);
+          stats.added++;
+        } else if (stampOf(item) > stampOf(local[index])) {
+          local[index] = item;
+          stats.updated++;
+        } else {
+          stats.unchanged++;
+        }
+      });
+    };
+    
+    ['tasks', 'timeBlocks', 'capturedThoughts', 'dayTemplates', 'trash'].forEach(collection => {
+      mergeById(merged[collection], incoming[collection], collection);
+    });
+    
+    // Priority slots always exist; an empty slot never replaces a filled one
+    merged.priorities = merged.priorities.map(priority => {
+      const other = incoming.priorities.find(p => p.id === priority.id);
+      if (!other || !other.text.trim()) return priority;
+      if (priority.text.trim() && stampOf(other) <= stampOf(priority)) {
+        stats.unchanged++;
+        return priority;
+      }
+      stats.updated++;
+      return other;
+    });
+    
+    // Day records for the same date combine what each side archived
+    incoming.dayHistory.forEach(record => {
+      const local = merged.dayHistory.find(day => day.id === record.id);
+      if (!local) {
+        merged.dayHistory.push(record);
+        stats.added++;
+        return;
+      }
+      
+      ['tasks', 'timeBlocks', 'capturedThoughts'].forEach(collection => mergeById(local[collection], record[collection], collection));
+      record.priorities.forEach(priority => {
+        if (!local.priorities.some(p => p.id === priority.id && p.completedAt === priority.completedAt)) {
+          local.priorities.push(priority);
+        }
+      });
+      ['carriedOver', 'dropped', 'plannedPriorities'].forEach(key => {
+        if (local[key].length === 0) local[key] = record[key];
+      });
+    });
+    merged.dayHistory.sort((a, b) => a.id.localeCompare(b.id));
+    
+    // Lifetime counters can only have grown on one side or the other
+    Object.keys(merged.analytics).forEach(key => {
+      if (typeof merged.analytics[key] === 'number' && typeof incoming.analytics[key] === 'number') {
+        merged.analytics[key] = Math.max(merged.analytics[key], incoming.analytics[key]);
+      }
+    });
+    
+    return { state: merged, stats };
+  }
+
+  // Replaces or merges in a validated backup as one undoable step
+  importState(newState, mode = 'replace', label = null) {
+    const before = this.state;
+    const incoming = this.prepareImport(newState);
+    const { state, stats } = mode === 'merge'
+      ? this.mergeState(incoming)
+      : { state: incoming, stats: null };
+    
+    this.state = state;
+    const entryId = this.record(label || (mode === 'merge' ? 'Merged backup' : 'Imported backup'), this.diffStates(before, this.state), false);
+    this.commit(Object.keys(this.state));
+    return { stats, entryId };
+  }
+
+  /**
+   * History operations that turn one state into another, so an import's undo
+   * entry holds only what it changed instead of two copies of the planner:
+   * item inserts, removes and updates per collection, and the changed
+   * top-level values otherwise.
+   */
+  diffStates(before, after) {
+    const operations = [];
+    const isCollection = value => Array.isArray(value) && value.every(item => item && typeof item === 'object' && 'id' in item);
+    
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach(key => {
+      if (JSON.stringify(before[key]) === JSON.stringify(after[key])) return;
+      
+      if (isCollection(before[key]) && isCollection(after[key]) && this.keepsOrder(before[key], after[key])) {
+        operations.push(...this.diffCollection(key, before[key], after[key]));
+      } else {
+        operations.push({ type: 'assign', key: null, before: this.pickFields(before, [key]), after: this.pickFields(after, [key]) });
+      }
+    });
+    
+    return operations;
+  }
+
+  // Items in both lists are in the same order, so inserts and removes by index can rebuild it
+  keepsOrder(from, to) {
+    const toIds = new Set(to.map(item => item.id));
+    const fromIds = new Set(from.map(item => item.id));
+    const shared = from.filter(item => toIds.has(item.id)).map(item => item.id);
+    return JSON.stringify(shared) === JSON.stringify(to.filter(item => fromIds.has(item.id)).map(item => item.id));
+  }
+
+  // Removes run from the end and inserts from the start, so both redo and
+  // (reversed) undo put every item back at its own index
+  diffCollection(collection, from, to) {
+    const fromById = new Map(from.map(item => [item.id, item]));
+    const toIds = new Set(to.map(item => item.id));
+    
+    const removes = [];
+    from.forEach((item, index) => {
+      if (!toIds.has(item.id)) {
+        removes.unshift({ type: 'remove', collection, index, item });
+      }
+    });
+    
+    const updates = [];
+    const inserts = [];
+    to.forEach((item, index) => {
+      const previous = fromById.get(item.id);
+      if (!previous) {
+        inserts.push({ type: 'insert', collection, index, item });
+        return;
+      }
+      
+      const fields = [...new Set([...Object.keys(previous), ...Object.keys(item)])]
+        .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(item[field]));
+      if (fields.length > 0) {
+        updates.push({ type: 'update', collection, id: item.id, before: this.pickFields(previous, fields), after: this.pickFields(item, fields) });
+      }
+    });
+    
+    return [...removes, ...updates, ...inserts];
+  }
+
+  resetState() {
+    this.undoStack = [];
+    this.redoStack = [];
+    this.state = this.getDefaultState();
+    this.commit(Object.keys(this.state));
+  }
+}
+
+/* ===== Restore Points ===== */
+
+/**
+ * Rolling snapshots of the planner kept in IndexedDB. Automatic points are
+ * taken at most hourly (only when something changed) and thin out with age:
+ * one per hour for a day, then one per day for a month. Safety points are
+ * taken right before imports, resets, restores and schema upgrades.
+ */
+class RestorePointManager {
+  constructor(stateManager) {
+    this.stateManager = stateManager;
+    this.checkInterval = null;
+    this.hourMs = 60 * 60 * 1000;
+    this.hourlyWindow = 24 * this.hourMs;
+    this.dailyWindow = 30 * 24 * this.hourMs;
+    this.maxSafetyPoints = 10;
+    this.reasons = {
+      automatic: 'Automatic',
+      manual: 'Created by you',
+      'before-import': 'Before import',
+      'before-reset': 'Before reset',
+      'before-restore': 'Before restore',
+      'before-migration': 'Before upgrade'
+    };
+  }
+
+  init() {
+    this.checkSchedule();
+    this.checkInterval = setInterval(() => this.checkSchedule(), 10 * 60 * 1000);
+  }
+
+  get storage() {
+    return this.stateManager.storage;
+  }
+
+  async list() {
+    try {
+      const points = await this.storage.loadRestorePoints();
+      return [...points].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    } catch (error) {
+      console.warn('Failed to list restore points:', error);
+      return [];
+    }
+  }
+
+  // Snapshot failures never block the action they protect
+  async create(reason = 'manual', state = this.stateManager.state, now = new Date()) {
+    try {
+      const json = JSON.stringify(state);
+      const summary = {
+        id: now.getTime().toString(36) + Math.random().toString(36).substr(2),
+        createdAt: now.toISOString(),
+        reason,
+        fingerprint: this.fingerprint(json),
+        counts: this.stateManager.describeBackup(state)
+      };
+      
+      if (!await this.storage.saveRestorePoint(summary, JSON.parse(json))) return null;
+      await this.prune(now);
+      return summary;
+    } catch (error) {
+      console.warn('Failed to create restore point:', error);
+      return null;
+    }
+  }
+
+  async checkSchedule(now = new Date()) {
+    const points = await this.list();
+    const lastAutomatic = points.find(point => point.reason === 'automatic');
+    if (lastAutomatic && now - new Date(lastAutomatic.createdAt) < this.hourMs) return null;
+    
+    // Nothing changed since the newest point of any kind
+    if (points[0] && points[0].fingerprint === this.fingerprint(JSON.stringify(this.stateManager.state))) return null;
+    
+    return this.create('automatic', this.stateManager.state, now);
+  }
+
+  async prune(now = new Date()) {
+    const expired = this.selectExpired(await this.list(), now);
+    await this.storage.deleteRestorePoints(expired);
+    return expired;
+  }
+
+  // Ids of the points the retention rules no longer keep
+  selectExpired(points, now = new Date()) {
+    const keep = new Set();
+    const buckets = new Set();
+    const recurrence = this.stateManager.recurrence;
+    const newestFirst = [...points].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    
+    newestFirst.filter(point => point.reason === 'automatic').forEach(point => {
+      const created = new Date(point.createdAt);
+      const age = now - created;
+      const day = recurrence.toDateKey(created);
+      const bucket = age <= this.hourlyWindow ? `${day} ${created.getHours()}h`
+        : age <= this.dailyWindow ? day : null;
+      
+      if (bucket && !buckets.has(bucket)) {
+        buckets.add(bucket);
+        keep.add(point.id);
+      }
+    });
+    
+    newestFirst
+      .filter(point => point.reason !== 'automatic' && now - new Date(point.createdAt) <= this.dailyWindow)
+      .slice(0, this.maxSafetyPoints)
+      .forEach(point => keep.add(point.id));
+    
+    return points.filter(point => !keep.has(point.id)).map(point => point.id);
+  }
+
+  // Brings a point back as one undoable step, after saving where we are now
+  async restore(id) {
+    const [points, state] = await Promise.all([this.list(), this.storage.loadRestorePointState(id)]);
+    const point = points.find(p => p.id === id);
+    if (!point || !state) return null;
+    
+    await this.create('before-restore');
+    const { entryId } = this.stateManager.importState(state, 'replace', `Restored snapshot from ${new Date(point.createdAt).toLocaleString()}`);
+    return { point, entryId };
+  }
+
+  describe(point) {
+    return this.reasons[point.reason] || point.reason;
+  }
+
+  // Cheap change detection between snapshots (djb2 over the JSON)
+  fingerprint(json) {
+    let hash = 5381;
+    for (let i = 0; i < json.length; i++) {
+      hash = ((hash << 5) + hash + json.charCodeAt(i)) | 0;
+    }
+    return `${json.length}:${hash >>> 0}`;
+  }
+}
+
+/* ===== Recurrence Engine ===== */
+
+class RecurrenceEngine {
+  constructor() {
+    this.dayNames = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    this.ordinals = ['first', 'second', 'third', 'fourth', 'last'];
+    this.frequencies = ['daily', 'weekdays', 'weekly', 'interval', 'monthly'];
+    this.lookaheadDays = 400;
+  }
+
+  /**
+   * Rules are plain objects so they survive storage and sync:
+   * { frequency, days (weekly), interval (every N days), monthlyBy ('date' | 'weekday'), anchor }
+   * The anchor date fixes the start, the day of the month and the N-day rhythm.
+   */
+  createRule(frequency, options = {}, anchor = new Date()) {
+    if (!this.frequencies.includes(frequency)) return null;
+    
+    const anchorDate = typeof anchor === 'string' ? this.fromDateKey(anchor) : this.startOfDay(anchor);
+    const days = (options.days || []).filter(day => day >= 0 && day <= 6);
+    
+    return {
+      frequency,
+      days: frequency === 'weekly' ? (days.length > 0 ? [...new Set(days)].sort() : [anchorDate.getDay()]) : [],
+      interval: frequency === 'interval' ? Math.max(1, parseInt(options.interval, 10) || 1) : 1,
+      monthlyBy: frequency === 'monthly' ? (options.monthlyBy === 'weekday' ? 'weekday' : 'date') : null,
+      anchor: this.toDateKey(anchorDate)
+    };
+  }
+
+  matches(rule, date) {
+    const day = this.startOfDay(date);
+    const anchor = this.fromDateKey(rule.anchor);
+    if (day < anchor) return false;
+    
+    switch (rule.frequency) {
+      case 'daily':
+        return true;
+      case 'weekdays':
+        return day.getDay() >= 1 && day.getDay() <= 5;
+      case 'weekly':
+        return rule.days.includes(day.getDay());
+      case 'interval':
+        return this.daysBetween(anchor, day) % rule.interval === 0;
+      case 'monthly':
+        return rule.monthlyBy === 'weekday'
+          ? this.isSameMonthlyWeekday(anchor, day)
+          : day.getDate() === Math.min(anchor.getDate(), this.daysInMonth(day));
+      default:
+        return false;
+    }
+  }
+
+  // First occurrence on or after the given date
+  firstOccurrence(rule, from) {
+    const day = this.startOfDay(from);
+    for (let i = 0; i < this.lookaheadDays; i++) {
+      const candidate = new Date(day.getFullYear(), day.getMonth(), day.getDate() + i);
+      if (this.matches(rule, candidate)) return candidate;
+    }
+    return null;
+  }
+
+  // First occurrence strictly after the given date
+  nextOccurrence(rule, after) {
+    const day = this.startOfDay(after);
+    return this.firstOccurrence(rule, new Date(day.getFullYear(), day.getMonth(), day.getDate() + 1));
+  }
+
+  describe(rule) {
+    if (!rule) return 'Does not repeat';
+    
+    const anchor = this.fromDateKey(rule.anchor);
+    
+    switch (rule.frequency) {
+      case 'daily':
+        return 'Every day';
+      case 'weekdays':
+        return 'Every weekday';
+      case 'weekly':
+        return rule.days.length === 1
+          ? `Every ${this.dayNames[rule.days[0]]}`
+          : `Every ${rule.days.map(day => this.dayNames[day].slice(0, 3)).join(', ')}`;
+      case 'interval':
+        return rule.interval === 1 ? 'Every day' : `Every ${rule.interval} days`;
+      case 'monthly':
+        return rule.monthlyBy === 'weekday'
+          ? `Monthly on the ${this.ordinals[this.weekOfMonth(anchor) - 1]} ${this.dayNames[anchor.getDay()]}`
+          : `Monthly on the ${this.ordinalSuffix(anchor.getDate())}`;
+      default:
+        return 'Does not repeat';
+    }
+  }
+
+  // The 5th week of a month is treated as "last" so the rule holds in shorter months
+  isSameMonthlyWeekday(anchor, date) {
+    if (date.getDay() !== anchor.getDay()) return false;
+    
+    const week = this.weekOfMonth(anchor);
+    return week === 5
+      ? date.getDate() + 7 > this.daysInMonth(date)
+      : this.weekOfMonth(date) === week;
+  }
+
+  weekOfMonth(date) {
+    return Math.ceil(date.getDate() / 7);
+  }
+
+  daysInMonth(date) {
+    return new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+  }
+
+  daysBetween(from, to) {
+    return Math.round((this.startOfDay(to) - this.startOfDay(from)) / (24 * 60 * 60 * 1000));
+  }
+
+  ordinalSuffix(n) {
+    const suffixes = { 1: 'st', 2: 'nd', 3: 'rd' };
+    return `${n}${(n % 100 >= 11 && n % 100 <= 13) ? 'th' : (suffixes[n % 10] || 'th')}`;
+  }
+
+  startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  toDateKey(date) {
+    return `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+  }
+
+  fromDateKey(key) {
+    const [year, month, day] = key.split('-').map(Number);
+    return new Date(year, month - 1, day);
+  }
+}
+
+/* ===== Natural Language Task Parser ===== */
+
+class TaskParser {
+  constructor() {
+    // English and Dutch words are accepted side by side
+    this.weekdays = {
+      sunday: 0, zondag: 0,
+      monday: 1, maandag: 1,
+      tuesday: 2, dinsdag: 2,
+      wednesday: 3, woensdag: 3,
+      thursday: 4, donderdag: 4,
+      friday: 5, vrijdag: 5,
+      saturday: 6, zaterdag: 6
+    };
+    
+    this.relativeDays = {
+      today: 0, vandaag: 0,
+      tonight: 0, vanavond: 0,
+      tomorrow: 1, tmrw: 1, morgen: 1,
+      overmorgen: 2
+    };
+    
+    this.energyWords = {
+      high: 'high', hoog: 'high', h: 'high',
+      medium: 'medium', med: 'medium', gemiddeld: 'medium', m: 'medium',
+      low: 'low', laag: 'low', l: 'low'
+    };
+    
+    this.dayUnits = { day: 1, days: 1, dag: 1, dagen: 1, week: 7, weeks: 7, weken: 7 };
+    this.nextWords = ['next', 'volgende', 'komende'];
+    this.everyWords = ['every', 'elke', 'iedere'];
+    this.andWords = ['and', 'en', '&'];
+    this.recurrenceWords = {
+      daily: 'daily', dagelijks: 'daily',
+      weekdays: 'weekdays', werkdagen: 'weekdays',
+      weekly: 'weekly', wekelijks: 'weekly',
+      monthly: 'monthly', maandelijks: 'monthly'
+    };
+    this.recurrence = new RecurrenceEngine();
+    this.datePrepositions = ['on', 'op', 'due'];
+    this.timePrepositions = ['at', 'om', '@'];
+    this.eveningTime = '19:00';
+  }
+
+  /**
+   * Parse quick-add text such as "Call dentist tomorrow 14:00 ~15m !high #health @phone".
+   * Returns the remaining task text plus every recognised attribute (null when absent).
+   */
+  parse(input, now = new Date()) {
+    const words = input.trim().split(/\s+/).filter(Boolean);
+    const result = {
+      text: '',
+      dueDate: null,
+      dueTime: null,
+      estimatedMinutes: null,
+      energy: null,
+      tags: [],
+      context: null,
+      recurrence: null
+    };
+    const remaining = [];
+    let evening = false;
+    let repeat = null;
+    let repeatWord = null; // "daily" and the like, if nothing of the text comes after it
+    let clockAt = -1; // A bare "14:00" only counts as a time right after a date
+    
+    for (let i = 0; i < words.length; i++) {
+      const word = words[i];
+      const lower = word.toLowerCase();
+      
+      const estimate = this.parseEstimate(lower);
+      if (estimate !== null) {
+        result.estimatedMinutes = estimate;
+        continue;
+      }
+      
+      const energy = lower.match(/^!(\w+)$/);
+      if (energy && this.energyWords[energy[1]]) {
+        result.energy = this.energyWords[energy[1]];
+        continue;
+      }
+      
+      const tag = word.match(/^#([\p{L}\p{N}_-]+)$/u);
+      if (tag) {
+        if (!result.tags.includes(tag[1].toLowerCase())) {
+          result.tags.push(tag[1].toLowerCase());
+        }
+        continue;
+      }
+      
+      const context = word.match(/^@([\p{L}\p{N}_-]+)$/u);
+      if (context) {
+        result.context = context[1].toLowerCase();
+        continue;
+      }
+      
+      const recurrence = this.matchRecurrence(words, i);
+      if (recurrence) {
+        repeat = recurrence;
+        i += recurrence.length - 1;
+        continue;
+      }
+      
+      if (lower in this.recurrenceWords) {
+        repeatWord = { frequency: this.recurrenceWords[lower], index: remaining.length };
+      }
+      
+      // "on friday" / "op vrijdag": the preposition goes together with the date.
+      // Not before "tomorrow" and the like, where it belongs to the verb ("ruim op morgen ...")
+      const next = (words[i + 1] || '').toLowerCase();
+      const onDate = this.datePrepositions.includes(lower) && this.takesDatePreposition(next, now)
+        ? this.matchDate(words, i + 1, now, true)
+        : null;
+      const date = onDate || this.matchDate(words, i, now);
+      if (date) {
+        result.dueDate = this.toDateKey(date.date);
+        evening = evening || date.evening;
+        i += date.length - (onDate ? 0 : 1);
+        clockAt = i + 1;
+        continue;
+      }
+      
+      // "at 14:00" / "om 14:00" / "@ 14:00"
+      const timeAfterPreposition = this.timePrepositions.includes(lower) ? this.parseTime(next, true) : null;
+      if (timeAfterPreposition) {
+        result.dueTime = timeAfterPreposition;
+        i++;
+        continue;
+      }
+      
+      const time = this.parseTime(lower, i === clockAt);
+      if (time) {
+        result.dueTime = time;
+        continue;
+      }
+      
+      remaining.push(word);
+    }
+    
+    if (evening && !result.dueTime) {
+      result.dueTime = this.eveningTime;
+    }
+    
+    // "Water plants daily" repeats; in "Write daily report" the word is part of the task
+    if (!repeat && repeatWord && repeatWord.index === remaining.length - 1) {
+      repeat = { frequency: repeatWord.frequency };
+      remaining.pop();
+    }
+    
+    // A repeating task starts at its first occurrence from the given date (or today)
+    if (repeat) {
+      const start = result.dueDate ? this.recurrence.fromDateKey(result.dueDate) : now;
+      result.recurrence = this.recurrence.createRule(repeat.frequency, repeat, start);
+      result.dueDate = this.toDateKey(this.recurrence.firstOccurrence(result.recurrence, start));
+    }
+    
+    // A time on its own means today, or tomorrow once that time has passed
+    if (result.dueTime && !result.dueDate) {
+      const due = new Date(now);
+      const [hours, minutes] = result.dueTime.split(':').map(Number);
+      due.setHours(hours, minutes, 0, 0);
+      if (due < now) {
+        due.setDate(due.getDate() + 1);
+      }
+      result.dueDate = this.toDateKey(due);
+    }
+    
+    result.text = remaining.join(' ');
+    return result;
+  }
 
-  checkDailyReset() {
-    const today = new Date().toDateString();
-    const lastActiveDate = this.stateManager.state.lastActiveDate;
+  // "~15m", "~1h", "~1.5h", "~1h30", "~2u", "~45" (minutes)
+  parseEstimate(word) {
+    const combined = word.match(/^~(\d+)(?:h|u)(\d+)m?$/);
+    if (combined) {
+      return parseInt(combined[1], 10) * 60 + parseInt(combined[2], 10);
+    }
     
-    if (lastActiveDate !== today) {
-      this.performDailyReset();
+    const single = word.match(/^~(\d+(?:[.,]\d+)?)(m|min|mins|h|hr|hrs|u|uur)?$/);
+    if (!single) return null;
+    
+    const amount = parseFloat(single[1].replace(',', '.'));
+    const inHours = ['h', 'hr', 'hrs', 'u', 'uur'].includes(single[2]);
+    const minutes = Math.round(inHours ? amount * 60 : amount);
+    
+    return minutes > 0 ? minutes : null;
+  }
+
+  // "14u", "14u30", "2pm", "2:30pm" - and "14:00", "9.30" when `clock` is set,
+  // as a bare number like that is often a version or an amount
+  parseTime(word, clock = false) {
+    let match = (clock && word.match(/^(\d{1,2})[:.](\d{2})$/)) || word.match(/^(\d{1,2})u(\d{2})?$/);
+    let hours;
+    let minutes;
+    
+    if (match) {
+      hours = parseInt(match[1], 10);
+      minutes = parseInt(match[2] || '0', 10);
+    } else {
+      match = word.match(/^(\d{1,2})(?::(\d{2}))?(am|pm)$/);
+      if (!match) return null;
+      
+      hours = parseInt(match[1], 10);
+      minutes = parseInt(match[2] || '0', 10);
+      if (hours < 1 || hours > 12) return null;
+      hours = (hours % 12) + (match[3] === 'pm' ? 12 : 0);
     }
+    
+    if (hours > 23 || minutes > 59) return null;
+    return `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
   }
 
-  performDailyReset() {
-    const today = new Date().toDateString();
+  // "on"/"op"/"due" only goes with a weekday or a calendar date
+  takesDatePreposition(word, now) {
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    return word in this.weekdays || this.parseDate(word, today, true) !== null;
+  }
+
+  // Try to read a date phrase starting at words[index]; returns { date, length, evening }.
+  // `numeric` allows "21/10" and "21-10", which only count after a date preposition
+  matchDate(words, index, now, numeric = false) {
+    const word = (words[index] || '').toLowerCase();
+    const next = (words[index + 1] || '').toLowerCase();
+    const third = (words[index + 2] || '').toLowerCase();
+    const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const addDays = (days) => new Date(today.getFullYear(), today.getMonth(), today.getDate() + days);
     
-    // Reset daily counters
-    this.stateManager.updateState({
-      lastActiveDate: today,
-      dailyTasksCompleted: 0,
-      dailyFocusTime: 0,
-      dailyBreaksTaken: 0
+    if (word === 'day' && next === 'after' && third === 'tomorrow') {
+      return { date: addDays(2), length: 3, evening: false };
+    }
+    
+    if (word in this.relativeDays) {
+      return {
+        date: addDays(this.relativeDays[word]),
+        length: 1,
+        evening: word === 'tonight' || word === 'vanavond'
+      };
+    }
+    
+    if (word in this.weekdays) {
+      return { date: addDays(this.daysUntil(today, this.weekdays[word])), length: 1, evening: false };
+    }
+    
+    if (this.nextWords.includes(word)) {
+      if (next in this.weekdays) {
+        return { date: addDays(this.daysUntil(today, this.weekdays[next])), length: 2, evening: false };
+      }
+      if (next === 'week') {
+        return { date: addDays(this.daysUntil(today, 1)), length: 2, evening: false };
+      }
+    }
+    
+    // "in 3 days" / "over 3 dagen"
+    if ((word === 'in' || word === 'over') && /^\d+$/.test(next) && third in this.dayUnits) {
+      return { date: addDays(parseInt(next, 10) * this.dayUnits[third]), length: 3, evening: false };
+    }
+    
+    const date = this.parseDate(word, today, numeric);
+    return date ? { date, length: 1, evening: false } : null;
+  }
+
+  // "every day", "every monday and friday", "every 3 days", "elke maand", ...
+  matchRecurrence(words, index) {
+    const word = (words[index] || '').toLowerCase();
+    if (!this.everyWords.includes(word)) return null;
+    
+    const next = (words[index + 1] || '').toLowerCase();
+    const third = (words[index + 2] || '').toLowerCase();
+    
+    if (['day', 'dag'].includes(next)) {
+      return { frequency: 'daily', length: 2 };
+    }
+    if (['weekday', 'werkdag'].includes(next)) {
+      return { frequency: 'weekdays', length: 2 };
+    }
+    if (next === 'week') {
+      return { frequency: 'weekly', length: 2 };
+    }
+    if (['month', 'maand'].includes(next)) {
+      return { frequency: 'monthly', length: 2 };
+    }
+    if (/^\d+$/.test(next) && this.dayUnits[third] === 1) {
+      return { frequency: 'interval', interval: parseInt(next, 10), length: 3 };
+    }
+    
+    // One or more weekdays, optionally joined by "and" / "en"
+    const days = [];
+    let length = 1;
+    while (index + length < words.length) {
+      const candidate = words[index + length].toLowerCase().replace(/,$/, '');
+      if (candidate in this.weekdays) {
+        days.push(this.weekdays[candidate]);
+      } else if (!(days.length > 0 && this.andWords.includes(candidate) &&
+                   (words[index + length + 1] || '').toLowerCase().replace(/,$/, '') in this.weekdays)) {
+        break;
+      }
+      length++;
+    }
+    
+    return days.length > 0 ? { frequency: 'weekly', days, length } : null;
+  }
+
+  // Days until the next occurrence of a weekday, never today itself
+  daysUntil(today, weekday) {
+    return ((weekday - today.getDay() + 6) % 7) + 1;
+  }
+
+  // "2026-10-21", and day-first "21/10", "21-10", "21/10/2026" when `numeric`
+  // is set, as on their own those are often a range or a fraction ("chapters 3-4")
+  parseDate(word, today, numeric = false) {
+    let year;
+    let month;
+    let day;
+    
+    const iso = word.match(/^(\d{4})-(\d{2})-(\d{2})$/);
+    const dayFirst = numeric && word.match(/^(\d{1,2})[/-](\d{1,2})(?:[/-](\d{4}))?$/);
+    
+    if (iso) {
+      [year, month, day] = iso.slice(1).map(Number);
+    } else if (dayFirst) {
+      day = Number(dayFirst[1]);
+      month = Number(dayFirst[2]);
+      year = dayFirst[3] ? Number(dayFirst[3]) : today.getFullYear();
+    } else {
+      return null;
+    }
+    
+    let date = new Date(year, month - 1, day);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    
+    // Without a year, a date that already passed means next year
+    if (dayFirst && !dayFirst[3] && date < today) {
+      date = new Date(year + 1, month - 1, day);
+    }
+    
+    return date;
+  }
+
+  toDateKey(date) {
+    return this.recurrence.toDateKey(date);
+  }
+}
+
+/* ===== Schedule Analyzer ===== */
+
+class ScheduleAnalyzer {
+  constructor(app) {
+    this.app = app;
+  }
+
+  /**
+   * Checks one day's time blocks. Options (all in minutes since midnight):
+   * { buffer: wanted gap between blocks, dayStart, dayEnd: waking hours, from: planning starts here (now, for today) }
+   * Returns { overlaps, tightGaps, overruns, plannedMinutes, availableMinutes, overcommittedBy, conflicts }
+   * where conflicts maps each flagged block id to a short reason.
+   */
+  analyze(blocks, options = {}) {
+    const buffer = options.buffer || 0;
+    const dayStart = options.dayStart ?? 7 * 60;
+    const dayEnd = options.dayEnd ?? 22 * 60;
+    const from = Math.max(options.from ?? dayStart, dayStart);
+    
+    const sorted = this.sort(blocks);
+    const overlaps = [];
+    const tightGaps = [];
+    const overruns = [];
+    const conflicts = new Map();
+    
+    sorted.forEach((block, index) => {
+      const start = this.startOf(block);
+      const end = this.endOf(block);
+      
+      for (let i = index + 1; i < sorted.length && this.startOf(sorted[i]) < end; i++) {
+        const other = sorted[i];
+        overlaps.push({ first: block, second: other, minutes: Math.min(end, this.endOf(other)) - this.startOf(other) });
+        conflicts.set(block.id, 'Overlaps another block');
+        conflicts.set(other.id, 'Overlaps another block');
+      }
+      
+      if (end > dayEnd && start < 24 * 60) {
+        overruns.push({ block, minutes: end - Math.max(start, dayEnd) });
+        if (!conflicts.has(block.id)) conflicts.set(block.id, 'Runs past the end of your day');
+      }
     });
     
-    // Check streak
-    this.updateProductivityStreak();
+    // Gaps are measured from the latest end so far, so a short block nested
+    // inside a long one doesn't hide the real gap
+    if (buffer > 0) {
+      let latest = null;
+      sorted.forEach(block => {
+        if (latest) {
+          const gap = this.startOf(block) - this.endOf(latest);
+          if (gap >= 0 && gap < buffer) {
+            tightGaps.push({ before: latest, after: block, gap });
+            if (!conflicts.has(block.id)) conflicts.set(block.id, `Only ${gap} min after the previous block`);
+          }
+        }
+        if (!latest || this.endOf(block) > this.endOf(latest)) latest = block;
+      });
+    }
     
-    // Welcome back message
-    this.toastManager.show('Good morning! Ready for a productive day? 🌅', 'success');
+    const plannedMinutes = this.countMinutes(sorted, from);
+    const availableMinutes = Math.max(dayEnd - from, 0);
     
-    this.analyticsManager.trackEvent('daily_reset');
+    return {
+      overlaps,
+      tightGaps,
+      overruns,
+      plannedMinutes,
+      availableMinutes,
+      overcommittedBy: Math.max(plannedMinutes - availableMinutes, 0),
+      conflicts
+    };
   }
 
-  updateProductivityStreak() {
-    const yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000).toDateString();
-    const yesterdayStats = this.analyticsManager.getStatsForDate(yesterday);
+  // Minutes of blocked time left after `from`, counting overlapping stretches once
+  countMinutes(sortedBlocks, from) {
+    let total = 0;
+    let coveredUntil = from;
     
-    if (yesterdayStats.tasksCompleted > 0 || yesterdayStats.focusTime > 0) {
-      // Productive day, continue streak
-      this.stateManager.updateState({
-        currentStreak: (this.stateManager.state.analytics.currentStreak || 0) + 1
+    sortedBlocks.forEach(block => {
+      const start = Math.max(this.startOf(block), coveredUntil);
+      const end = this.endOf(block);
+      if (end > start) {
+        total += end - start;
+        coveredUntil = end;
+      }
+    });
+    
+    return total;
+  }
+
+  /**
+   * Pushes every block after the anchor later so each starts at least `buffer`
+   * minutes after the one before. Returns [{ id, startTime }] for the blocks that
+   * move, or null when they would no longer fit before midnight.
+   */
+  makeRoomAfter(blocks, anchorId, buffer = 0) {
+    const sorted = this.sort(blocks);
+    const anchorIndex = sorted.findIndex(block => block.id === anchorId);
+    if (anchorIndex === -1) return [];
+    
+    const changes = [];
+    const fixed = sorted.filter((block, index) => block.fixed && index > anchorIndex);
+    let previousEnd = this.endOf(sorted[anchorIndex]);
+    
+    for (let i = anchorIndex + 1; i < sorted.length; i++) {
+      const block = sorted[i];
+      
+      // Appointments stay where they are; everything else flows around them
+      if (block.fixed) {
+        previousEnd = Math.max(previousEnd, this.endOf(block));
+        continue;
+      }
+      
+      let start = Math.max(this.startOf(block), previousEnd + buffer);
+      let blocker = fixed.find(other => start < this.endOf(other) + buffer && start + block.duration + buffer > this.startOf(other));
+      while (blocker) {
+        start = this.endOf(blocker) + buffer;
+        blocker = fixed.find(other => start < this.endOf(other) + buffer && start + block.duration + buffer > this.startOf(other));
+      }
+      
+      if (start + block.duration > 24 * 60 - 1) return null;
+      if (start !== this.startOf(block)) {
+        changes.push({ id: block.id, startTime: this.app.minutesToTimeString(start) });
+      }
+      previousEnd = start + block.duration;
+    }
+    
+    return changes;
+  }
+
+  /**
+   * Applies updates to one block, then pushes later blocks back only as far as
+   * needed to keep clear of it. Returns [{ id, updates }] including the block
+   * itself, or null when something would run past midnight.
+   */
+  shiftBlock(blocks, blockId, updates, buffer = 0) {
+    const shifted = blocks.map(block => block.id === blockId ? { ...block, ...updates } : block);
+    const target = shifted.find(block => block.id === blockId);
+    if (!target || this.endOf(target) > 24 * 60 - 1) return null;
+    
+    const later = this.makeRoomAfter(shifted, blockId, buffer);
+    if (later === null) return null;
+    
+    return [
+      { id: blockId, updates },
+      ...later.map(change => ({ id: change.id, updates: { startTime: change.startTime } }))
+    ];
+  }
+
+  sort(blocks) {
+    return [...blocks].sort((a, b) => this.startOf(a) - this.startOf(b) || this.endOf(b) - this.endOf(a));
+  }
+
+  startOf(block) {
+    return this.app.timeStringToMinutes(block.startTime);
+  }
+
+  endOf(block) {
+    return this.startOf(block) + block.duration;
+  }
+
+  formatMinutes(totalMinutes) {
+    const hours = Math.floor(totalMinutes / 60);
+    const minutes = totalMinutes % 60;
+    if (hours === 0) return `${minutes}m`;
+    return minutes === 0 ? `${hours}h` : `${hours}h ${minutes}m`;
+  }
+}
+
+/* ===== Auto Scheduler ===== */
+
+class AutoScheduler {
+  constructor(analyzer, app) {
+    this.analyzer = analyzer;
+    this.app = app;
+    this.energyScores = { crisis: 0, low: 1, medium: 2, high: 3 };
+    
+    // Typical energy by hour, used until there's enough history:
+    // a late-morning peak, an after-lunch dip and a second wind mid-afternoon
+    this.defaultProfile = {
+      7: 2, 8: 2, 9: 3, 10: 3, 11: 3, 12: 2,
+      13: 1, 14: 1, 15: 2, 16: 2, 17: 2
+    };
+    this.minimumSamples = 3;
+    this.breakMinutes = 10;
+    this.minimumSlot = 10;
+  }
+
+  /**
+   * Proposes time blocks for the day without touching state.
+   * items: [{ key, text, energy, minutes, linkedTo, fixedStart }] most important first
+   * options: { from, dayStart, dayEnd, buffer, breakInterval, energyByHour } (times in minutes)
+   * Returns { blocks: [{ task, startTime, duration, energy, linkedTo, isBreak, itemKey }], unscheduled: items }
+   */
+  propose(items, existingBlocks, options) {
+    const profile = this.buildProfile(options.energyByHour || {});
+    const slots = this.findFreeSlots(existingBlocks, options);
+    const proposals = [];
+    const unscheduled = [];
+    
+    // Items with a due time are pinned first so flexible work flows around them
+    const fixed = items.filter(item => item.fixedStart !== null && item.fixedStart !== undefined);
+    const flexible = items.filter(item => !fixed.includes(item));
+    
+    fixed.forEach(item => {
+      const slot = slots.find(slot => slot.cursor <= item.fixedStart && item.fixedStart + item.minutes <= slot.end);
+      if (!slot) {
+        flexible.push(item);
+        return;
+      }
+      
+      proposals.push(this.createProposal(item, item.fixedStart, item.minutes, false));
+      this.occupy(slots, slot, item.fixedStart, item.fixedStart + item.minutes, item.minutes, options);
+    });
+    
+    flexible.forEach(item => {
+      const placement = this.findPlacement(item, slots, profile, options);
+      if (!placement) {
+        unscheduled.push(item);
+        return;
+      }
+      
+      const { slot, start, needsBreak, worked } = placement;
+      if (needsBreak) {
+        proposals.push(this.createProposal({ text: 'Break', energy: 'low' }, start - this.breakMinutes, this.breakMinutes, true));
+      }
+      
+      proposals.push(this.createProposal(item, start, item.minutes, false));
+      this.occupy(slots, slot, needsBreak ? start - this.breakMinutes : start, start + item.minutes, worked, options);
+    });
+    
+    proposals.sort((a, b) => a.startTime.localeCompare(b.startTime));
+    return { blocks: proposals, unscheduled };
+  }
+
+  // Free stretches between existing blocks, keeping the transition buffer clear on both sides
+  findFreeSlots(blocks, options) {
+    const buffer = options.buffer || 0;
+    const dayEnd = options.dayEnd;
+    const slots = [];
+    let cursor = Math.ceil(Math.max(options.from ?? options.dayStart, options.dayStart) / 5) * 5;
+    
+    const addSlot = (start, end) => {
+      if (end - start >= this.minimumSlot) {
+        slots.push({ start, end, cursor: start, worked: 0 });
+      }
+    };
+    
+    this.analyzer.sort(blocks).forEach(block => {
+      addSlot(cursor, Math.min(this.analyzer.startOf(block) - buffer, dayEnd));
+      cursor = Math.max(cursor, this.analyzer.endOf(block) + buffer);
+    });
+    addSlot(cursor, dayEnd);
+    
+    return slots;
+  }
+
+  // Recorded energy where there's enough of it, the default curve elsewhere
+  buildProfile(energyByHour) {
+    const profile = {};
+    for (let hour = 0; hour < 24; hour++) {
+      const history = energyByHour[hour];
+      profile[hour] = history && history.count >= this.minimumSamples
+        ? history.total / history.count
+        : (this.defaultProfile[hour] ?? 1);
+    }
+    return profile;
+  }
+
+  // Candidates are the next free minute of each slot and any later hour
+  // boundary, so high-energy work can wait for a better hour
+  findPlacement(item, slots, profile, options) {
+    const target = this.energyScores[item.energy] ?? 2;
+    const breakInterval = Number(options.breakInterval) || 0;
+    const buffer = options.buffer || 0;
+    let best = null;
+    
+    slots.forEach(slot => {
+      const needsBreak = breakInterval > 0 && slot.worked > 0 && slot.worked + item.minutes > breakInterval;
+      const next = needsBreak
+        ? slot.cursor + this.breakMinutes
+        : slot.cursor + (slot.cursor > slot.start ? buffer : 0);
+      
+      const candidates = [{ start: next, needsBreak, worked: (needsBreak ? 0 : slot.worked) + item.minutes }];
+      for (let hour = Math.floor(next / 60) + 1; hour * 60 < slot.end; hour++) {
+        // Waiting that long counts as a break
+        candidates.push({ start: hour * 60, needsBreak: false, worked: item.minutes });
+      }
+      
+      candidates.forEach(candidate => {
+        if (candidate.start + item.minutes > slot.end) return;
+        
+        // Energy match first, then the earliest start
+        const score = Math.abs(target - profile[Math.floor(candidate.start / 60)]) * 1000 + candidate.start;
+        if (!best || score < best.score) {
+          best = { slot, ...candidate, score };
+        }
+      });
+    });
+    
+    return best;
+  }
+
+  // Takes start-end out of a slot, keeping what's left on either side
+  occupy(slots, slot, start, end, worked, options) {
+    const buffer = options.buffer || 0;
+    const remaining = [];
+    
+    if (start - buffer - slot.cursor >= this.minimumSlot) {
+      remaining.push({ ...slot, end: start - buffer });
+    }
+    if (slot.end - end >= this.minimumSlot) {
+      remaining.push({ start: slot.start, end: slot.end, cursor: end, worked });
+    }
+    
+    slots.splice(slots.indexOf(slot), 1, ...remaining);
+  }
+
+  createProposal(item, start, duration, isBreak) {
+    return {
+      task: item.text,
+      startTime: this.app.minutesToTimeString(start),
+      duration,
+      energy: item.energy === 'crisis' ? 'low' : item.energy,
+      linkedTo: item.linkedTo || null,
+      isBreak,
+      itemKey: item.key || null
+    };
+  }
+}
+
+/* ===== iCalendar Converter ===== */
+
+class ICalendarConverter {
+  constructor(recurrence) {
+    this.recurrence = recurrence;
+    this.weekdayCodes = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+    
+    // Outlook writes Windows zone names; the common ones map onto IANA names
+    this.windowsZones = {
+      'W. Europe Standard Time': 'Europe/Amsterdam',
+      'Romance Standard Time': 'Europe/Paris',
+      'Central Europe Standard Time': 'Europe/Budapest',
+      'Central European Standard Time': 'Europe/Warsaw',
+      'GMT Standard Time': 'Europe/London',
+      'Greenwich Standard Time': 'Atlantic/Reykjavik',
+      'E. Europe Standard Time': 'Europe/Chisinau',
+      'FLE Standard Time': 'Europe/Helsinki',
+      'Eastern Standard Time': 'America/New_York',
+      'Central Standard Time': 'America/Chicago',
+      'Mountain Standard Time': 'America/Denver',
+      'Pacific Standard Time': 'America/Los_Angeles',
+      'AUS Eastern Standard Time': 'Australia/Sydney',
+      'India Standard Time': 'Asia/Kolkata',
+      'China Standard Time': 'Asia/Shanghai',
+      'Tokyo Standard Time': 'Asia/Tokyo',
+      'UTC': 'UTC'
+    };
+  }
+
+  /* --- Reading --- */
+
+  /**
+   * Parses VEVENTs into plain objects:
+   * { uid, summary, description, location, allDay, start, end (Date), startKey, rrule, exdates, recurrenceId, cancelled }
+   * Invalid events are skipped rather than failing the whole file.
+   */
+  parse(text) {
+    const lines = this.unfold(text);
+    if (!lines.some(line => line.toUpperCase() === 'BEGIN:VCALENDAR')) {
+      throw new Error('Not an iCalendar file');
+    }
+    
+    const zones = this.readTimezones(lines);
+    const events = [];
+    let current = null;
+    // Components nested in an event (VALARM) have their own DESCRIPTION and DURATION
+    let nested = 0;
+    
+    lines.forEach(line => {
+      const property = this.parseLine(line);
+      if (!property) return;
+      
+      if (property.name === 'BEGIN' && property.value.toUpperCase() === 'VEVENT') {
+        current = { exdates: [], rrule: null, recurrenceId: null, summary: '', description: '', location: '' };
+        nested = 0;
+        return;
+      }
+      if (!current) return;
+      
+      if (property.name === 'BEGIN') {
+        nested++;
+        return;
+      }
+      if (nested > 0) {
+        if (property.name === 'END') nested--;
+        return;
+      }
+      
+      if (property.name === 'END' && property.value.toUpperCase() === 'VEVENT') {
+        if (current.start) {
+          if (!current.end) {
+            current.end = current.duration
+              ? new Date(current.start.getTime() + current.duration * 60000)
+              : new Date(current.start.getTime() + (current.allDay ? 24 * 60 : 0) * 60000);
+          }
+          events.push(current);
+        }
+        current = null;
+        return;
+      }
+      
+      switch (property.name) {
+        case 'UID': current.uid = property.value; break;
+        case 'SUMMARY': current.summary = this.unescapeText(property.value); break;
+        case 'DESCRIPTION': current.description = this.unescapeText(property.value); break;
+        case 'LOCATION': current.location = this.unescapeText(property.value); break;
+        case 'STATUS': current.cancelled = property.value.toUpperCase() === 'CANCELLED'; break;
+        case 'DURATION': current.duration = this.parseDuration(property.value); break;
+        case 'RRULE': current.rrule = this.parseRule(property.value, property.params, zones); break;
+        case 'DTSTART': {
+          const parsed = this.parseDate(property.value, property.params, zones);
+          if (parsed) {
+            current.start = parsed.date;
+            current.allDay = parsed.allDay;
+            current.timeZone = parsed.timeZone;
+          }
+          break;
+        }
+        case 'DTEND': {
+          const parsed = this.parseDate(property.value, property.params, zones);
+          if (parsed) current.end = parsed.date;
+          break;
+        }
+        case 'EXDATE':
+          property.value.split(',').forEach(value => {
+            const parsed = this.parseDate(value, property.params, zones);
+            if (parsed) current.exdates.push(this.recurrence.toDateKey(parsed.date));
+          });
+          break;
+        case 'RECURRENCE-ID': {
+          const parsed = this.parseDate(property.value, property.params, zones);
+          if (parsed) current.recurrenceId = this.recurrence.toDateKey(parsed.date);
+          break;
+        }
+      }
+    });
+    
+    return events;
+  }
+
+  /**
+   * Occurrences of the parsed events between two date keys (inclusive):
+   * [{ event, key, start, end, allDay }], with moved or cancelled instances applied.
+   */
+  occurrencesBetween(events, fromKey, toKey) {
+    const overrides = new Map();
+    events.filter(event => event.recurrenceId).forEach(event => {
+      overrides.set(`${event.uid}|${event.recurrenceId}`, event);
+    });
+    
+    const occurrences = [];
+    const add = (event, start, end) => {
+      const key = this.recurrence.toDateKey(start);
+      if (event.cancelled || key < fromKey || key > toKey) return;
+      occurrences.push({ event, key, start, end, allDay: event.allDay });
+    };
+    
+    events.forEach(event => {
+      // Moved instances are added as themselves
+      if (event.recurrenceId) {
+        add(event, event.start, event.end);
+        return;
+      }
+      
+      if (!event.rrule) {
+        add(event, event.start, event.end);
+        return;
+      }
+      
+      this.expand(event, fromKey, toKey).forEach(start => {
+        const key = this.recurrence.toDateKey(start);
+        if (event.exdates.includes(key) || overrides.has(`${event.uid}|${key}`)) return;
+        add(event, start, new Date(start.getTime() + (event.end - event.start)));
+      });
+    });
+    
+    return occurrences.sort((a, b) => a.start - b.start);
+  }
+
+  /**
+   * Start times of a repeating event between two date keys, keeping the
+   * wall-clock time in its own zone. Works period by period (day, week, month
+   * or year per FREQ): without COUNT it jumps straight to the period holding
+   * `fromKey`, so old series cost no more than new ones. With COUNT the
+   * earlier periods are walked to count their occurrences, which COUNT bounds.
+   */
+  expand(event, fromKey, untilKey) {
+    const rule = event.rrule;
+    const anchor = this.recurrence.startOfDay(event.start);
+    const wall = this.wallTime(event.start, event.timeZone);
+    const interval = rule.interval || 1;
+    const starts = [];
+    let count = 0;
+    
+    const from = this.recurrence.fromDateKey(fromKey);
+    let period = rule.count ? 0 : Math.max(0, Math.floor(this.periodsBetween(rule.freq, anchor, from) / interval) * interval);
+    
+    for (;; period += interval) {
+      const days = this.periodDays(rule, anchor, period);
+      if (!days) break;
+      if (this.recurrence.toDateKey(days[0]) > untilKey || (rule.until && days[0] > rule.until)) break;
+      
+      for (const day of days) {
+        if (day < anchor || !this.ruleMatches(rule, anchor, day)) continue;
+        
+        const key = this.recurrence.toDateKey(day);
+        if (key > untilKey || (rule.until && day > rule.until)) return starts;
+        
+        count++;
+        if (rule.count && count > rule.count) return starts;
+        if (key < fromKey) continue;
+        
+        starts.push(event.allDay
+          ? day
+          : this.fromWallTime(day.getFullYear(), day.getMonth(), day.getDate(), wall.hours, wall.minutes, event.timeZone));
+      }
+    }
+    
+    return starts;
+  }
+
+  // Whole periods of the rule's FREQ from the anchor's period to the date's
+  periodsBetween(freq, anchor, date) {
+    switch (freq) {
+      case 'DAILY':
+        return this.recurrence.daysBetween(anchor, date);
+      case 'WEEKLY':
+        return Math.floor(this.recurrence.daysBetween(this.startOfWeek(anchor), this.startOfWeek(date)) / 7);
+      case 'MONTHLY':
+        return (date.getFullYear() - anchor.getFullYear()) * 12 + date.getMonth() - anchor.getMonth();
+      case 'YEARLY':
+        return date.getFullYear() - anchor.getFullYear();
+      default:
+        return 0;
+    }
+  }
+
+  // The days of the n-th period after the anchor's (all of them; ruleMatches picks)
+  periodDays(rule, anchor, period) {
+    const span = (year, month, first, length) => {
+      return Array.from({ length }, (_, index) => new Date(year, month, first + index));
+    };
+    
+    switch (rule.freq) {
+      case 'DAILY':
+        return span(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + period, 1);
+      
+      case 'WEEKLY': {
+        const week = this.startOfWeek(anchor);
+        return span(week.getFullYear(), week.getMonth(), week.getDate() + period * 7, 7);
+      }
+      
+      case 'MONTHLY': {
+        const month = new Date(anchor.getFullYear(), anchor.getMonth() + period, 1);
+        return span(month.getFullYear(), month.getMonth(), 1, this.recurrence.daysInMonth(month));
+      }
+      
+      case 'YEARLY': {
+        const year = anchor.getFullYear() + period;
+        const months = rule.bymonth.length > 0 ? [...rule.bymonth].sort((a, b) => a - b) : [anchor.getMonth() + 1];
+        const days = [];
+        months.forEach(month => {
+          days.push(...span(year, month - 1, 1, this.recurrence.daysInMonth(new Date(year, month - 1, 1))));
+        });
+        return days;
+      }
+      
+      default:
+        return null;
+    }
+  }
+
+  ruleMatches(rule, anchor, day) {
+    const interval = rule.interval || 1;
+    const weekday = this.weekdayCodes[day.getDay()];
+    
+    switch (rule.freq) {
+      case 'DAILY':
+        return this.recurrence.daysBetween(anchor, day) % interval === 0 &&
+          (rule.byday.length === 0 || rule.byday.some(entry => entry.day === weekday));
+      
+      case 'WEEKLY': {
+        const days = rule.byday.length > 0 ? rule.byday.map(entry => entry.day) : [this.weekdayCodes[anchor.getDay()]];
+        const weeks = Math.floor(this.recurrence.daysBetween(this.startOfWeek(anchor), this.startOfWeek(day)) / 7);
+        return days.includes(weekday) && weeks % interval === 0;
+      }
+      
+      case 'MONTHLY': {
+        const months = (day.getFullYear() - anchor.getFullYear()) * 12 + day.getMonth() - anchor.getMonth();
+        if (months % interval !== 0) return false;
+        return this.matchesDayOfMonth(rule, anchor, day);
+      }
+      
+      case 'YEARLY': {
+        const years = day.getFullYear() - anchor.getFullYear();
+        const months = rule.bymonth.length > 0 ? rule.bymonth : [anchor.getMonth() + 1];
+        if (years % interval !== 0 || !months.includes(day.getMonth() + 1)) return false;
+        return this.matchesDayOfMonth(rule, anchor, day);
+      }
+      
+      default:
+        return false;
+    }
+  }
+
+  // BYDAY=2TU / -1FR, BYMONTHDAY=15 / -1, or the anchor's own day of the month
+  matchesDayOfMonth(rule, anchor, day) {
+    if (rule.byday.length > 0) {
+      return rule.byday.some(entry => {
+        if (entry.day !== this.weekdayCodes[day.getDay()]) return false;
+        if (!entry.ordinal) return true;
+        return entry.ordinal > 0
+          ? this.recurrence.weekOfMonth(day) === entry.ordinal
+          : Math.ceil((this.recurrence.daysInMonth(day) - day.getDate() + 1) / 7) === -entry.ordinal;
       });
-    } else {
-      // Reset streak
-      this.stateManager.updateState({ currentStreak: 0 });
     }
+    
+    const monthDays = rule.bymonthday.length > 0 ? rule.bymonthday : [anchor.getDate()];
+    return monthDays.some(monthDay => monthDay > 0
+      ? day.getDate() === monthDay
+      : day.getDate() === this.recurrence.daysInMonth(day) + monthDay + 1);
   }
 
-  /* ===== Utility Methods ===== */
+  startOfWeek(date) {
+    const start = this.recurrence.startOfDay(date);
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+  }
 
-  generateId() {
-    return Date.now().toString(36) + Math.random().toString(36).substr(2);
+  unfold(text) {
+    return String(text)
+      .replace(/\r\n/g, '\n')
+      .replace(/\n[ \t]/g, '')
+      .split('\n')
+      .map(line => line.trimEnd())
+      .filter(Boolean);
   }
 
-  escapeHtml(text) {
-    const div = document.createElement('div');
-    div.textContent = text;
-    return div.innerHTML;
+  // NAME;PARAM=value;PARAM="quoted:value":VALUE
+  parseLine(line) {
+    const match = line.match(/^([A-Za-z0-9-]+)((?:;[A-Za-z0-9-]+=(?:"[^"]*"|[^";:,]*)(?:,(?:"[^"]*"|[^";:,]*))*)*):(.*)$/);
+    if (!match) return null;
+    
+    const params = {};
+    match[2].split(/;(?=[A-Za-z0-9-]+=)/).filter(Boolean).forEach(param => {
+      const [key, ...rest] = param.split('=');
+      params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '');
+    });
+    
+    return { name: match[1].toUpperCase(), params, value: match[3] };
   }
 
-  capitalizeFirst(str) {
-    return str.charAt(0).toUpperCase() + str.slice(1);
+  unescapeText(value) {
+    return value.replace(/\\([nN,;\\])/g, (_, char) => (char === 'n' || char === 'N' ? '\n' : char));
   }
 
-  /* ===== Global Methods for HTML onclick handlers ===== */
+  // PT1H30M, P1D, -PT15M -> minutes
+  parseDuration(value) {
+    const match = value.match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+    if (!match) return 0;
+    
+    const [, sign, weeks, days, hours, minutes] = match;
+    const total = (Number(weeks) || 0) * 7 * 24 * 60 + (Number(days) || 0) * 24 * 60 +
+      (Number(hours) || 0) * 60 + (Number(minutes) || 0);
+    return sign === '-' ? -total : total;
+  }
 
-  addNewTask() {
-    const input = document.getElementById('taskInput');
-    if (input) {
-      input.focus();
+  /**
+   * 20261019 (all day), 20261019T090000Z (UTC), TZID=...:20261019T090000 (zone)
+   * or 20261019T090000 (floating, read as local time). Returns { date, allDay, timeZone }.
+   */
+  parseDate(value, params = {}, zones = {}) {
+    const match = String(value).trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/);
+    if (!match) return null;
+    
+    const [, year, month, day, hours, minutes, , utc] = match;
+    const [y, m, d] = [Number(year), Number(month) - 1, Number(day)];
+    
+    if (params.VALUE === 'DATE' || hours === undefined) {
+      return { date: new Date(y, m, d), allDay: true, timeZone: null };
     }
+    
+    if (utc) {
+      return { date: new Date(Date.UTC(y, m, d, Number(hours), Number(minutes))), allDay: false, timeZone: 'UTC' };
+    }
+    
+    const timeZone = params.TZID ? this.resolveZone(params.TZID, zones) : null;
+    return {
+      date: this.fromWallTime(y, m, d, Number(hours), Number(minutes), timeZone),
+      allDay: false,
+      timeZone
+    };
   }
 
-  /* ===== Data Management ===== */
+  /**
+   * A zone is either an IANA name the browser knows or, for custom TZIDs,
+   * the offsets from the file's own VTIMEZONE block.
+   */
+  resolveZone(tzid, zones) {
+    const name = tzid.replace(/^\//, '');
+    const candidates = [this.windowsZones[name], name];
+    
+    for (const candidate of candidates) {
+      if (candidate && this.isKnownZone(candidate)) return candidate;
+    }
+    return zones[tzid] || null;
+  }
 
-  exportData() {
+  isKnownZone(name) {
     try {
-      const data = {
-        version: this.version,
-        exportDate: new Date().toISOString(),
-        state: this.stateManager.state,
-        analytics: this.analyticsManager.getFullAnalytics()
-      };
-      
-      const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `3e-planner-backup-${new Date().toISOString().split('T')[0]}.json`;
-      link.click();
-      
-      URL.revokeObjectURL(url);
-      
-      this.toastManager.show('Backup exported successfully! 💾', 'success');
-      this.analyticsManager.trackEvent('data_exported');
-      
+      new Intl.DateTimeFormat('en-US', { timeZone: name });
+      return true;
     } catch (error) {
-      console.error('Export failed:', error);
-      this.toastManager.show('Export failed. Please try again.', 'error');
+      return false;
     }
   }
 
-  importData(event) {
-    const file = event.target.files[0];
-    if (!file) return;
+  // VTIMEZONE blocks as { tzid: { standard: { offset, rule }, daylight: { offset, rule } } }
+  readTimezones(lines) {
+    const zones = {};
+    let zone = null;
+    let part = null;
     
-    const reader = new FileReader();
-    reader.onload = (e) => {
-      try {
-        const data = JSON.parse(e.target.result);
-        
-        if (!data.version || !data.state) {
-          throw new Error('Invalid backup file format');
-        }
-        
-        if (confirm('This will replace all current data. Continue?')) {
-          this.stateManager.importState(data.state);
-          this.renderDashboard();
-          this.toastManager.show('Data imported successfully! 📥', 'success');
-          this.analyticsManager.trackEvent('data_imported');
-        }
-        
-      } catch (error) {
-        console.error('Import failed:', error);
-        this.toastManager.show('Import failed. Please check the file format.', 'error');
+    lines.forEach(line => {
+      const property = this.parseLine(line);
+      if (!property) return;
+      const value = property.value.toUpperCase();
+      
+      if (property.name === 'BEGIN' && value === 'VTIMEZONE') zone = {};
+      else if (property.name === 'END' && value === 'VTIMEZONE') zone = null;
+      else if (zone && property.name === 'BEGIN' && (value === 'STANDARD' || value === 'DAYLIGHT')) {
+        part = { kind: value.toLowerCase() };
+      } else if (zone && part && property.name === 'END') {
+        zone[part.kind] = part;
+        part = null;
+      } else if (zone && property.name === 'TZID') {
+        zones[property.value] = zone;
+      } else if (part && property.name === 'TZOFFSETTO') {
+        const match = property.value.match(/^([+-])(\d{2})(\d{2})/);
+        if (match) part.offset = (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+      } else if (part && property.name === 'DTSTART') {
+        part.start = property.value;
+      } else if (part && property.name === 'RRULE') {
+        part.rule = this.parseRule(property.value);
       }
-    };
+    });
     
-    reader.readAsText(file);
-    event.target.value = '';
+    return zones;
   }
 
-  resetAllData() {
-    const confirmation = prompt('Type "RESET" to confirm deletion of all data:');
-    if (confirmation !== 'RESET') return;
+  parseRule(value, params = {}, zones = {}) {
+    const parts = {};
+    value.split(';').forEach(part => {
+      const [key, val] = part.split('=');
+      if (key && val !== undefined) parts[key.toUpperCase()] = val;
+    });
     
-    this.stateManager.resetState();
-    this.renderDashboard();
+    const list = (key) => (parts[key] ? parts[key].split(',') : []);
+    const until = parts.UNTIL ? this.parseDate(parts.UNTIL, {}, zones) : null;
     
-    this.toastManager.show('All data has been reset', 'info');
-    this.analyticsManager.trackEvent('data_reset');
+    return {
+      freq: (parts.FREQ || '').toUpperCase(),
+      interval: Number(parts.INTERVAL) || 1,
+      count: Number(parts.COUNT) || null,
+      until: until ? until.date : null,
+      byday: list('BYDAY').map(entry => {
+        const match = entry.match(/^([+-]?\d+)?([A-Z]{2})$/i);
+        return match ? { ordinal: match[1] ? Number(match[1]) : null, day: match[2].toUpperCase() } : null;
+      }).filter(Boolean),
+      bymonthday: list('BYMONTHDAY').map(Number).filter(Boolean),
+      bymonth: list('BYMONTH').map(Number).filter(Boolean)
+    };
   }
-}
 
-/* ===== State Management System ===== */
+  /* --- Time zones --- */
 
-class StateManager {
-  constructor() {
-    this.state = this.getDefaultState();
-    this.history = [];
-    this.historyIndex = -1;
-    this.maxHistorySize = 50;
+  // Instant for a wall-clock time in a zone (IANA name, VTIMEZONE object, or null for local)
+  fromWallTime(year, month, day, hours, minutes, timeZone) {
+    if (!timeZone) return new Date(year, month, day, hours, minutes);
+    
+    const guess = Date.UTC(year, month, day, hours, minutes);
+    let offset = this.zoneOffset(new Date(guess), timeZone);
+    
+    // Re-check once so times right after a DST switch land correctly
+    const corrected = this.zoneOffset(new Date(guess - offset * 60000), timeZone);
+    if (corrected !== offset) offset = corrected;
+    
+    return new Date(guess - offset * 60000);
   }
 
-  getDefaultState() {
-    return {
-      version: '3.0.0',
-      lastActiveDate: new Date().toDateString(),
-      currentEnergy: 'medium',
-      
-      priorities: [
-  { 
-    id: 1, text: '', completed: false, energy: 'medium',
-    estimatedMinutes: null, m365Link: '', createdAt: new Date().toISOString(),
-    completedAt: null, isRecurring: false, recurringPattern: null,
-    category: '', notes: ''
-  },
-  { 
-    id: 2, text: '', completed: false, energy: 'medium',
-    estimatedMinutes: null, m365Link: '', createdAt: new Date().toISOString(),
-    completedAt: null, isRecurring: false, recurringPattern: null,
-    category: '', notes: ''
-  },
-  { 
-    id: 3, text: '', completed: false, energy: 'medium',
-    estimatedMinutes: null, m365Link: '', createdAt: new Date().toISOString(),
-    completedAt: null, isRecurring: false, recurringPattern: null,
-    category: '', notes: ''
-  }
-],
-      
-      tasks: [],
-      timeBlocks: [],
-      capturedThoughts: [],
-      
-      settings: {
-        theme: 'focus',
-        reducedMotion: false,
-        soundEffects: false,
-        keyboardHints: true,
-        focusDuration: 25,
-        breakInterval: 45,
-        accessibleFont: false
-      },
+  wallTime(date, timeZone) {
+    if (!timeZone) return { hours: date.getHours(), minutes: date.getMinutes() };
+    
+    const local = new Date(date.getTime() + this.zoneOffset(date, timeZone) * 60000);
+    return { hours: local.getUTCHours(), minutes: local.getUTCMinutes() };
+  }
+
+  // Minutes ahead of UTC at an instant
+  zoneOffset(date, timeZone) {
+    if (timeZone === 'UTC') return 0;
+    if (typeof timeZone === 'object') return this.vtimezoneOffset(date, timeZone);
+    
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric', month: '2-digit', day: '2-digit',
+      hour: '2-digit', minute: '2-digit'
+    }).formatToParts(date).forEach(part => { parts[part.type] = Number(part.value); });
+    
+    const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+    return Math.round((asUtc - Math.floor(date.getTime() / 60000) * 60000) / 60000);
+  }
+
+  // Picks STANDARD or DAYLIGHT by this year's yearly BYMONTH/BYDAY transitions
+  vtimezoneOffset(date, zone) {
+    const standard = zone.standard || zone.daylight;
+    const daylight = zone.daylight;
+    if (!standard) return 0;
+    if (!daylight || !daylight.rule || !standard.rule) return standard.offset || 0;
+    
+    const year = date.getUTCFullYear();
+    const transition = (part) => {
+      const month = part.rule.bymonth[0] - 1;
+      const entry = part.rule.byday[0] || { ordinal: 1, day: 'SU' };
+      const weekday = this.weekdayCodes.indexOf(entry.day);
+      const time = (part.start || '').match(/T(\d{2})(\d{2})/);
+      const minutes = time ? Number(time[1]) * 60 + Number(time[2]) : 120;
       
-      analytics: {
-        currentStreak: 0,
-        totalFocusTime: 0,
-        totalTasksCompleted: 0,
-        totalBreaksTaken: 0,
-        dailyStats: {},
-        achievements: []
-      },
+      let dayOfMonth;
+      if (entry.ordinal < 0) {
+        const last = new Date(Date.UTC(year, month + 1, 0));
+        dayOfMonth = last.getUTCDate() - ((last.getUTCDay() - weekday + 7) % 7);
+      } else {
+        const first = new Date(Date.UTC(year, month, 1));
+        dayOfMonth = 1 + ((weekday - first.getUTCDay() + 7) % 7) + ((entry.ordinal || 1) - 1) * 7;
+      }
+      return Date.UTC(year, month, dayOfMonth) + minutes * 60000;
+    };
+    
+    // Transition times are in the offset in force before them
+    const toDaylight = transition(daylight) - (standard.offset || 0) * 60000;
+    const toStandard = transition(standard) - (daylight.offset || 0) * 60000;
+    const time = date.getTime();
+    
+    const inDaylight = toDaylight < toStandard
+      ? time >= toDaylight && time < toStandard
+      : time >= toDaylight || time < toStandard;
+    return inDaylight ? daylight.offset : standard.offset;
+  }
+
+  /* --- Writing --- */
+
+  /**
+   * events: [{ uid, summary, description, start, end, allDay, rrule }] where
+   * rrule is already in RRULE syntax. Times are written in UTC.
+   */
+  build(events, now = new Date()) {
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      'PRODID:-//3e Planner//Time Blocks//EN',
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH'
+    ];
+    
+    events.forEach(event => {
+      lines.push('BEGIN:VEVENT');
+      lines.push(`UID:${event.uid}`);
+      lines.push(`DTSTAMP:${this.formatUtc(now)}`);
       
-      focusSession: {
-        active: false,
-        startTime: null,
-        duration: 25,
-        task: null,
-        context: null
-      },
+      if (event.allDay) {
+        lines.push(`DTSTART;VALUE=DATE:${this.formatDate(event.start)}`);
+        lines.push(`DTEND;VALUE=DATE:${this.formatDate(event.end)}`);
+      } else {
+        lines.push(`DTSTART:${this.formatUtc(event.start)}`);
+        lines.push(`DTEND:${this.formatUtc(event.end)}`);
+      }
       
-      lastBreakTime: null
-    };
+      lines.push(`SUMMARY:${this.escapeText(event.summary)}`);
+      if (event.description) lines.push(`DESCRIPTION:${this.escapeText(event.description)}`);
+      if (event.rrule) lines.push(`RRULE:${event.rrule}`);
+      lines.push('END:VEVENT');
+    });
+    
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.fold(line)).join('\r\n') + '\r\n';
+  }
+
+  // The planner's own recurrence rules in RRULE syntax
+  toRRule(rule) {
+    if (!rule) return null;
+    
+    const anchor = this.recurrence.fromDateKey(rule.anchor);
+    switch (rule.frequency) {
+      case 'daily':
+        return 'FREQ=DAILY';
+      case 'weekdays':
+        return 'FREQ=WEEKLY;BYDAY=MO,TU,WE,TH,FR';
+      case 'weekly':
+        return `FREQ=WEEKLY;BYDAY=${(rule.days || [anchor.getDay()]).map(day => this.weekdayCodes[day]).join(',')}`;
+      case 'interval':
+        return `FREQ=DAILY;INTERVAL=${rule.interval || 1}`;
+      case 'monthly': {
+        if (rule.monthlyBy !== 'weekday') return `FREQ=MONTHLY;BYMONTHDAY=${anchor.getDate()}`;
+        const week = this.recurrence.weekOfMonth(anchor);
+        return `FREQ=MONTHLY;BYDAY=${week === 5 ? -1 : week}${this.weekdayCodes[anchor.getDay()]}`;
+      }
+      default:
+        return null;
+    }
   }
 
-  async init() {
-    await this.loadState();
-    this.setupAutoSave();
+  escapeText(value) {
+    return String(value || '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
   }
 
-  async loadState() {
-    try {
-      const saved = localStorage.getItem('3e-planner-state');
-      if (saved) {
-        const parsed = JSON.parse(saved);
-        this.state = { ...this.getDefaultState(), ...parsed };
-        
-        // Migrate old data if needed
-        this.migrateData();
+  formatUtc(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+
+  formatDate(date) {
+    return this.recurrence.toDateKey(date).replace(/-/g, '');
+  }
+
+  // Lines longer than 75 octets continue on the next line after a space
+  fold(line) {
+    const bytes = new TextEncoder().encode(line);
+    if (bytes.length <= 75) return line;
+    
+    const parts = [];
+    let current = '';
+    let size = 0;
+    
+    for (const char of line) {
+      const charSize = new TextEncoder().encode(char).length;
+      if (size + charSize > (parts.length === 0 ? 75 : 74)) {
+        parts.push(current);
+        current = '';
+        size = 0;
       }
-    } catch (error) {
-      console.warn('Failed to load state:', error);
-      this.state = this.getDefaultState();
+      current += char;
+      size += charSize;
     }
+    parts.push(current);
+    
+    return parts.join('\r\n ');
   }
+}
 
-  saveState() {
-    try {
-      localStorage.setItem('3e-planner-state', JSON.stringify(this.state));
-    } catch (error) {
-      console.warn('Failed to save state:', error);
-      // Try to free up space by removing old analytics data
-      this.cleanupOldAnalytics();
-      try {
-        localStorage.setItem('3e-planner-state', JSON.stringify(this.state));
-      } catch (secondError) {
-        console.error('Critical: Unable to save state even after cleanup:', secondError);
+/* ===== Markdown Exporter ===== */
+
+class MarkdownExporter {
+  constructor() {
+    // Obsidian reads headings and checkboxes; Logseq wants every line to be a
+    // block, with TODO/DONE markers and children indented by a tab
+    this.presets = {
+      obsidian: {
+        style: 'markdown',
+        template: [
+          '# {{date}} ({{weekday}})',
+          '',
+          '## Priorities',
+          '{{priorities}}',
+          '',
+          '## Tasks',
+          '{{tasks}}',
+          '',
+          '## Schedule',
+          '{{schedule}}',
+          '',
+          '## Focus',
+          '{{focus}}',
+          '',
+          '## Energy',
+          '{{energy}}',
+          '',
+          '## Captured Thoughts',
+          '{{thoughts}}'
+        ].join('\n')
+      },
+      logseq: {
+        style: 'logseq',
+        template: [
+          '- ## Priorities',
+          '\t{{priorities}}',
+          '- ## Tasks',
+          '\t{{tasks}}',
+          '- ## Schedule',
+          '\t{{schedule}}',
+          '- ## Focus',
+          '\t{{focus}}',
+          '- ## Energy',
+          '\t{{energy}}',
+          '- ## Captured Thoughts',
+          '\t{{thoughts}}'
+        ].join('\n')
       }
-    }
+    };
+    this.placeholders = ['date', 'weekday', 'priorities', 'tasks', 'schedule', 'focus', 'energy', 'thoughts', 'summary'];
+  }
+
+  /**
+   * Renders one day with a template. `day` is plain data prepared by the app:
+   * { date, priorities, tasks, timeBlocks: [{ startTime, duration, name, fixed, notes }],
+   *   thoughts, focusSessions: [{ time, duration, task }], energyChanges: [{ time, energy }] }
+   * A placeholder on an indented line indents every line it expands to.
+   */
+  render(day, template, style = 'markdown') {
+    const sections = this.renderSections(day, style);
+    
+    return template.split('\n').map(line => line.replace(/^(\s*)(.*)$/, (match, indent, rest) =>
+      indent + rest.replace(/\{\{(\w+)\}\}/g, (token, name) => {
+        if (!(name in sections)) return token;
+        return sections[name].split('\n').join(`\n${indent}`);
+      })
+    )).join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
   }
 
-  setupAutoSave() {
-    // Auto-save every 30 seconds
-    setInterval(() => this.saveState(), 30000);
+  // Several days go into one document, oldest first, one section per day
+  renderRange(days, template, style = 'markdown') {
+    if (days.length === 1) return this.render(days[0], template, style);
     
-    // Save on page unload
-    window.addEventListener('beforeunload', () => this.saveState());
+    const separator = style === 'logseq' ? '\n' : '\n---\n\n';
+    return days.map(day => style === 'logseq'
+      ? `- # ${day.date}\n${this.indent(this.render(day, template, style).trim())}\n`
+      : this.render(day, template, style)).join(separator);
   }
 
-  // State update methods with history tracking
-  updateState(updates) {
-    this.addToHistory();
-    Object.assign(this.state, updates);
-    this.saveState();
+  renderSections(day, style) {
+    const date = new Date(`${day.date}T00:00:00`);
+    const none = '_Nothing recorded_';
+    const list = (items, format) => items.length > 0 ? items.map(format).join('\n') : this.bullet(none);
+    
+    const priorities = day.priorities.filter(priority => priority.text && priority.text.trim());
+    const tasks = day.tasks;
+    const blocks = [...day.timeBlocks].sort((a, b) => a.startTime.localeCompare(b.startTime));
+    const focusMinutes = day.focusSessions.reduce((total, session) => total + (session.duration || 0), 0);
+    const done = [...priorities, ...tasks].filter(item => item.completed).length;
+    
+    return {
+      date: day.date,
+      weekday: date.toLocaleDateString(undefined, { weekday: 'long' }),
+      summary: `${done} of ${priorities.length + tasks.length} done · ${focusMinutes} min focus · ${blocks.length} time block${blocks.length === 1 ? '' : 's'}`,
+      priorities: list(priorities, priority => this.checkbox(priority.completed, [
+        this.inline(priority.text),
+        priority.skippedOn ? '(skipped)' : '',
+        priority.category ? this.tag(priority.category, style) : ''
+      ], style)),
+      tasks: list(tasks, task => [
+        this.checkbox(task.completed, [
+          this.inline(task.text),
+          task.dueTime ? `⏰ ${task.dueTime}` : '',
+          ...(task.tags || []).map(tag => this.tag(tag, style))
+        ], style),
+        ...(task.subtasks || []).map(subtask => '\t' + this.checkbox(subtask.completed, [this.inline(subtask.text)], style))
+      ].join('\n')),
+      schedule: list(blocks, block => this.bullet([
+        `${block.startTime}–${this.endTime(block)}`,
+        this.inline(block.name || 'Time block'),
+        block.fixed ? '📌' : '',
+        block.notes ? `— ${this.inline(block.notes)}` : ''
+      ].filter(Boolean).join(' '))),
+      focus: day.focusSessions.length > 0
+        ? [
+          this.bullet(`${day.focusSessions.length} session${day.focusSessions.length === 1 ? '' : 's'}, ${focusMinutes} min total`),
+          ...day.focusSessions.map(session => '\t' + this.bullet(`${session.time} ${session.duration} min${session.task ? ` on ${this.inline(session.task)}` : ''}`))
+        ].join('\n')
+        : this.bullet(none),
+      energy: list(day.energyChanges, change => this.bullet(`${change.time} → ${change.energy}`)),
+      thoughts: list(day.thoughts, thought => this.bullet(
+        `${thought.time ? `${thought.time} ` : ''}${this.inline(thought.text)}${thought.reviewed ? ' ✓' : ''}`))
+    };
   }
 
-  updatePriority(index, updates) {
-    if (this.state.priorities[index]) {
-      this.addToHistory();
-      Object.assign(this.state.priorities[index], updates);
-      this.saveState();
-    }
+  checkbox(completed, parts, style) {
+    const text = parts.filter(Boolean).join(' ');
+    return style === 'logseq'
+      ? `- ${completed ? 'DONE' : 'TODO'} ${text}`
+      : `- [${completed ? 'x' : ' '}] ${text}`;
   }
 
-  addTask(task) {
-    this.addToHistory();
-    this.state.tasks.push(task);
-    this.saveState();
+  bullet(text) {
+    return `- ${text}`;
   }
 
-  updateTask(taskId, updates) {
-    const task = this.getTask(taskId);
-    if (task) {
-      this.addToHistory();
-      Object.assign(task, updates);
-      this.saveState();
-    }
+  // Multi-word tags need Logseq's bracket form; Obsidian tags can't contain spaces
+  tag(name, style) {
+    const clean = String(name).trim().replace(/^#/, '');
+    if (!clean) return '';
+    if (!/\s/.test(clean)) return `#${clean}`;
+    return style === 'logseq' ? `#[[${clean}]]` : `#${clean.replace(/\s+/g, '-')}`;
   }
 
-  deleteTask(taskId) {
-    this.addToHistory();
-    this.state.tasks = this.state.tasks.filter(t => t.id !== taskId);
-    this.saveState();
+  // Keeps user text on one line so it can't break the list structure
+  inline(text) {
+    return String(text || '').replace(/\s*\n+\s*/g, ' ').trim();
   }
 
-  getTask(taskId) {
-    return this.state.tasks.find(t => t.id === taskId);
+  indent(text) {
+    return text.split('\n').map(line => `\t${line}`).join('\n');
   }
 
-  addTimeBlock(block) {
-    this.addToHistory();
-    this.state.timeBlocks.push(block);
-    this.saveState();
+  endTime(block) {
+    const [hours, minutes] = block.startTime.split(':').map(Number);
+    const end = (hours * 60 + minutes + block.duration) % (24 * 60);
+    return `${String(Math.floor(end / 60)).padStart(2, '0')}:${String(end % 60).padStart(2, '0')}`;
   }
+}
 
-  updateTimeBlock(blockId, updates) {
-    const block = this.getTimeBlock(blockId);
-    if (block) {
-      this.addToHistory();
-      Object.assign(block, updates);
-      this.saveState();
+/* ===== Cross-Tab Sync System ===== */
+
+class SyncManager {
+  constructor() {
+    this.tabId = Date.now().toString(36) + Math.random().toString(36).substr(2);
+    this.baseKey = '3e-planner-sync';
+    this.channelName = this.baseKey;
+    this.storageKey = this.baseKey;
+    this.channel = null;
+    this.applyingRemote = false;
+    
+    this.handleStorageEvent = this.handleStorageEvent.bind(this);
+  }
+
+  init(stateManager, focusManager) {
+    this.stateManager = stateManager;
+    this.focusManager = focusManager;
+    
+    // Tabs only sync with tabs on the same profile
+    this.channelName = this.baseKey + stateManager.storage.suffix;
+    this.storageKey = this.baseKey + stateManager.storage.suffix;
+    
+    // Prefer BroadcastChannel; the storage event is the fallback for older browsers
+    if ('BroadcastChannel' in window) {
+      this.channel = new BroadcastChannel(this.channelName);
+      this.channel.onmessage = (event) => this.handleMessage(event.data);
+    } else {
+      window.addEventListener('storage', this.handleStorageEvent);
     }
+    
+    this.stateManager.subscribe((keys, state) => this.broadcastChanges(keys, state));
+    window.addEventListener('beforeunload', () => {
+      this.releaseFocusOwnership();
+      this.releaseTransitions();
+    });
   }
 
-  deleteTimeBlock(blockId) {
-    this.addToHistory();
-    this.state.timeBlocks = this.state.timeBlocks.filter(b => b.id !== blockId);
-    this.saveState();
+  broadcastChanges(keys, state) {
+    // Never echo changes that just arrived from another tab
+    if (this.applyingRemote) return;
+    
+    const changes = {};
+    keys.forEach(key => {
+      if (key in state) {
+        changes[key] = state[key];
+      }
+    });
+    
+    this.post({ type: 'state-changed', tabId: this.tabId, changes });
   }
 
-  getTimeBlock(blockId) {
-    return this.state.timeBlocks.find(b => b.id === blockId);
+  post(message) {
+    try {
+      if (this.channel) {
+        this.channel.postMessage(message);
+      } else {
+        // The storage-event fallback would leave decrypted data in localStorage
+        if (message.type === 'state-changed' && !this.stateManager.storage.isLocked()) return;
+        
+        localStorage.setItem(this.storageKey, JSON.stringify({ ...message, sentAt: Date.now() }));
+        localStorage.removeItem(this.storageKey);
+      }
+    } catch (error) {
+      console.warn('Failed to broadcast change to other tabs:', error);
+    }
   }
 
-  addThought(thought) {
-    this.addToHistory();
-    this.state.capturedThoughts.push(thought);
-    this.saveState();
+  // Tells tabs open on another profile about items added to it from here.
+  // Like post(), the storage-event fallback is skipped for encrypted data.
+  notifyProfile(storage, items) {
+    const message = { type: 'items-added', tabId: this.tabId, items };
+    const key = this.baseKey + storage.suffix;
+    
+    try {
+      if ('BroadcastChannel' in window) {
+        const channel = new BroadcastChannel(key);
+        channel.postMessage(message);
+        channel.close();
+      } else if (storage.isLocked()) {
+        localStorage.setItem(key, JSON.stringify({ ...message, sentAt: Date.now() }));
+        localStorage.removeItem(key);
+      }
+    } catch (error) {
+      console.warn('Failed to notify the other profile:', error);
+    }
   }
 
-  clearThoughts() {
-    this.addToHistory();
-    this.state.capturedThoughts = [];
-    this.saveState();
+  handleStorageEvent(event) {
+    if (event.key !== this.storageKey || !event.newValue) return;
+    
+    try {
+      this.handleMessage(JSON.parse(event.newValue));
+    } catch (error) {
+      console.warn('Failed to read sync message:', error);
+    }
   }
 
-  updateEnergyLevel(energy) {
-    this.addToHistory();
-    this.state.currentEnergy = energy;
-    this.saveState();
+  handleMessage(message) {
+    if (!message || message.tabId === this.tabId) return;
+    
+    if (message.type === 'state-changed') {
+      this.applyRemoteChanges(message.changes || {});
+    } else if (message.type === 'items-added') {
+      this.applyAddedItems(message.items || {});
+    } else if (message.type === 'vault-changing') {
+      // Stop writing until the other tab has rewritten the data
+      this.stateManager.storage.frozen = true;
+    } else if (message.type === 'vault-changed') {
+      // Reload so the data is read (and unlocked) in its new format
+      this.stateManager.storage.frozen = true;
+      window.location.reload();
+    }
   }
 
-  updateSettings(settings) {
-    this.addToHistory();
-    Object.assign(this.state.settings, settings);
-    this.saveState();
+  applyRemoteChanges(changes) {
+    const previousSession = this.stateManager.state.focusSession;
+    
+    this.applyingRemote = true;
+    try {
+      this.stateManager.applyRemoteChanges(changes);
+      
+      if (changes.focusSession) {
+        this.syncFocusOwnership(previousSession, changes.focusSession);
+      }
+      
+      if (window.app && window.app.initialized) {
+        window.app.refreshViews(Object.keys(changes));
+      }
+    } finally {
+      this.applyingRemote = false;
+    }
   }
 
-  // History management for undo/redo
-  addToHistory() {
-    // Remove any future history if we're not at the end
-    this.history = this.history.slice(0, this.historyIndex + 1);
-    
-    // Add current state to history
-    this.history.push(JSON.parse(JSON.stringify(this.state)));
-    
-    // Limit history size
-    if (this.history.length > this.maxHistorySize) {
-      this.history.shift();
-    } else {
-      this.historyIndex++;
+  // Copies from another profile are already stored; keeping them in memory
+  // and saving again makes sure a save already under way can't drop them
+  applyAddedItems(items) {
+    this.applyingRemote = true;
+    try {
+      const keys = this.stateManager.addCopiedItems(items);
+      if (keys.length === 0) return;
+      
+      this.stateManager.saveState();
+      if (window.app && window.app.initialized) {
+        window.app.refreshViews(keys);
+      }
+    } finally {
+      this.applyingRemote = false;
     }
   }
 
-  canUndo() {
-    return this.historyIndex > 0;
-  }
+  /* ===== Tab Ownership ===== */
 
-  canRedo() {
-    return this.historyIndex < this.history.length - 1;
+  // Only one tab runs the FocusManager timer: the tab that most recently
+  // began a session. Other tabs mirror its status and stop their own timer.
+  isFocusOwner() {
+    return this.stateManager.state.focusSession.ownerTabId === this.tabId;
   }
 
-  undo() {
-    if (this.canUndo()) {
-      this.historyIndex--;
-      this.state = JSON.parse(JSON.stringify(this.history[this.historyIndex]));
-      this.saveState();
-      return true;
+  syncFocusOwnership(previousSession, session) {
+    const ownedElsewhere = session.active && session.ownerTabId !== this.tabId;
+    
+    if (ownedElsewhere && this.focusManager.timer) {
+      this.focusManager.handOffToOtherTab();
+    } else if (ownedElsewhere && !(previousSession && previousSession.active) && window.app) {
+      window.app.toastManager.show(`Focus session running in another tab: ${session.task}`, 'info');
     }
-    return false;
   }
 
-  redo() {
-    if (this.canRedo()) {
-      this.historyIndex++;
-      this.state = JSON.parse(JSON.stringify(this.history[this.historyIndex]));
-      this.saveState();
-      return true;
+  releaseFocusOwnership() {
+    const session = this.stateManager.state.focusSession;
+    if (session.active && this.isFocusOwner()) {
+      this.stateManager.updateFocusSession({ active: false, ownerTabId: null });
     }
-    return false;
   }
 
-  // Utility methods
-  getTasksCompletedToday() {
-    const today = new Date().toDateString();
-    return this.state.tasks.filter(t => 
-      t.completed && new Date(t.completedAt || t.createdAt).toDateString() === today
-    );
-  }
-
-  migrateData() {
-    // Handle data migration from older versions
-    if (!this.state.version) {
-      this.state.version = '3.0.0';
-    }
-    
-    // Ensure all required properties exist
-    if (!this.state.analytics) {
-      this.state.analytics = this.getDefaultState().analytics;
-    }
+  // Transition warnings come from one tab too. During a focus session that is
+  // the focus owner; otherwise the tab holding a lease in localStorage, which
+  // it renews on every check so the lease of a crashed tab runs out.
+  claimTransitions(leaseDuration, now = Date.now()) {
+    const session = this.stateManager.state.focusSession;
+    if (session.active && session.ownerTabId) return this.isFocusOwner();
     
-    if (!this.state.settings) {
-      this.state.settings = this.getDefaultState().settings;
+    try {
+      const lease = JSON.parse(localStorage.getItem(this.storageKey + '-transitions'));
+      if (lease && lease.tabId !== this.tabId && now - lease.renewedAt < leaseDuration) return false;
+      
+      localStorage.setItem(this.storageKey + '-transitions', JSON.stringify({ ...lease, tabId: this.tabId, renewedAt: now }));
+    } catch (error) {
+      // Without localStorage each tab warns for itself
+      console.warn('Failed to claim transition warnings:', error);
     }
+    return true;
   }
 
-  cleanupOldAnalytics() {
-    // Remove analytics data older than 30 days to free up space
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
-    
-    if (this.state.analytics.dailyStats) {
-      Object.keys(this.state.analytics.dailyStats).forEach(date => {
-        if (new Date(date) < thirtyDaysAgo) {
-          delete this.state.analytics.dailyStats[date];
-        }
-      });
+  // Lets another tab take over right away instead of waiting for the lease to
+  // run out. The lease stays behind expired so its delivered keys carry over.
+  releaseTransitions() {
+    try {
+      const lease = JSON.parse(localStorage.getItem(this.storageKey + '-transitions'));
+      if (lease && lease.tabId === this.tabId) {
+        localStorage.setItem(this.storageKey + '-transitions', JSON.stringify({ ...lease, renewedAt: 0 }));
+      }
+    } catch (error) {
+      console.warn('Failed to release transition warnings:', error);
     }
   }
-
-  importState(newState) {
-    this.addToHistory();
-    this.state = { ...this.getDefaultState(), ...newState };
-    this.migrateData();
-    this.saveState();
+  
+  // Warnings already shown today travel with the lease, so the tab that takes
+  // it over does not announce them a second time
+  getDeliveredTransitions(day) {
+    try {
+      const lease = JSON.parse(localStorage.getItem(this.storageKey + '-transitions'));
+      return lease && lease.day === day && Array.isArray(lease.delivered) ? lease.delivered : [];
+    } catch (error) {
+      return [];
+    }
   }
-
-  resetState() {
-    this.history = [];
-    this.historyIndex = -1;
-    this.state = this.getDefaultState();
-    this.saveState();
+  
+  recordDeliveredTransitions(day, keys, now = Date.now()) {
+    try {
+      const lease = JSON.parse(localStorage.getItem(this.storageKey + '-transitions')) || { tabId: this.tabId, renewedAt: now };
+      localStorage.setItem(this.storageKey + '-transitions', JSON.stringify({ ...lease, day, delivered: keys }));
+    } catch (error) {
+      console.warn('Failed to record transition warnings:', error);
+    }
   }
 }
 
@@ -1641,7 +9466,8 @@ class FocusManager {
     
     if (detailsElement && this.currentContext) {
       const energyLabel = this.currentContext.energy || 'medium';
-      detailsElement.textContent = `${energyLabel.charAt(0).toUpperCase() + energyLabel.slice(1)} energy task`;
+      const parent = this.currentContext.parentText ? ` · step of "${this.currentContext.parentText}"` : '';
+      detailsElement.textContent = `${energyLabel.charAt(0).toUpperCase() + energyLabel.slice(1)} energy task${parent}`;
     }
     
     if (metaElement && this.currentContext) {
@@ -1664,6 +9490,16 @@ class FocusManager {
     this.startTimer();
     this.updateStartButton();
     
+    // Claim the timer so other tabs stop theirs
+    this.publishSessionStatus({
+      active: true,
+      paused: false,
+      startTime: this.startTime.toISOString(),
+      duration: this.duration,
+      task: this.currentTask,
+      context: this.currentContext
+    });
+    
     // Track in analytics
     if (window.app) {
       window.app.analyticsManager.trackEvent('focus_session_started', {
@@ -1736,6 +9572,7 @@ class FocusManager {
     } else {
       this.isPaused = !this.isPaused;
       this.updateStartButton();
+      this.publishSessionStatus({ paused: this.isPaused });
       
       if (window.app) {
         const action = this.isPaused ? 'paused' : 'resumed';
@@ -1749,6 +9586,7 @@ class FocusManager {
     if (this.timer) {
       clearInterval(this.timer);
       this.timer = null;
+      this.publishSessionStatus({ active: false, paused: false });
     }
     
     this.remainingTime = this.duration * 60;
@@ -1768,12 +9606,20 @@ class FocusManager {
     }
     
     const sessionDuration = this.duration;
+    this.publishSessionStatus({ active: false, paused: false });
     
     // Track completion
     if (window.app) {
       window.app.analyticsManager.trackFocusSession(sessionDuration, this.currentTask, this.currentContext);
       window.app.toastManager.show(`🎯 Focus session complete! ${sessionDuration} minutes of deep work.`, 'success');
       
+      const context = this.currentContext || {};
+      if (context.type === 'subtask') {
+        window.app.toastManager.show(`Did you finish "${this.currentTask}"?`, 'info', null, {
+          actions: [{ label: 'Mark step done', callback: () => window.app.completeSubtask(context.id, context.subtaskId) }]
+        });
+      }
+      
       // Suggest a break
       setTimeout(() => {
         if (confirm('Great job! 🎉\n\nTime for a well-deserved break?\n\n• 5-minute walk\n• Stretch break\n• Hydration break')) {
@@ -1791,6 +9637,10 @@ class FocusManager {
     if (this.isActive && !this.isPaused) {
       this.isPaused = true;
       this.updateStartButton();
+      
+      if (this.timer) {
+        this.publishSessionStatus({ paused: true });
+      }
     }
   }
 
@@ -1798,6 +9648,41 @@ class FocusManager {
     if (this.isActive && this.isPaused) {
       this.isPaused = false;
       this.updateStartButton();
+      
+      if (this.timer) {
+        this.publishSessionStatus({ paused: false });
+      }
+    }
+  }
+
+  publishSessionStatus(updates) {
+    if (!this.stateManager || !window.app) return;
+    
+    this.stateManager.updateFocusSession({
+      ...updates,
+      ownerTabId: window.app.syncManager.tabId
+    });
+  }
+
+  handOffToOtherTab() {
+    // Another tab began a session and now owns the timer
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    
+    const overlay = document.getElementById('focusOverlay');
+    if (overlay) {
+      overlay.classList.remove('active');
+    }
+    
+    this.isActive = false;
+    this.isPaused = false;
+    this.remainingTime = this.duration * 60;
+    document.title = '3e Daily Command Center';
+    
+    if (window.app) {
+      window.app.toastManager.show('Focus session moved to another tab', 'info');
     }
   }
 
@@ -1810,6 +9695,7 @@ class FocusManager {
     if (this.timer) {
       clearInterval(this.timer);
       this.timer = null;
+      this.publishSessionStatus({ active: false, paused: false });
     }
     
     this.isActive = false;
@@ -1856,9 +9742,172 @@ class FocusManager {
     const randomTip = helpTips[Math.floor(Math.random() * helpTips.length)];
     
     if (window.app) {
-      window.app.toastManager.show(`💡 Try this: ${randomTip}`, 'info');
+      // Focusing on a whole task: offer to split it right away
+      const context = this.currentContext || {};
+      const actions = context.type === 'task'
+        ? [{ label: 'Break it down', callback: () => { this.exitFocusMode(); window.app.showBreakdown(context.id); } }]
+        : [];
+      
+      window.app.toastManager.show(`💡 Try this: ${randomTip}`, 'info', null, { actions });
+    }
+  }
+}
+
+/* ===== Transition Warnings ===== */
+
+class TransitionManager {
+  constructor() {
+    this.timer = null;
+    this.delivered = new Set();
+    this.deliveredDay = null;
+    this.checkFrequency = 15000; // ms
+    this.leaseDuration = 90000; // ms; outlasts the one-minute timer of a background tab
+  }
+
+  init(stateManager, syncManager) {
+    this.stateManager = stateManager;
+    this.syncManager = syncManager;
+    this.check();
+    this.timer = setInterval(() => this.check(), this.checkFrequency);
+  }
+
+  // settings.transitionWarnings holds minutes before each edge, e.g. '10,2'
+  getLeadTimes() {
+    return String(this.stateManager.state.settings.transitionWarnings || '')
+      .split(',')
+      .map(Number)
+      .filter(minutes => minutes > 0)
+      .sort((a, b) => b - a);
+  }
+
+  check(now = new Date()) {
+    const leads = this.getLeadTimes();
+    if (leads.length === 0) return;
+    
+    // Every open tab runs this timer, but only one of them warns
+    if (!this.syncManager.claimTransitions(this.leaseDuration)) return;
+    
+    const dayKey = this.stateManager.recurrence.toDateKey(now);
+    if (this.deliveredDay !== dayKey) {
+      this.delivered.clear();
+      this.deliveredDay = dayKey;
+    }
+    this.syncManager.getDeliveredTransitions(dayKey).forEach(key => this.delivered.add(key));
+    const deliveredBefore = this.delivered.size;
+    
+    const minutes = now.getHours() * 60 + now.getMinutes();
+    const blocks = [...this.stateManager.getDayView(dayKey, now).timeBlocks]
+      .sort((a, b) => a.startTime.localeCompare(b.startTime));
+    
+    blocks.forEach(block => {
+      const [hours, mins] = block.startTime.split(':').map(Number);
+      const start = hours * 60 + mins;
+      
+      [['start', start], ['end', start + block.duration]].forEach(([edge, time]) => {
+        // Key on the block's current times so a snoozed or extended block warns again
+        const keyFor = (lead) => `${block.id}|${block.startTime}|${block.duration}|${edge}|${lead}`;
+        const due = leads.filter(lead => minutes >= time - lead && minutes < time && !this.delivered.has(keyFor(lead)));
+        if (due.length === 0) return;
+        
+        // After a sleeping tab wakes up, only the most urgent warning is worth showing
+        due.forEach(lead => this.delivered.add(keyFor(lead)));
+        const next = blocks.find(other => other !== block && other.startTime > block.startTime);
+        this.deliver(block, edge, time - minutes, next);
+      });
+    });
+    
+    if (this.delivered.size !== deliveredBefore) {
+      this.syncManager.recordDeliveredTransitions(dayKey, [...this.delivered]);
+    }
+  }
+
+  deliver(block, edge, remaining, next) {
+    const app = window.app;
+    if (!app) return;
+    
+    const name = block.task || 'Time block';
+    const settings = this.stateManager.state.settings;
+    let message;
+    let actions;
+    
+    if (edge === 'start') {
+      message = `⏰ ${name} starts in ${remaining} min`;
+      actions = [{ label: 'Snooze 5 min', callback: () => app.snoozeTimeBlock(block.id, 5) }];
+    } else {
+      message = `⏳ ${name} ends in ${remaining} min${next ? ` - next: ${next.task || 'a block'} at ${next.startTime}` : ''}`;
+      actions = [{ label: 'Extend 15 min', callback: () => app.extendTimeBlock(block.id, 15) }];
+    }
+    
+    app.toastManager.show(message, remaining <= 2 ? 'warning' : 'info', 15000, { actions });
+    
+    if (settings.soundEffects) {
+      this.playChime(edge);
+    }
+    
+    if (settings.systemNotifications && document.hidden) {
+      this.notify(message, block);
+    }
+    
+    app.renderTimeBlocks();
+    app.analyticsManager.trackEvent('transition_warning', { edge, remaining });
+  }
+
+  // Two soft notes: rising before a start, falling before an end
+  playChime(edge) {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+    
+    try {
+      this.audioContext = this.audioContext || new AudioContext();
+      const context = this.audioContext;
+      const notes = edge === 'start' ? [523.25, 659.25] : [659.25, 523.25];
+      
+      notes.forEach((frequency, index) => {
+        const oscillator = context.createOscillator();
+        const gain = context.createGain();
+        const startAt = context.currentTime + index * 0.18;
+        
+        oscillator.type = 'sine';
+        oscillator.frequency.value = frequency;
+        gain.gain.setValueAtTime(0.0001, startAt);
+        gain.gain.exponentialRampToValueAtTime(0.15, startAt + 0.02);
+        gain.gain.exponentialRampToValueAtTime(0.0001, startAt + 0.35);
+        
+        oscillator.connect(gain);
+        gain.connect(context.destination);
+        oscillator.start(startAt);
+        oscillator.stop(startAt + 0.4);
+      });
+    } catch (error) {
+      console.warn('Could not play transition chime:', error);
+    }
+  }
+
+  notify(message, block) {
+    if (!('Notification' in window) || Notification.permission !== 'granted') return;
+    
+    try {
+      const notification = new Notification('3e Planner', {
+        body: message,
+        tag: `timeblock-${block.id}`
+      });
+      notification.onclick = () => {
+        window.focus();
+        notification.close();
+      };
+    } catch (error) {
+      console.warn('Could not show notification:', error);
     }
   }
+
+  // Asked for when the setting is switched on; returns whether notifications can be shown
+  async requestPermission() {
+    if (!('Notification' in window)) return false;
+    if (Notification.permission === 'granted') return true;
+    if (Notification.permission === 'denied') return false;
+    
+    return (await Notification.requestPermission()) === 'granted';
+  }
 }
 
 /* ===== Keyboard Shortcuts System ===== */
@@ -1892,8 +9941,12 @@ class ShortcutManager {
     this.register('KeyS', () => window.app.stateManager.saveState(), 'Save Data', ['ctrl']);
     this.register('KeyZ', () => this.undo(), 'Undo', ['ctrl']);
     this.register('KeyY', () => this.redo(), 'Redo', ['ctrl']);
+    this.register('KeyH', () => window.app.showHistory(), 'Undo History', ['shift']);
     this.register('Comma', () => window.app.toggleSettings(), 'Settings', ['ctrl']);
     this.register('Slash', () => this.showShortcuts(), 'Show Shortcuts');
+    this.register('BracketLeft', () => window.app.changeDay(-1), 'Previous Day');
+    this.register('BracketRight', () => window.app.changeDay(1), 'Next Day');
+    this.register('Backslash', () => window.app.goToToday(), 'Back to Today');
     
     // Number keys for quick selection
     for (let i = 1; i <= 9; i++) {
@@ -1927,7 +9980,10 @@ class ShortcutManager {
 
   handleKeydown(event) {
     if (!this.enabled) return;
-    if (this.isInputField(event.target)) return;
+    
+    // Esc still cancels a modal while one of its fields has focus
+    const escapeInModal = event.code === 'Escape' && event.target.closest && event.target.closest('.modal');
+    if (this.isInputField(event.target) && !escapeInModal) return;
     
     const { code, ctrlKey, shiftKey, altKey, metaKey } = event;
     const modifiers = [];
@@ -1993,22 +10049,19 @@ class ShortcutManager {
       else if (el.id === 'calmMode') window.app.exitCalmMode();
       else if (el.id === 'commandPalette') window.app.commandPalette.close();
       else if (el.id === 'quickCapture') window.app.toggleQuickCapture();
+      else if (el.classList.contains('modal')) window.app.closeModal(el);
     });
   }
 
   undo() {
-    if (window.app && window.app.stateManager.canUndo()) {
-      window.app.stateManager.undo();
-      window.app.renderDashboard();
-      window.app.toastManager.show('Action undone', 'info');
+    if (window.app) {
+      window.app.undo();
     }
   }
 
   redo() {
-    if (window.app && window.app.stateManager.canRedo()) {
-      window.app.stateManager.redo();
-      window.app.renderDashboard();
-      window.app.toastManager.show('Action redone', 'info');
+    if (window.app) {
+      window.app.redo();
     }
   }
 
@@ -2020,7 +10073,7 @@ class ShortcutManager {
       return;
     }
     
-    const taskCheckboxes = document.querySelectorAll('.task-item input[type="checkbox"]');
+    const taskCheckboxes = document.querySelectorAll('.task-item .task-checkbox');
     if (taskCheckboxes[index]) {
       taskCheckboxes[index].click();
     }
@@ -2181,26 +10234,26 @@ class AnalyticsManager {
     };
   }
 
-  init(stateManager) {
+  async init(stateManager) {
     this.stateManager = stateManager;
-    this.loadAnalytics();
+    await this.loadAnalytics();
     this.startSessionTracking();
   }
 
-  loadAnalytics() {
+  async loadAnalytics() {
     try {
-      const saved = localStorage.getItem('3e-planner-analytics');
+      const saved = await this.stateManager.storage.loadAnalytics();
       if (saved) {
-        this.analytics = { ...this.analytics, ...JSON.parse(saved) };
+        this.analytics = { ...this.analytics, ...saved };
       }
     } catch (error) {
       console.warn('Failed to load analytics:', error);
     }
   }
 
-  saveAnalytics() {
+  async saveAnalytics() {
     try {
-      localStorage.setItem('3e-planner-analytics', JSON.stringify(this.analytics));
+      await this.stateManager.storage.saveAnalytics(this.analytics);
     } catch (error) {
       console.warn('Failed to save analytics:', error);
     }
@@ -2302,6 +10355,27 @@ class AnalyticsManager {
     dayStats.events[eventName]++;
   }
 
+  // Average reported energy per hour of the day (crisis 0 - high 3), from
+  // energy check-ins and completed time block focus sessions
+  getEnergyByHour() {
+    const scores = { crisis: 0, low: 1, medium: 2, high: 3 };
+    const byHour = {};
+    
+    (this.analytics.sessions || []).forEach(event => {
+      const energy = event.name === 'energy_level_changed'
+        ? event.data.newEnergy
+        : event.name === 'focus_session_completed' && event.data.context ? event.data.context.energy : null;
+      if (!(energy in scores)) return;
+      
+      const hour = new Date(event.timestamp).getHours();
+      byHour[hour] = byHour[hour] || { total: 0, count: 0 };
+      byHour[hour].total += scores[energy];
+      byHour[hour].count++;
+    });
+    
+    return byHour;
+  }
+
   getFocusTimeForDate(date) {
     const dateStr = new Date(date).toDateString();
     return this.analytics.dailyStats[dateStr]?.focusTime || 0;
@@ -2479,6 +10553,44 @@ class AnalyticsManager {
   getFullAnalytics() {
     return this.analytics;
   }
+
+  // Brings back the analytics section of a backup. Merging keeps every event
+  // from both sides once and the busier record of each day.
+  async restoreAnalytics(imported, mode = 'replace') {
+    const restored = {
+      sessions: Array.isArray(imported.sessions) ? imported.sessions : [],
+      achievements: Array.isArray(imported.achievements) ? imported.achievements : [],
+      dailyStats: this.stateManager.isPlainObject(imported.dailyStats) ? imported.dailyStats : {},
+      patterns: this.stateManager.isPlainObject(imported.patterns) ? imported.patterns : {}
+    };
+    
+    if (mode === 'merge') {
+      const eventKey = event => `${event.timestamp}|${event.name}|${event.sessionId}`;
+      const known = new Set(this.analytics.sessions.map(eventKey));
+      const achievementKeys = new Set(this.analytics.achievements.map(a => `${a.type}|${a.timestamp}`));
+      const eventCount = stats => Object.values(stats.events || {}).reduce((total, count) => total + count, 0);
+      
+      restored.sessions = [...this.analytics.sessions, ...restored.sessions.filter(event => !known.has(eventKey(event)))]
+        .sort((a, b) => String(a.timestamp).localeCompare(String(b.timestamp)));
+      restored.achievements = [...this.analytics.achievements, ...restored.achievements.filter(a => !achievementKeys.has(`${a.type}|${a.timestamp}`))];
+      
+      Object.entries(this.analytics.dailyStats).forEach(([day, stats]) => {
+        if (!restored.dailyStats[day] || eventCount(stats) >= eventCount(restored.dailyStats[day])) {
+          restored.dailyStats[day] = stats;
+        }
+      });
+      restored.patterns = { ...restored.patterns, ...this.analytics.patterns };
+    }
+    
+    this.analytics = { ...this.analytics, ...restored };
+    
+    try {
+      await this.stateManager.storage.saveAnalytics(this.analytics, true);
+    } catch (error) {
+      console.warn('Failed to save restored analytics:', error);
+    }
+    return restored.sessions.length;
+  }
 }
 
 /* ===== Toast Notification System ===== */
@@ -2489,6 +10601,7 @@ class ToastManager {
     this.container = null;
     this.maxToasts = 5;
     this.defaultDuration = 4000;
+    this.actionDuration = 10000; // Give time to reach the button
   }
 
   init() {
@@ -2505,10 +10618,19 @@ class ToastManager {
     document.body.appendChild(this.container);
   }
 
-  show(message, type = 'info', duration = null) {
+  /**
+   * Show a toast. `options.actions` adds buttons: [{ label, callback }].
+   * Clicking an action runs its callback and closes the toast.
+   * `options.sticky` keeps it open until it is closed or an action is used.
+   */
+  show(message, type = 'info', duration = null, options = {}) {
     if (!this.container) this.init();
     
-    const toast = this.createToast(message, type, duration || this.defaultDuration);
+    const actions = options.actions || [];
+    const defaultDuration = actions.length > 0 ? this.actionDuration : this.defaultDuration;
+    
+    const toast = this.createToast(message, type, duration || defaultDuration, actions);
+    toast.sticky = Boolean(options.sticky);
     this.toasts.push(toast);
     
     // Limit number of toasts
@@ -2525,19 +10647,32 @@ class ToastManager {
     });
     
     // Auto remove
+    this.scheduleRemoval(toast);
+    
+    // Hold the toast while the user is hovering or tabbing through it
+    toast.element.addEventListener('mouseenter', () => clearTimeout(toast.timeout));
+    toast.element.addEventListener('mouseleave', () => this.scheduleRemoval(toast));
+    toast.element.addEventListener('focusin', () => clearTimeout(toast.timeout));
+    toast.element.addEventListener('focusout', () => this.scheduleRemoval(toast));
+    
+    return toast;
+  }
+
+  scheduleRemoval(toast) {
+    clearTimeout(toast.timeout);
+    if (toast.sticky) return;
+    
     toast.timeout = setTimeout(() => {
       this.removeToast(toast);
     }, toast.duration);
-    
-    return toast;
   }
 
-  createToast(message, type, duration) {
+  createToast(message, type, duration, actions = []) {
     const id = Date.now().toString(36) + Math.random().toString(36).substr(2);
     
     const element = document.createElement('div');
     element.className = `toast ${type}`;
-    element.setAttribute('role', 'alert');
+    element.setAttribute('role', actions.length > 0 ? 'status' : 'alert');
     element.setAttribute('aria-live', 'polite');
     
     const icons = {
@@ -2551,6 +10686,13 @@ class ToastManager {
       <div class="toast-icon">${icons[type] || icons.info}</div>
       <div class="toast-content">
         <div class="toast-message">${this.escapeHtml(message)}</div>
+        ${actions.length > 0 ? `
+          <div class="toast-actions">
+            ${actions.map((action, index) => `
+              <button class="toast-action" data-action-index="${index}">${this.escapeHtml(action.label)}</button>
+            `).join('')}
+          </div>
+        ` : ''}
       </div>
       <button class="toast-close" aria-label="Close notification">
         <svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -2566,12 +10708,25 @@ class ToastManager {
       if (toast) this.removeToast(toast);
     });
     
+    element.querySelectorAll('.toast-action').forEach(button => {
+      button.addEventListener('click', () => {
+        const action = actions[Number(button.dataset.actionIndex)];
+        const toast = this.toasts.find(t => t.element === element);
+        if (toast) this.removeToast(toast);
+        
+        if (action && action.callback) {
+          action.callback();
+        }
+      });
+    });
+    
     return {
       id,
       element,
       type,
       message,
       duration,
+      actions,
       timeout: null
     };
   }
@@ -2638,6 +10793,127 @@ class CommandPalette {
         category: 'focus',
         keywords: ['focus', 'concentrate', 'work', 'deep']
       },
+      {
+        id: 'previous-day',
+        name: 'Previous Day',
+        description: 'Look back at the archive of the day before',
+        action: () => window.app.changeDay(-1),
+        category: 'planning',
+        keywords: ['yesterday', 'history', 'archive', 'back', 'past']
+      },
+      {
+        id: 'next-day',
+        name: 'Plan Next Day',
+        description: 'Pre-plan priorities, tasks and time blocks for the next day',
+        action: () => window.app.changeDay(1),
+        category: 'planning',
+        keywords: ['tomorrow', 'plan', 'ahead', 'future', 'next']
+      },
+      {
+        id: 'today',
+        name: 'Back to Today',
+        description: 'Return to today\'s dashboard',
+        action: () => window.app.goToToday(),
+        category: 'planning',
+        keywords: ['today', 'now', 'current']
+      },
+      {
+        id: 'export-calendar',
+        name: 'Export to Calendar (.ics)',
+        description: 'Download upcoming time blocks and dated tasks for Outlook or other calendars',
+        action: () => window.app.exportCalendar(),
+        category: 'data',
+        keywords: ['ics', 'ical', 'calendar', 'outlook', 'm365', 'export']
+      },
+      {
+        id: 'manage-profiles',
+        name: 'Manage Profiles',
+        description: 'Create, rename or delete profiles and copy tasks or templates between them',
+        action: () => window.app.showProfiles(),
+        category: 'profiles',
+        keywords: ['profile', 'work', 'home', 'study', 'account', 'switch', 'copy']
+      },
+      {
+        id: 'create-restore-point',
+        name: 'Save Restore Point',
+        description: 'Snapshot your planner now so you can roll back to it later',
+        action: () => window.app.createRestorePoint(),
+        category: 'data',
+        keywords: ['backup', 'snapshot', 'restore', 'save', 'rollback']
+      },
+      {
+        id: 'export-markdown',
+        name: 'Export as Markdown',
+        description: 'Render a day or date range for Obsidian or Logseq daily notes',
+        action: () => window.app.showMarkdownExport(),
+        category: 'data',
+        keywords: ['markdown', 'md', 'obsidian', 'logseq', 'journal', 'daily note', 'export']
+      },
+      {
+        id: 'copy-day-markdown',
+        name: 'Copy Day as Markdown',
+        description: 'Copy the day on screen to the clipboard as a daily note',
+        action: () => window.app.copyDayAsMarkdown(),
+        category: 'data',
+        keywords: ['markdown', 'copy', 'clipboard', 'journal', 'obsidian', 'logseq']
+      },
+      {
+        id: 'day-templates',
+        name: 'Day Templates',
+        description: 'Save, edit and schedule sets of time blocks',
+        action: () => window.app.showTemplates(),
+        category: 'planning',
+        keywords: ['template', 'routine', 'office', 'home', 'weekly', 'blocks']
+      },
+      {
+        id: 'auto-plan',
+        name: 'Auto-plan My Day',
+        description: 'Fit open priorities and tasks into free time by energy',
+        action: () => window.app.showAutoPlan(),
+        category: 'planning',
+        keywords: ['auto', 'plan', 'schedule', 'fill', 'day', 'energy']
+      },
+      {
+        id: 'toggle-timeline',
+        name: 'Toggle Timeline View',
+        description: 'Switch time blocks between list and timeline',
+        action: () => {
+          const view = window.app.stateManager.state.settings.timeBlockView;
+          window.app.setTimeBlockView(view === 'timeline' ? 'list' : 'timeline');
+        },
+        category: 'planning',
+        keywords: ['timeline', 'calendar', 'schedule', 'list', 'view']
+      },
+      {
+        id: 'break-down',
+        name: 'Break Down Next Task',
+        description: 'Split the next open task into small steps',
+        action: () => {
+          const task = window.app.stateManager.state.tasks.find(t => !t.completed);
+          if (task) {
+            window.app.showBreakdown(task.id);
+          } else {
+            window.app.toastManager.show('No open tasks to break down', 'info');
+          }
+        },
+        category: 'tasks',
+        keywords: ['break', 'down', 'split', 'steps', 'subtasks', 'overwhelm']
+      },
+      {
+        id: 'copy-focus-link',
+        name: 'Copy Focus Link for Next Task',
+        description: 'Copy a link that opens the planner straight into focus on the next open task',
+        action: () => {
+          const task = window.app.stateManager.state.tasks.find(t => !t.completed);
+          if (task) {
+            window.app.copyFocusLink(task.id);
+          } else {
+            window.app.toastManager.show('No open tasks to link to', 'info');
+          }
+        },
+        category: 'focus',
+        keywords: ['link', 'url', 'shortcut', 'bookmark', 'focus', 'deep link']
+      },
       {
         id: 'calm-mode',
         name: 'Calm Mode',
@@ -2670,6 +10946,22 @@ class CommandPalette {
         category: 'settings',
         keywords: ['energy', 'level', 'mood', 'capacity']
       },
+      {
+        id: 'undo-history',
+        name: 'Undo History',
+        description: 'Browse recent changes and step back or forward',
+        action: () => window.app.showHistory(),
+        category: 'history',
+        keywords: ['undo', 'redo', 'history', 'revert', 'changes']
+      },
+      {
+        id: 'trash',
+        name: 'Open Trash',
+        description: 'Restore or permanently delete removed items',
+        action: () => window.app.showTrash(),
+        category: 'data',
+        keywords: ['trash', 'bin', 'deleted', 'restore', 'recover']
+      },
       {
         id: 'view-analytics',
         name: 'View Analytics',
@@ -2738,6 +11030,9 @@ class CommandPalette {
       this.isOpen = true;
       this.selectedIndex = 0;
       
+      // Profiles can change in other tabs, so list them fresh each time
+      this.refreshProfileCommands();
+      
       // Clear and focus input
       input.value = '';
       input.focus();
@@ -2751,6 +11046,27 @@ class CommandPalette {
     }
   }
 
+  refreshProfileCommands() {
+    if (!window.app) return;
+    
+    const current = window.app.profile;
+    const switches = window.app.profileManager.list()
+      .filter(profile => profile.id !== current.id)
+      .map(profile => ({
+        id: `switch-profile-${profile.id}`,
+        name: `Switch to ${profile.icon} ${profile.name}`,
+        description: `Open the ${profile.name} profile (you're in ${current.name})`,
+        action: () => window.app.switchProfile(profile.id),
+        category: 'profiles',
+        keywords: ['profile', 'switch', profile.name.toLowerCase()]
+      }));
+    
+    this.commands = [
+      ...this.commands.filter(command => !command.id.startsWith('switch-profile-')),
+      ...switches
+    ];
+  }
+
   close() {
     const palette = document.getElementById('commandPalette');
     if (palette) {
@@ -2796,9 +11112,9 @@ class CommandPalette {
       <div class="command-item ${index === this.selectedIndex ? 'selected' : ''}" 
            data-command-id="${command.id}"
            onclick="window.app.commandPalette.executeCommand('${command.id}')">
-        <div style="font-weight: 600;">${command.name}</div>
+        <div style="font-weight: 600;">${window.app.escapeHtml(command.name)}</div>
         <div style="font-size: var(--font-size-sm); color: var(--text-secondary); margin-top: 0.25rem;">
-          ${command.description}
+          ${window.app.escapeHtml(command.description)}
         </div>
       </div>
     `).join('');
@@ -2870,7 +11186,7 @@ class SettingsPanel {
     });
     
     // Settings checkboxes
-    const checkboxes = ['reducedMotion', 'keyboardHints', 'soundEffects'];
+    const checkboxes = ['reducedMotion', 'keyboardHints', 'soundEffects', 'systemNotifications'];
     checkboxes.forEach(id => {
       const checkbox = document.getElementById(id);
       if (checkbox) {
@@ -2879,7 +11195,7 @@ class SettingsPanel {
     });
     
     // Settings selects
-    const selects = ['focusDuration', 'breakInterval'];
+    const selects = ['focusDuration', 'breakInterval', 'trashRetentionDays', 'transitionBuffer', 'dayStartTime', 'dayEndTime', 'transitionWarnings'];
     selects.forEach(id => {
       const select = document.getElementById(id);
       if (select) {
@@ -2901,6 +11217,8 @@ class SettingsPanel {
     if (panel) {
       panel.classList.add('active');
       this.isOpen = true;
+      this.renderEncryptionStatus();
+      this.renderRestorePoints();
       
       if (window.app) {
         window.app.analyticsManager.trackEvent('settings_opened');
@@ -2941,10 +11259,63 @@ class SettingsPanel {
     const breakInterval = document.getElementById('breakInterval');
     if (breakInterval) breakInterval.value = settings.breakInterval;
     
-    // Apply reduced motion if enabled
-    if (settings.reducedMotion) {
-      document.body.classList.add('reduced-motion');
+    const trashRetentionDays = document.getElementById('trashRetentionDays');
+    if (trashRetentionDays) trashRetentionDays.value = settings.trashRetentionDays;
+    
+    ['transitionBuffer', 'dayStartTime', 'dayEndTime', 'transitionWarnings'].forEach(id => {
+      const select = document.getElementById(id);
+      if (select) select.value = settings[id];
+    });
+    
+    const systemNotifications = document.getElementById('systemNotifications');
+    if (systemNotifications) systemNotifications.checked = settings.systemNotifications;
+    
+    // Apply reduced motion if enabled
+    if (settings.reducedMotion) {
+      document.body.classList.add('reduced-motion');
+    }
+  }
+
+  renderEncryptionStatus() {
+    const status = document.getElementById('encryptionStatus');
+    const button = document.getElementById('encryptionToggleBtn');
+    if (!status || !window.app) return;
+    
+    const encrypted = window.app.isEncrypted();
+    status.textContent = encrypted
+      ? 'Your data and backups are encrypted with your passphrase.'
+      : 'Your data is stored unencrypted in this browser.';
+    button.textContent = encrypted ? 'Turn off…' : 'Encrypt…';
+  }
+
+  async renderRestorePoints() {
+    const list = document.getElementById('restorePointList');
+    if (!list || !window.app) return;
+    
+    const restorePoints = window.app.stateManager.restorePoints;
+    if (!window.app.stateManager.storage.isSupported()) {
+      list.innerHTML = '<p class="form-hint">Restore points need IndexedDB, which this browser doesn\'t offer. Export backups by hand instead.</p>';
+      return;
     }
+    
+    const points = await restorePoints.list();
+    if (points.length === 0) {
+      list.innerHTML = '<p class="form-hint">No restore points yet. One is saved every hour while you work.</p>';
+      return;
+    }
+    
+    list.innerHTML = points.map(point => {
+      const counts = point.counts || {};
+      return `
+        <div class="restore-point">
+          <div class="restore-point-info">
+            <span class="restore-point-date">${new Date(point.createdAt).toLocaleString()}</span>
+            <span class="restore-point-meta">${window.app.escapeHtml(restorePoints.describe(point))} · ${counts.tasks || 0} tasks, ${counts.timeBlocks || 0} blocks, ${counts.dayHistory || 0} days</span>
+          </div>
+          <button class="btn btn-sm btn-outline" onclick="app.restoreFromPoint('${point.id}')">Restore</button>
+        </div>
+      `;
+    }).join('');
   }
 
   applyTheme(themeName) {
@@ -2964,6 +11335,24 @@ class SettingsPanel {
       document.body.classList.toggle('reduced-motion', value);
     }
     
+    if (key === 'trashRetentionDays') {
+      window.app.purgeExpiredTrash();
+    }
+    
+    if (['transitionBuffer', 'dayStartTime', 'dayEndTime'].includes(key)) {
+      window.app.renderTimeBlocks();
+    }
+    
+    if (key === 'systemNotifications' && value) {
+      window.app.transitionManager.requestPermission().then(granted => {
+        if (!granted) {
+          window.app.stateManager.updateSettings({ systemNotifications: false }, 'Turned off system notifications');
+          this.loadSettings();
+          window.app.toastManager.show('Notifications are blocked by the browser - warnings will stay in-app', 'warning');
+        }
+      });
+    }
+    
     window.app.analyticsManager.trackEvent('setting_changed', { key, value });
   }
 }
@@ -3380,6 +11769,338 @@ window.closeAnalytics = function() {
   }
 };
 
+window.closeHistory = function() {
+  const modal = document.getElementById('historyModal');
+  if (modal) {
+    modal.classList.remove('active');
+  }
+};
+
+window.showTrash = function() {
+  if (window.app) {
+    window.app.showTrash();
+  }
+};
+
+window.closeTrash = function() {
+  const modal = document.getElementById('trashModal');
+  if (modal) {
+    modal.classList.remove('active');
+  }
+};
+
+window.emptyTrash = function() {
+  if (window.app) {
+    window.app.emptyTrash();
+  }
+};
+
+window.saveBreakdown = function() {
+  if (window.app) {
+    window.app.saveBreakdown();
+  }
+};
+
+window.addBreakdownStep = function() {
+  if (window.app) {
+    window.app.addBreakdownStep();
+  }
+};
+
+window.closeBreakdown = function() {
+  if (window.app) {
+    window.app.closeBreakdown();
+  }
+};
+
+window.renderBackupImport = function() {
+  if (window.app) {
+    window.app.renderBackupImport();
+  }
+};
+
+window.saveBackupImport = function() {
+  if (window.app) {
+    window.app.saveBackupImport();
+  }
+};
+
+window.closeBackupImport = function() {
+  if (window.app) {
+    window.app.closeBackupImport();
+  }
+};
+
+window.eraseLockedData = function() {
+  if (window.app) {
+    window.app.eraseLockedData();
+  }
+};
+
+window.showEncryptionSettings = function() {
+  if (window.app) {
+    window.app.showEncryptionSettings();
+  }
+};
+
+window.saveEncryptionSettings = function() {
+  if (window.app) {
+    window.app.saveEncryptionSettings();
+  }
+};
+
+window.closeEncryptionSettings = function() {
+  if (window.app) {
+    window.app.closeEncryptionSettings();
+  }
+};
+
+window.unlockBackupImport = function() {
+  if (window.app) {
+    window.app.unlockBackupImport();
+  }
+};
+
+window.showProfiles = function() {
+  if (window.app) {
+    window.app.showProfiles();
+  }
+};
+
+window.closeProfiles = function() {
+  if (window.app) {
+    window.app.closeProfiles();
+  }
+};
+
+window.createProfile = function() {
+  if (window.app) {
+    window.app.createProfile();
+  }
+};
+
+window.copyToProfile = function() {
+  if (window.app) {
+    window.app.copyToProfile();
+  }
+};
+
+window.createRestorePoint = function() {
+  if (window.app) {
+    window.app.createRestorePoint();
+  }
+};
+
+window.importCalendar = function(event) {
+  if (window.app) {
+    window.app.importCalendar(event);
+  }
+};
+
+window.exportCalendar = function() {
+  if (window.app) {
+    window.app.exportCalendar();
+  }
+};
+
+window.renderCalendarImport = function() {
+  if (window.app) {
+    window.app.renderCalendarImport();
+  }
+};
+
+window.saveCalendarImport = function() {
+  if (window.app) {
+    window.app.saveCalendarImport();
+  }
+};
+
+window.closeCalendarImport = function() {
+  if (window.app) {
+    window.app.closeCalendarImport();
+  }
+};
+
+window.showMarkdownExport = function() {
+  if (window.app) {
+    window.app.showMarkdownExport();
+  }
+};
+
+window.renderMarkdownExport = function() {
+  if (window.app) {
+    window.app.renderMarkdownExport();
+  }
+};
+
+window.saveMarkdownTemplate = function() {
+  if (window.app) {
+    window.app.saveMarkdownTemplate();
+  }
+};
+
+window.setMarkdownPreset = function() {
+  if (window.app) {
+    window.app.setMarkdownPreset();
+  }
+};
+
+window.copyMarkdownExport = function() {
+  if (window.app) {
+    window.app.copyMarkdownExport();
+  }
+};
+
+window.downloadMarkdownExport = function() {
+  if (window.app) {
+    window.app.downloadMarkdownExport();
+  }
+};
+
+window.closeMarkdownExport = function() {
+  if (window.app) {
+    window.app.closeMarkdownExport();
+  }
+};
+
+window.showTemplates = function() {
+  if (window.app) {
+    window.app.showTemplates();
+  }
+};
+
+window.saveDayAsTemplate = function() {
+  if (window.app) {
+    window.app.saveDayAsTemplate();
+  }
+};
+
+window.addTemplateBlockRow = function() {
+  if (window.app) {
+    window.app.addTemplateBlockRow();
+  }
+};
+
+window.saveTemplateEdits = function() {
+  if (window.app) {
+    window.app.saveTemplateEdits();
+  }
+};
+
+window.cancelTemplateEdit = function() {
+  if (window.app) {
+    window.app.cancelTemplateEdit();
+  }
+};
+
+window.closeTemplates = function() {
+  if (window.app) {
+    window.app.closeTemplates();
+  }
+};
+
+window.showAutoPlan = function() {
+  if (window.app) {
+    window.app.showAutoPlan();
+  }
+};
+
+window.saveAutoPlan = function() {
+  if (window.app) {
+    window.app.saveAutoPlan();
+  }
+};
+
+window.closeAutoPlan = function() {
+  if (window.app) {
+    window.app.closeAutoPlan();
+  }
+};
+
+window.setTimeBlockView = function(view) {
+  if (window.app) {
+    window.app.setTimeBlockView(view);
+  }
+};
+
+window.saveTimeBlock = function() {
+  if (window.app) {
+    window.app.saveTimeBlock();
+  }
+};
+
+window.closeTimeBlockEditor = function() {
+  if (window.app) {
+    window.app.closeTimeBlockEditor();
+  }
+};
+
+window.deleteEditedTimeBlock = function() {
+  if (window.app) {
+    window.app.deleteEditedTimeBlock();
+  }
+};
+
+window.setTimeBlockDuration = function(minutes) {
+  if (window.app) {
+    window.app.setTimeBlockDuration(minutes);
+  }
+};
+
+window.onTimeBlockLinkChange = function() {
+  if (window.app) {
+    window.app.onTimeBlockLinkChange();
+  }
+};
+
+window.changeDay = function(offset) {
+  if (window.app) {
+    window.app.changeDay(offset);
+  }
+};
+
+window.goToToday = function() {
+  if (window.app) {
+    window.app.goToToday();
+  }
+};
+
+window.saveRollover = function() {
+  if (window.app) {
+    window.app.saveRollover();
+  }
+};
+
+window.closeRollover = function() {
+  if (window.app) {
+    window.app.closeRollover();
+  }
+};
+
+window.saveRecurrence = function() {
+  if (window.app) {
+    window.app.saveRecurrence();
+  }
+};
+
+window.skipOccurrence = function() {
+  if (window.app) {
+    window.app.skipOccurrence();
+  }
+};
+
+window.updateRecurrenceForm = function() {
+  if (window.app) {
+    window.app.updateRecurrenceForm();
+  }
+};
+
+window.closeRecurrence = function() {
+  if (window.app) {
+    window.app.closeRecurrence();
+  }
+};
+
 window.exportData = function() {
   if (window.app) {
     window.app.exportData();
@@ -3423,6 +12144,20 @@ function setupGlobalEventListeners() {
         window.app.addTask();
       }
     });
+    taskInput.addEventListener('input', function() {
+      window.app.updateTaskPreview();
+    });
+  }
+  
+  // Time block form: Ctrl+Enter saves from any field, including notes
+  const timeBlockForm = document.getElementById('timeBlockForm');
+  if (timeBlockForm) {
+    timeBlockForm.addEventListener('keydown', function(e) {
+      if (e.key === 'Enter' && e.ctrlKey) {
+        e.preventDefault();
+        window.app.saveTimeBlock();
+      }
+    });
   }
   
   // Capture input enter key
@@ -3444,8 +12179,7 @@ function setupGlobalEventListeners() {
       const modal = e.target;
       if (modal.id === 'focusOverlay') window.app.focusManager.exitFocusMode();
       else if (modal.id === 'calmMode') window.app.exitCalmMode();
-      else if (modal.id === 'analyticsModal') window.closeAnalytics();
-      else modal.classList.remove('active');
+      else window.app.closeModal(modal);
     }
   });
   
@@ -3460,27 +12194,25 @@ function setupGlobalEventListeners() {
   });
 }
 
-/* ===== Service Worker Registration (if sw.js exists) ===== */
-
-if ('serviceWorker' in navigator) {
-  window.addEventListener('load', function() {
-    navigator.serviceWorker.register('/sw.js')
-      .then(function(registration) {
-        console.log('ServiceWorker registration successful:', registration);
-      })
-      .catch(function(error) {
-        console.log('ServiceWorker registration failed:', error);
-      });
-  });
-}
-
 /* ===== Export for Module Systems ===== */
 
 if (typeof module !== 'undefined' && module.exports) {
   module.exports = {
     ThreeEPlannerApp,
+    StorageManager,
+    DataVault,
+    ProfileManager,
     StateManager,
+    RecurrenceEngine,
+    TaskParser,
+    ScheduleAnalyzer,
+    AutoScheduler,
+    ICalendarConverter,
+    MarkdownExporter,
+    RestorePointManager,
+    SyncManager,
     FocusManager,
+    TransitionManager,
     ShortcutManager,
     AnalyticsManager,
     ToastManager,
@@ -0,0 +1,120 @@
+/**
+ * 3e Daily Command Center - Service Worker
+ *
+ * Precaches the app shell so the planner opens offline. The shell is served
+ * network-first: online, every load gets the current index.html, app.js and
+ * styles.css and refreshes the cached copies; offline, the last copies answer.
+ * A release therefore needs no change here. Bump CACHE_VERSION only when
+ * SHELL_FILES or this worker changes: the browser then installs the new worker
+ * next to the old one and the page offers a reload (see
+ * ThreeEPlannerApp.registerServiceWorker).
+ */
+
+'use strict';
+
+const CACHE_PREFIX = '3e-planner-';
+const CACHE_VERSION = 'v1';
+const SHELL_CACHE = `${CACHE_PREFIX}shell-${CACHE_VERSION}`;
+const FONT_CACHE = `${CACHE_PREFIX}fonts`;
+
+// Relative to this file, so the app also works from a subfolder (GitHub Pages)
+const SHELL_FILES = [
+  './',
+  './index.html',
+  './app.js',
+  './styles.css',
+  './manifest.json'
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+self.addEventListener('install', (event) => {
+  // Skip the HTTP cache so a new version never precaches stale files
+  event.waitUntil(
+    caches.open(SHELL_CACHE)
+      .then(cache => cache.addAll(SHELL_FILES.map(url => new Request(url, { cache: 'reload' }))))
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  const current = [SHELL_CACHE, FONT_CACHE];
+
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys
+        .filter(key => key.startsWith(CACHE_PREFIX) && !current.includes(key))
+        .map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  );
+});
+
+// The page asks a waiting worker to take over once the user chooses to reload
+self.addEventListener('message', (event) => {
+  if (event.data && event.data.type === 'skip-waiting') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', (event) => {
+  const request = event.request;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    event.respondWith(staleWhileRevalidate(request, FONT_CACHE));
+    return;
+  }
+
+  if (url.origin !== self.location.origin) return;
+
+  // Every page in scope is the app; query strings don't change the shell
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst('./index.html'));
+    return;
+  }
+
+  const shellFile = SHELL_FILES.find(file => new URL(file, self.location).pathname === url.pathname);
+  if (shellFile) {
+    event.respondWith(networkFirst(shellFile));
+    return;
+  }
+
+  event.respondWith(
+    caches.match(request, { cacheName: SHELL_CACHE, ignoreSearch: true })
+      .then(cached => cached || fetch(request))
+  );
+});
+
+// Revalidates with the server (not the HTTP cache) and falls back to the
+// cached copy when offline or when the server has no answer
+function networkFirst(file) {
+  return caches.open(SHELL_CACHE).then(cache => {
+    return fetch(new Request(file, { cache: 'no-cache' }))
+      .then(response => {
+        if (response.ok) {
+          cache.put(file, response.clone());
+          return response;
+        }
+        return cache.match(file).then(cached => cached || response);
+      }, () => cache.match(file).then(cached => cached || Response.error()));
+  });
+}
+
+// Fonts are optional: answer from the cache at once and refresh it in the background
+function staleWhileRevalidate(request, cacheName) {
+  return caches.open(cacheName).then(cache => {
+    return cache.match(request).then(cached => {
+      const network = fetch(request)
+        .then(response => {
+          if (response.ok || response.type === 'opaque') {
+            cache.put(request, response.clone());
+          }
+          return response;
+        })
+        .catch(() => cached);
+
+      return cached || network;
+    });
+  });
+}